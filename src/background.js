@@ -1,6 +1,19 @@
-import { secretRules } from './utils/rules.js';
+import { getSecretRules } from './utils/customRules.js';
+import { sha256Hex } from './utils/hash.js';
+import { getCachedFindings, cacheFindings, SCAN_CACHE_KEY_PREFIX, SCAN_CACHE_MAX_AGE_MS } from './utils/scanCache.js';
+import { throttledFetch, setMaxConcurrentFetches } from './utils/fetchQueue.js';
+import { createCoverageEntry } from './utils/coverage.js';
+import { resolveChunkGraph } from './utils/chunkResolver.js';
+import { getSettings, onSettingsChanged } from './utils/settings.js';
+import { compileScope, isUrlInScope } from './utils/scope.js';
+import { savePageResults, copyPageResults, deletePages, getSources, putSources, evictStaleData } from './utils/findingsStore.js';
 
-const MAX_CONTENT_SIZE_BYTES = 5 * 1024 * 1024;
+/**
+ * @description The number of characters kept on each side of a finding in a
+ * source too large to be stored, so the finding can still be viewed in context.
+ * @type {number}
+ */
+const SNIPPET_CONTEXT_CHARS = 4 * 1024;
 
 /**
  * @description A map to keep track of which URLs have already been scanned.
@@ -24,28 +37,47 @@ const scansInProgress = new Map();
 const removedTabs = new Set();
 
 /**
- * @description A queue to hold pending network requests. Each item is an object
- * containing the `url` to fetch and the `resolve` function of the promise
- * returned by `throttledFetch`.
- * @type {Array<{url: string, resolve: Function}>}
+ * @description A map of the sources already scanned for each tab, used by the
+ * incremental mode to scan only scripts that were not seen before. External
+ * scripts are keyed by URL and inline scripts by the hash of their content.
+ * @type {Map<number, Set<string>>}
+ */
+const seenSources = new Map();
+
+/**
+ * @description A map of the page key most recently scanned in each tab. It is
+ * used to carry findings over when a Single Page Application changes its route.
+ * @type {Map<number, string>}
  */
-const fetchQueue = [];
+const currentPageKeys = new Map();
 
 /**
- * @description A counter for the number of currently active fetch requests.
- * This is used to ensure the number of concurrent requests does not exceed
- * `MAX_CONCURRENT_FETCHES`.
+ * @description Scripts discovered after the initial scan (by the in-page script
+ * watcher or by `webRequest`) that are waiting to be scanned, grouped per tab
+ * and per frame, together with the debounce timer of the next incremental scan.
+ * @type {Map<number, {frames: Map<number, {inlineScripts: string[], externalScripts: Set<string>}>, timer: number}>}
+ */
+const pendingIncrementalScans = new Map();
+
+/**
+ * @description How long to wait for more scripts to appear before running an
+ * incremental scan, so that bursts of lazy chunks are scanned together.
  * @type {number}
  */
-let activeFetches = 0;
+const INCREMENTAL_SCAN_DELAY_MS = 1000;
 
 /**
- * @description The maximum number of network requests allowed to run concurrently.
- * This constant is the core of the throttling mechanism, preventing the service
- * worker from being saturated with too many simultaneous fetches.
+ * @description The time of the last eviction of stale entries from the
+ * persistent scan cache. Eviction runs at most once per `SCAN_CACHE_CLEANUP_INTERVAL_MS`.
  * @type {number}
  */
-const MAX_CONCURRENT_FETCHES = 3;
+let lastScanCacheCleanup = 0;
+
+/**
+ * @description The minimum interval between two evictions of the scan cache.
+ * @type {number}
+ */
+const SCAN_CACHE_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
 
 /**
  * Determines if a given URL is scannable by the extension.
@@ -63,68 +95,75 @@ const isScannable = (url) => {
 };
 
 /**
- * A throttled fetch function that uses a queue to limit concurrent network requests.
- * @param {string} url The URL to fetch.
- * @returns {Promise<string|null>} A promise that resolves with the content text or null on error.
+ * @description A memoized promise of the compiled passive scanning scope,
+ * reset when the scope settings change.
+ * @type {Promise<{include: Array<object>, exclude: Array<object>}> | null}
  */
-async function throttledFetch(url) {
-  return new Promise((resolve) => {
-    fetchQueue.push({ url, resolve });
-    processFetchQueue();
-  });
-}
+let scopePromise = null;
 
 /**
- * Processes the fetch queue, ensuring the number of active fetches
- * does not exceed MAX_CONCURRENT_FETCHES.
+ * Checks whether a page is within the passive scanning scope configured in the settings.
+ * @param {string} url The URL of the page.
+ * @returns {Promise<boolean>}
  */
-function processFetchQueue() {
-  if (activeFetches >= MAX_CONCURRENT_FETCHES || fetchQueue.length === 0) {
-    return;
+async function isInScope(url) {
+  if (!scopePromise) {
+    scopePromise = getSettings().then(compileScope);
   }
+  return isUrlInScope(url, await scopePromise);
+}
 
-  activeFetches++;
-  const { url, resolve } = fetchQueue.shift();
-
-  fetch(url)
-    .then(res => {
-      if (!res.ok) {
-        return resolve(null);
+/**
+ * Applies the settings used by the service worker outside of a scan: the fetch
+ * concurrency, the scope and, when it changed, the tab title prefix of the
+ * scanned tabs. Settings used during a scan are read when the scan starts.
+ * @param {object} settings The current settings.
+ * @param {string[]} [changedKeys=[]] The keys that changed, if the settings were updated.
+ */
+function applySettings(settings, changedKeys = []) {
+  setMaxConcurrentFetches(settings.maxConcurrentFetches);
+  if (changedKeys.includes('scopeInclude') || changedKeys.includes('scopeExclude')) {
+    scopePromise = null;
+  }
+  if (changedKeys.includes('tabTitlePrefix')) {
+    for (const [tabId, pageKey] of currentPageKeys) {
+      const scan = scannedPages.get(pageKey);
+      if (scan) {
+        updateTabTitle(tabId, scan.findingsCount);
       }
-      return res.text();
-    })
-    .then(text => resolve(text))
-    .catch(err => {
-      console.warn(`[JS Recon Buddy] Fetch error for ${url}:`, err.message);
-      resolve(null);
-    })
-    .finally(() => {
-      activeFetches--;
-      processFetchQueue();
-    });
+    }
+  }
 }
 
+getSettings().then(applySettings);
+onSettingsChanged(applySettings);
+
 /**
  * Listens for tab updates to trigger the initial scanning process status.
- * It sets a "scanning" visual state when a page starts loading and
- * initiates the actual scan once the page is fully loaded.
+ * It sets a "scanning" visual state when a page starts loading, or an
+ * "out of scope" state for pages excluded by the scope settings.
  */
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (!tab || !isScannable(tab.url)) {
     return;
   }
   if (changeInfo.status === 'loading') {
-    setInitialLoadingState(tabId);
+    if (await isInScope(tab.url)) {
+      setInitialLoadingState(tabId);
+    } else {
+      setIconAndState(tabId, 'out_of_scope');
+    }
   }
 });
 
 /**
- * Listens for the successful completion of a page's main document navigation.
+ * Listens for the successful completion of a document navigation in any frame.
  *
- * This serves as the primary and most reliable trigger to start the actual
- * passive scan by calling `triggerPassiveScan`. It specifically checks that
- * the event is for the main frame (`frameId === 0`) to avoid incorrectly
- * triggering new scans for every iframe that finishes loading on the page.
+ * For the main frame (`frameId === 0`) this serves as the primary and most
+ * reliable trigger to start the actual passive scan by calling
+ * `triggerPassiveScan`, which covers every frame loaded so far. Iframes that
+ * finish loading afterwards (login widgets, payment forms, support chats) are
+ * scanned individually by `triggerFrameScan` and merged into the page results.
  */
 chrome.webNavigation.onCompleted.addListener((details) => {
   if (!details || !isScannable(details.url)) {
@@ -132,6 +171,20 @@ chrome.webNavigation.onCompleted.addListener((details) => {
   }
   if (details.frameId === 0) {
     triggerPassiveScan(details.tabId);
+  } else {
+    triggerFrameScan(details.tabId, details.frameId);
+  }
+});
+
+/**
+ * Listens for new documents committed in the main frame of a tab (navigations
+ * and reloads, but not client-side route changes). The scripts still queued
+ * for an incremental scan belong to the previous document, so they are dropped
+ * instead of being merged into the results of the new page.
+ */
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details && details.frameId === 0) {
+    discardIncrementalScan(details.tabId);
   }
 });
 
@@ -145,18 +198,44 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
 
 /**
  * Listens for client-side navigations in Single Page Applications (e.g., React, Angular).
+ * Instead of rescanning everything, the findings of the previous route are
+ * carried over and only the scripts not seen before are scanned. Routes that
+ * are out of scope (e.g. excluded by a URL regex) are not scanned.
  */
-chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
-  if (!details || !isScannable(details.url)) {
+chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
+  if (!details || !isScannable(details.url) || details.frameId !== 0) {
     return;
   }
-  if (details.frameId === 0) {
-    triggerPassiveScan(details.tabId);
+  if (await isInScope(details.url)) {
+    handleRouteChange(details.tabId);
+  } else {
+    setIconAndState(details.tabId, 'out_of_scope');
   }
 });
 
 /**
- * Cleans up the scanned pages set when a tab is closed to prevent memory leaks.
+ * Listens for scripts loaded by pages after the initial scan, such as chunks
+ * requested through dynamic `import()`, which never show up in `document.scripts`.
+ * Requests made by the extension itself have no tab and are ignored, and so are
+ * scripts loaded by pages outside the scope.
+ */
+chrome.webRequest.onCompleted.addListener(async (details) => {
+  if (!details || details.tabId < 0 || !isScannable(details.url)) {
+    return;
+  }
+  if (details.statusCode < 200 || details.statusCode >= 300) {
+    return;
+  }
+  const tab = await chrome.tabs.get(details.tabId).catch(() => null);
+  if (!tab || !isScannable(tab.url) || !(await isInScope(tab.url))) {
+    return;
+  }
+  queueIncrementalScan(details.tabId, details.frameId, { externalScripts: [details.url] });
+}, { urls: ['<all_urls>'], types: ['script'] });
+
+/**
+ * Cleans up the scanned pages set and the stored findings when a tab is closed
+ * to prevent memory leaks.
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
   for (const [key, value] of scannedPages) {
@@ -165,7 +244,11 @@ chrome.tabs.onRemoved.addListener((tabId) => {
       chrome.storage.session.remove(key).catch(e => console.warn(e));
     }
   }
+  deletePages(pageKey => pageKey.startsWith(`${tabId}|`)).catch(e => console.warn(e));
   scansInProgress.delete(tabId);
+  seenSources.delete(tabId);
+  currentPageKeys.delete(tabId);
+  discardIncrementalScan(tabId);
   removedTabs.add(tabId);
 });
 
@@ -189,16 +272,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 
     if (request.type === "FETCH_SCRIPTS") {
-      const fetchPromises = request.urls.map((url) =>
-        fetch(url)
-          .then((res) => (res.ok ? res.text() : Promise.reject()))
-          .then((code) => ({ source: url, code }))
-          .catch(() => null),
-      );
-      Promise.all(fetchPromises).then((results) => sendResponse(results));
+      fetchScriptsForOverlay(request, sender).then((results) => sendResponse(results));
       return true;
     }
 
+    if (request.type === 'SCAN_SOURCES') {
+      scanInOffscreen(request.sources, request.rules, `the full page analysis of tab ${sender.tab?.id}`)
+        .then(response => sendResponse(response))
+        .catch(error => sendResponse({ status: 'error', message: error.message }));
+      return true;
+    }
+
+    if (request.type === 'NEW_SCRIPTS_DETECTED') {
+      if (sender.tab && isScannable(request.frameUrl)) {
+        queueIncrementalScan(sender.tab.id, sender.frameId, {
+          inlineScripts: request.inlineScripts,
+          externalScripts: request.externalScripts
+        });
+      }
+      return;
+    }
+
     if (request.type === 'FORCE_PASSIVE_RESCAN') {
       const { tabId } = request;
       for (const key of scannedPages.keys()) {
@@ -230,6 +324,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     }
 
+    if (request.type === 'STORE_SOURCES') {
+      storeSources(request.contents)
+        .then(hashes => sendResponse({ status: 'success', hashes }))
+        .catch(error => sendResponse({ status: 'error', message: error.message }));
+      return true;
+    }
+
+    if (request.type === 'GET_SOURCES') {
+      getSources(request.hashes)
+        .then(sources => sendResponse({ status: 'success', sources }))
+        .catch(error => sendResponse({ status: 'error', message: error.message }));
+      return true;
+    }
+
     if (request.type === 'CLEAR_STALE_CACHE') {
       if (typeof request.cacheKeyPrefix === 'string' && typeof request.maxCacheAge === 'number') {
         clearStaleLocalCache(request.cacheKeyPrefix, request.maxCacheAge);
@@ -243,6 +351,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+/**
+ * Stores source bodies sent by a content script in the findings store.
+ * @param {Object<string, string>} contents An object mapping source names to their bodies.
+ * @returns {Promise<Object<string, string>>} An object mapping each source name to the hash it is stored under.
+ */
+async function storeSources(contents) {
+  const hashes = {};
+  const sources = [];
+  for (const [source, content] of Object.entries(contents || {})) {
+    if (typeof content !== 'string') {
+      continue;
+    }
+    const hash = await sha256Hex(content);
+    hashes[source] = hash;
+    sources.push({ hash, content });
+  }
+  await putSources(sources);
+  return hashes;
+}
+
 /**
  * Iterates over local storage to find and remove stale cache entries.
  *
@@ -326,17 +454,10 @@ async function setInitialLoadingState(tabId) {
     const storedData = dataWrapper[pageKey];
 
     if (storedData && storedData.status === 'complete') {
-      const findingsCount = storedData.results ? storedData.results.length : 0;
+      const findingsCount = storedData.findingsCount || 0;
       await new Promise(r => setTimeout(r, 400));
       await updateActionUI(tabId, findingsCount);
       scannedPages.set(pageKey, { findingsCount });
-      if (findingsCount == 0) {
-
-        storedData.contentMap = {};
-        try {
-          await chrome.storage.session.set({ [pageKey]: storedData });
-        } catch (error) { }
-      }
       return;
     }
 
@@ -366,6 +487,10 @@ async function triggerPassiveScan(tabId, force = false) {
     if (!tab || !isScannable(tab.url)) {
       return;
     }
+    if (!(await isInScope(tab.url))) {
+      await setIconAndState(tabId, 'out_of_scope');
+      return;
+    }
 
     const pageKey = `${tab.id}|${tab.url}`;
     if (scannedPages.has(pageKey) && !force) {
@@ -378,14 +503,7 @@ async function triggerPassiveScan(tabId, force = false) {
     const storedData = dataWrapper[pageKey];
 
     if (storedData && storedData.status === 'complete' && !force) {
-      const findingsCount = storedData.results ? storedData.results.length : 0;
-      if (findingsCount == 0) {
-
-        storedData.contentMap = {};
-        try {
-          await chrome.storage.session.set({ [pageKey]: storedData });
-        } catch (error) { }
-      }
+      const findingsCount = storedData.findingsCount || 0;
       await updateActionUI(tab.id, findingsCount);
       scannedPages.set(pageKey, { findingsCount });
       return;
@@ -395,12 +513,14 @@ async function triggerPassiveScan(tabId, force = false) {
       await setIconAndState(tabId, 'scanning');
 
       const injectionResults = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
+        target: { tabId: tab.id, allFrames: true },
         func: scrapePageContent,
       });
 
-      if (injectionResults && injectionResults[0] && injectionResults[0].result) {
-        await runPassiveScan(injectionResults[0].result, tab.id, pageKey);
+      const frames = collectFrameResults(injectionResults);
+      if (frames.length > 0) {
+        await runPassiveScan(frames, tab.id, pageKey);
+        await installScriptWatcher({ tabId: tab.id, allFrames: true });
       } else {
         await setIconAndState(tabId, 'idle');
       }
@@ -414,6 +534,9 @@ async function triggerPassiveScan(tabId, force = false) {
       }
     }).finally(() => {
       scansInProgress.delete(tabId);
+      if (pendingIncrementalScans.has(tabId)) {
+        scheduleIncrementalScan(tabId);
+      }
     });
 
   } catch (error) {
@@ -425,6 +548,296 @@ async function triggerPassiveScan(tabId, force = false) {
   }
 }
 
+/**
+ * Handles a client-side route change in a Single Page Application.
+ *
+ * The findings of the previously scanned route are copied to the key of the new
+ * URL, as the scripts that produced them are still loaded. All frames are then
+ * scraped again, and only the HTML and the scripts not seen before in this tab
+ * are scanned and merged. If the tab has no completed scan yet, a regular passive
+ * scan is triggered instead.
+ *
+ * @param {number} tabId The ID of the tab that changed its route.
+ * @returns {Promise<void>}
+ */
+async function handleRouteChange(tabId) {
+  try {
+    await waitForScans(tabId);
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab || !isScannable(tab.url)) {
+      return;
+    }
+
+    const pageKey = `${tab.id}|${tab.url}`;
+    const previousPageKey = currentPageKeys.get(tabId);
+    if (!previousPageKey || !scannedPages.has(previousPageKey)) {
+      triggerPassiveScan(tabId);
+      return;
+    }
+    if (previousPageKey === pageKey) {
+      return;
+    }
+
+    const dataWrapper = await chrome.storage.session.get(previousPageKey);
+    const previousData = dataWrapper[previousPageKey];
+    if (!previousData || previousData.status !== 'complete') {
+      triggerPassiveScan(tabId);
+      return;
+    }
+    const findingsCount = await copyPageResults(previousPageKey, pageKey);
+    await chrome.storage.session.set({ [pageKey]: { ...previousData, findingsCount, updatedAt: Date.now() } });
+    scannedPages.set(pageKey, { findingsCount });
+    currentPageKeys.set(tabId, pageKey);
+
+    const scanPromise = (async () => {
+      const injectionResults = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, allFrames: true },
+        func: scrapePageContent,
+      });
+      const frames = collectFrameResults(injectionResults);
+      if (frames.length > 0) {
+        await runPassiveScan(frames, tab.id, pageKey, true);
+      } else {
+        await updateActionUI(tabId, scannedPages.get(pageKey).findingsCount);
+      }
+    })();
+
+    await trackScan(tabId, scanPromise);
+  } catch (error) {
+    if (error.message.includes('No tab with id')) {
+      return;
+    }
+    console.warn(`[JS Recon Buddy] Error handling route change on tab ${tabId}:`, error);
+  }
+}
+
+/**
+ * Waits until no scan is running for the given tab.
+ * @param {number} tabId The ID of the tab.
+ * @returns {Promise<void>}
+ */
+async function waitForScans(tabId) {
+  while (scansInProgress.has(tabId)) {
+    await scansInProgress.get(tabId).catch(() => { });
+  }
+}
+
+/**
+ * Registers a follow-up scan (frame, route change or incremental) as the scan in
+ * progress for a tab, so that scans merging into the same page never overlap.
+ * Once it settles, any scripts that were queued meanwhile are scheduled.
+ * @param {number} tabId The ID of the tab.
+ * @param {Promise<void>} scanPromise The running scan.
+ * @returns {Promise<void>} A promise that settles with the scan.
+ */
+function trackScan(tabId, scanPromise) {
+  scansInProgress.set(tabId, scanPromise);
+  return scanPromise.finally(() => {
+    scansInProgress.delete(tabId);
+    if (pendingIncrementalScans.has(tabId)) {
+      scheduleIncrementalScan(tabId);
+    }
+  });
+}
+
+/**
+ * Injects the script watcher into the given frames. The watcher reports scripts
+ * added to the document after the initial scan back to the service worker.
+ * @param {chrome.scripting.InjectionTarget} target The tab and frames to watch.
+ * @returns {Promise<void>}
+ */
+async function installScriptWatcher(target) {
+  try {
+    await chrome.scripting.executeScript({ target, func: watchForNewScripts });
+  } catch (error) {
+    if (error.message.includes('No tab with id') || error.message.includes('No frame with id')) {
+      return;
+    }
+    console.warn(`[JS Recon Buddy] Could not install the script watcher on tab ${target.tabId}:`, error);
+  }
+}
+
+/**
+ * Adds newly discovered scripts to the pending incremental scan of a tab and
+ * (re)starts its debounce timer. Scripts already scanned in the tab are
+ * filtered out later by `runPassiveScan`.
+ * @param {number} tabId The ID of the tab the scripts were discovered in.
+ * @param {number} frameId The ID of the frame the scripts belong to.
+ * @param {{inlineScripts?: string[], externalScripts?: string[]}} scripts The discovered scripts.
+ */
+function queueIncrementalScan(tabId, frameId, { inlineScripts = [], externalScripts = [] }) {
+  if (inlineScripts.length === 0 && externalScripts.length === 0) {
+    return;
+  }
+
+  if (!pendingIncrementalScans.has(tabId)) {
+    pendingIncrementalScans.set(tabId, { frames: new Map(), timer: null });
+  }
+  const pending = pendingIncrementalScans.get(tabId);
+  if (!pending.frames.has(frameId)) {
+    pending.frames.set(frameId, { inlineScripts: [], externalScripts: new Set() });
+  }
+  const pendingFrame = pending.frames.get(frameId);
+  pendingFrame.inlineScripts.push(...inlineScripts);
+  externalScripts.forEach(url => pendingFrame.externalScripts.add(url));
+
+  scheduleIncrementalScan(tabId);
+}
+
+/**
+ * (Re)starts the debounce timer of the pending incremental scan of a tab.
+ * @param {number} tabId The ID of the tab.
+ */
+function scheduleIncrementalScan(tabId) {
+  const pending = pendingIncrementalScans.get(tabId);
+  if (!pending) {
+    return;
+  }
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => runIncrementalScan(tabId), INCREMENTAL_SCAN_DELAY_MS);
+}
+
+/**
+ * Drops the pending incremental scan of a tab, if any, and stops its timer.
+ * @param {number} tabId The ID of the tab.
+ */
+function discardIncrementalScan(tabId) {
+  const pending = pendingIncrementalScans.get(tabId);
+  if (pending) {
+    clearTimeout(pending.timer);
+    pendingIncrementalScans.delete(tabId);
+  }
+}
+
+/**
+ * Scans the scripts that were discovered in a tab after its initial scan and
+ * merges the new findings into the stored page results and badge count.
+ *
+ * Pending scripts are kept until the page has a completed scan: once the
+ * running scan finishes, it schedules the incremental scan again. They are
+ * dropped if the tab shows a page outside the scope, which is never scanned.
+ *
+ * @param {number} tabId The ID of the tab to scan.
+ * @returns {Promise<void>}
+ */
+async function runIncrementalScan(tabId) {
+  if (scansInProgress.has(tabId)) {
+    return;
+  }
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab || !isScannable(tab.url)) {
+      pendingIncrementalScans.delete(tabId);
+      return;
+    }
+
+    const pageKey = `${tab.id}|${tab.url}`;
+    if (!scannedPages.has(pageKey)) {
+      if (!(await isInScope(tab.url))) {
+        pendingIncrementalScans.delete(tabId);
+      }
+      return;
+    }
+
+    const pending = pendingIncrementalScans.get(tabId);
+    pendingIncrementalScans.delete(tabId);
+    if (!pending) {
+      return;
+    }
+
+    const frames = [];
+    for (const [frameId, pendingFrame] of pending.frames) {
+      let frameUrl = tab.url;
+      if (frameId !== 0) {
+        const frame = await chrome.webNavigation.getFrame({ tabId, frameId }).catch(() => null);
+        if (!frame) {
+          continue;
+        }
+        frameUrl = frame.url;
+      }
+      frames.push({
+        frameId,
+        frameUrl,
+        inlineScripts: pendingFrame.inlineScripts,
+        externalScripts: Array.from(pendingFrame.externalScripts),
+        isDynamic: true
+      });
+    }
+
+    if (frames.length === 0) {
+      return;
+    }
+
+    await trackScan(tabId, runPassiveScan(frames, tabId, pageKey, true));
+  } catch (error) {
+    if (error.message.includes('No tab with id')) {
+      pendingIncrementalScans.delete(tabId);
+      return;
+    }
+    console.warn(`[JS Recon Buddy] Incremental scan failed for tab ${tabId}:`, error);
+  }
+}
+
+/**
+ * Scans a single child frame that finished loading after the main passive scan
+ * and merges its findings into the results already stored for the page.
+ *
+ * If another scan for the tab is still running, it is awaited first so that the
+ * frame results are merged into a complete record. Frames of pages that have not
+ * been scanned yet are ignored, as the upcoming full scan will include them.
+ *
+ * @param {number} tabId The ID of the tab containing the frame.
+ * @param {number} frameId The ID of the frame to scan.
+ * @returns {Promise<void>}
+ */
+async function triggerFrameScan(tabId, frameId) {
+  try {
+    await waitForScans(tabId);
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab || !isScannable(tab.url)) {
+      return;
+    }
+
+    const pageKey = `${tab.id}|${tab.url}`;
+    if (!scannedPages.has(pageKey)) {
+      return;
+    }
+
+    await trackScan(tabId, (async () => {
+      const injectionResults = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [frameId] },
+        func: scrapePageContent,
+      });
+
+      const frames = collectFrameResults(injectionResults);
+      if (frames.length > 0) {
+        await runPassiveScan(frames, tab.id, pageKey, true);
+        await installScriptWatcher({ tabId: tab.id, frameIds: [frameId] });
+      }
+    })());
+  } catch (error) {
+    if (error.message.includes('No tab with id') || error.message.includes('No frame with id')) {
+      return;
+    }
+    console.warn(`[JS Recon Buddy] Error scanning frame ${frameId} on tab ${tabId}:`, error);
+  }
+}
+
+/**
+ * Converts the results of a `scrapePageContent` injection into a list of frame
+ * descriptors, skipping frames where the injection returned nothing.
+ * @param {Array<chrome.scripting.InjectionResult> | undefined} injectionResults
+ * @returns {Array<{frameId: number, frameUrl: string, html: string, inlineScripts: string[], externalScripts: string[]}>}
+ */
+function collectFrameResults(injectionResults) {
+  if (!injectionResults) {
+    return [];
+  }
+  return injectionResults
+    .filter(injection => injection && injection.result)
+    .map(injection => ({ frameId: injection.frameId, ...injection.result }));
+}
+
 /**
  * A global promise that acts as a mutex to prevent race conditions during the
  * creation of the offscreen document. If this variable is not null, it means
@@ -475,87 +888,166 @@ async function getOrCreateOffscreenDocument() {
   }
 }
 
+/**
+ * Fetches the external scripts requested by the overlay, followed by the chunks
+ * they (or the inline scripts of the page) reference.
+ * @param {{urls: string[], inlineScripts?: string[], pageUrl?: string}} request
+ * The `FETCH_SCRIPTS` message.
+ * @param {chrome.runtime.MessageSender} sender The overlay that sent the message.
+ * @returns {Promise<Array<{source: string, code: string | null, fetch: object}>>}
+ */
+async function fetchScriptsForOverlay(request, sender) {
+  const context = sender.tab ? { tabId: sender.tab.id, frameId: sender.frameId } : null;
+  const toResult = ({ content, ...outcome }) => ({ source: outcome.url, code: content, fetch: outcome });
+
+  const outcomes = await Promise.all(request.urls.map((url) => throttledFetch(url, context)));
+  if (!context || !request.pageUrl) {
+    return outcomes.map(toResult);
+  }
+
+  const frameInfo = { frameId: context.frameId, frameUrl: request.pageUrl };
+  const roots = [
+    ...(request.inlineScripts || []).map(content => ({ url: request.pageUrl, content, ...frameInfo })),
+    ...outcomes.map(({ url, content }) => ({ url, content, ...frameInfo })),
+  ];
+  const chunks = await resolveChunks(roots, context.tabId, new Set(request.urls));
+  return [...outcomes, ...chunks.map(chunk => chunk.outcome)].map(toResult);
+}
+
 /**
  * Coordinates the passive scan for a given page.
  *
  * This function acts as the main orchestrator for a scan. It performs the
  * I/O-bound tasks of gathering all page content (HTML, inline and external
- * scripts). It then delegates the CPU-intensive work of running regular
- * expressions to a separate process using the Offscreen API to avoid blocking
- * the service worker. Finally, it receives the results, saves them to storage,
- * and updates the extension's UI.
+ * scripts) from every scraped frame. It then delegates the CPU-intensive work
+ * of running regular expressions to a separate process using the Offscreen API
+ * to avoid blocking the service worker. Finally, it receives the results, saves
+ * them to storage, and updates the extension's UI.
+ *
+ * Each finding is tagged with the URL of the frame its source came from. When
+ * `merge` is set, the new findings are added to the results already stored for
+ * the page instead of replacing them.
  *
- * @param {object} pageData The initial content scraped from the page.
- * @param {string} pageData.html The full outer HTML of the document.
- * @param {string[]} pageData.inlineScripts An array of inline script contents.
- * @param {string[]} pageData.externalScripts An array of external script URLs.
+ * @param {Array<object>} frames The content scraped from each frame of the page.
+ * @param {number} frames[].frameId The ID of the frame the content came from.
+ * @param {string} frames[].frameUrl The URL of the frame document.
+ * @param {string} frames[].html The full outer HTML of the frame document.
+ * @param {string[]} frames[].inlineScripts An array of inline script contents.
+ * @param {string[]} frames[].externalScripts An array of external script URLs.
  * @param {number} tabId The ID of the tab being scanned.
  * @param {string} pageKey The unique key ('${tabId}|${tab.url}') for this page, used for caching and storage.
+ * @param {boolean} [merge=false] If true, merges the findings into the stored page results.
  * @returns {Promise<void>} A promise that resolves when the scan coordination is complete and the UI is updated.
  */
-async function runPassiveScan(pageData, tabId, pageKey) {
+async function runPassiveScan(frames, tabId, pageKey, merge = false) {
   if (!tabId) {
     return;
   }
-  const allContentSources = [
-    { source: 'HTML Document', content: pageData.html, isTooLarge: false },
-    ...pageData.inlineScripts.map((script, i) => ({
-      source: `Inline Script #${i + 1}`,
-      content: script,
-      isTooLarge: false
-    })),
-  ];
-
-  const externalScriptPromises = pageData.externalScripts.map(url =>
-    throttledFetch(url).then(content => {
-      if (content) {
-        return { source: url, content, isTooLarge: false };
+  if (!merge || !seenSources.has(tabId)) {
+    seenSources.set(tabId, new Set());
+  }
+  const seen = seenSources.get(tabId);
+  currentPageKeys.set(tabId, pageKey);
+
+  const allContentSources = [];
+  const externalScriptFrames = new Map();
+
+  for (const frame of frames) {
+    const frameInfo = { frameId: frame.frameId, frameUrl: frame.frameUrl };
+    const frameSuffix = frame.frameId === 0 ? '' : ` (frame: ${frame.frameUrl})`;
+
+    if (frame.html) {
+      allContentSources.push({
+        source: `HTML Document${frameSuffix}`,
+        kind: 'html',
+        content: frame.html,
+        isTooLarge: false,
+        ...frameInfo
+      });
+    }
+    for (const [i, script] of frame.inlineScripts.entries()) {
+      const contentHash = await sha256Hex(script);
+      if (seen.has(`inline:${contentHash}`)) {
+        continue;
+      }
+      seen.add(`inline:${contentHash}`);
+      allContentSources.push({
+        source: frame.isDynamic
+          ? `Dynamic Inline Script ${contentHash.substring(0, 8)}${frameSuffix}`
+          : `Inline Script #${i + 1}${frameSuffix}`,
+        kind: 'inline',
+        content: script,
+        isTooLarge: false,
+        ...frameInfo
+      });
+    }
+    for (const url of frame.externalScripts) {
+      if (!seen.has(url)) {
+        seen.add(url);
+        externalScriptFrames.set(url, frameInfo);
       }
-      return null;
-    })
+    }
+  }
+
+  if (merge && allContentSources.length === 0 && externalScriptFrames.size === 0) {
+    const cachedScan = scannedPages.get(pageKey);
+    await updateActionUI(tabId, cachedScan ? cachedScan.findingsCount : 0);
+    return;
+  }
+
+  const fetchOutcomes = await Promise.all(
+    Array.from(externalScriptFrames, ([url, { frameId }]) => throttledFetch(url, { tabId, frameId }))
   );
 
-  const fetchedScripts = await Promise.all(externalScriptPromises);
+  const chunkRoots = [
+    ...allContentSources
+      .filter(s => s.kind === 'inline')
+      .map(s => ({ url: s.frameUrl, content: s.content, frameId: s.frameId, frameUrl: s.frameUrl })),
+    ...fetchOutcomes.map(({ url, content }) => ({ url, content, ...externalScriptFrames.get(url) })),
+  ];
+  for (const chunk of await resolveChunks(chunkRoots, tabId, seen)) {
+    externalScriptFrames.set(chunk.url, { frameId: chunk.parent.frameId, frameUrl: chunk.parent.frameUrl });
+    fetchOutcomes.push(chunk.outcome);
+  }
 
-  fetchedScripts.forEach(script => {
-    if (script) {
-      allContentSources.push(script);
+  fetchOutcomes.forEach(({ url, content }) => {
+    if (content) {
+      allContentSources.push({ source: url, kind: 'external', content, isTooLarge: false, ...externalScriptFrames.get(url) });
     }
   });
 
-  const contentMap = {};
+  const { maxContentSizeMB } = await getSettings();
+  const maxContentSizeBytes = maxContentSizeMB * 1024 * 1024;
   const sourcesForOffscreen = allContentSources
     .filter(s => s.content)
     .map(s => {
       const contentSize = new Blob([s.content]).size;
-      const isTooLarge = contentSize > MAX_CONTENT_SIZE_BYTES;
-      if (!isTooLarge) {
-        contentMap[s.source] = s.content;
-      }
-      return { source: s.source, content: s.content, isTooLarge: isTooLarge };
+      const isTooLarge = contentSize > maxContentSizeBytes;
+      return {
+        source: s.source,
+        content: s.content,
+        isTooLarge: isTooLarge,
+        frameId: s.frameId,
+        frameUrl: s.frameUrl
+      };
     });
 
-  await getOrCreateOffscreenDocument();
+  const serializableRules = await getSerializableRules();
+  const rulesHash = await sha256Hex(JSON.stringify(serializableRules));
 
-  try {
-    await chrome.runtime.sendMessage({ type: 'ping', target: 'offscreen' });
-  } catch (e) {
-    console.warn(`[JS Recon Buddy] Offscreen document not responsive for tab ${tabId}.`, e);
+  for (const s of sourcesForOffscreen) {
+    s.contentHash = await sha256Hex(s.content);
   }
+  const cachedFindings = await getCachedFindings(
+    [...new Set(sourcesForOffscreen.map(s => s.contentHash))],
+    rulesHash
+  );
+  const sourcesToScan = sourcesForOffscreen.filter(s => !cachedFindings.has(s.contentHash));
 
-  const serializableRules = secretRules.map(rule => ({
-    ...rule,
-    regex: {
-      source: rule.regex.source,
-      flags: rule.regex.flags
-    }
-  }));
-  const response = await chrome.runtime.sendMessage({
-    type: 'scanContent',
-    target: 'offscreen',
-    allContentSources: sourcesForOffscreen,
-    secretRules: serializableRules
-  });
+  let response = { status: 'success', data: [] };
+  if (sourcesToScan.length > 0) {
+    response = await scanInOffscreen(sourcesToScan, serializableRules, `tab ${tabId}`);
+  }
 
   if (response && response.status === 'success') {
     if (removedTabs.has(tabId)) {
@@ -568,53 +1060,245 @@ async function runPassiveScan(pageData, tabId, pageKey) {
           chrome.storage.session.remove(keysToRemove);
         }
       });
+      deletePages(key => key.startsWith(`${tabId}|`)).catch(e => console.warn(e));
       return;
     }
-    const findings = response.data;
-    const findingsCount = findings.length;
+    const cachedSourceNames = new Set(
+      sourcesForOffscreen.filter(s => cachedFindings.has(s.contentHash)).map(s => s.source)
+    );
+    const timedOutSources = new Set(
+      (response.sourceStats || []).filter(stats => stats.timedOutRules?.length > 0).map(stats => stats.source)
+    );
+    const completeSources = sourcesToScan.filter(s => !timedOutSources.has(s.source));
+    const findings = await combineWithCachedFindings(sourcesForOffscreen, completeSources, response.data, cachedFindings, rulesHash);
+    const referencedHashes = new Set(findings.map(finding => finding.sourceHash));
+    const sourcesToStore = sourcesForOffscreen
+      .filter(s => !s.isTooLarge && referencedHashes.has(s.contentHash))
+      .map(s => ({ hash: s.contentHash, content: s.content }));
+    sourcesToStore.push(...await attachSnippets(findings, sourcesForOffscreen));
+
+    const findingsCount = await savePageResults(pageKey, {
+      findings,
+      sources: sourcesToStore,
+      coverage: buildCoverage(allContentSources, fetchOutcomes, cachedSourceNames, response.sourceStats),
+    }, merge);
     scannedPages.set(pageKey, { findingsCount: findingsCount });
+    await chrome.storage.session.set({
+      [pageKey]: { status: 'complete', findingsCount, updatedAt: Date.now() }
+    });
+    evictStaleData().catch(e => console.warn('[JS Recon Buddy] Could not evict stale findings store data:', e));
 
-    try {
-      if (findingsCount == 0) {
-        await chrome.storage.session.set({
-          [pageKey]: {
-            status: 'complete',
-            results: findings,
-            contentMap: {},
-          }
-        });
-      } else {
-        await chrome.storage.session.set({
-          [pageKey]: {
-            status: 'complete',
-            results: findings,
-            contentMap: contentMap,
-          }
-        });
-      }
-    } catch (error) {
-      if (error.message.toLowerCase().includes('quota')) {
-        await chrome.storage.session.set({
-          [pageKey]: { status: 'complete', results: findings, contentMap: {} }
-        });
-      }
-    }
-
-    await updateActionUI(tabId, findings.length);
+    await updateActionUI(tabId, findingsCount);
   } else {
     console.warn(`[JS Recon Buddy] Offscreen scan failed for tab ${tabId}:`, response ? response.message : "No response received");
 
+    if (merge) {
+      return;
+    }
     await updateActionUI(tabId, 0);
     scannedPages.delete(pageKey);
     await chrome.storage.session.remove(pageKey);
   }
 }
 
+/**
+ * Fetches the chunks referenced by the scripts of a scan (imports, webpack and
+ * Vite chunk maps, Next.js build manifests), within the depth and count limits
+ * configured in the settings.
+ * @param {Array<{url: string, content: string, frameId: number, frameUrl: string}>} scripts
+ * The scripts to start from. Inline scripts use the URL of their frame.
+ * @param {number} tabId The ID of the tab being scanned, used to fetch chunks from their frame.
+ * @param {Set<string>} seen The sources already known in the tab, updated with the fetched chunks.
+ * @returns {Promise<Array<{url: string, parent: object, depth: number, outcome: object}>>}
+ */
+async function resolveChunks(scripts, tabId, seen) {
+  const { chunkMaxDepth, chunkMaxCount } = await getSettings();
+  return resolveChunkGraph(
+    scripts,
+    (url, parent) => throttledFetch(url, { tabId, frameId: parent.frameId }),
+    { maxDepth: chunkMaxDepth, maxCount: chunkMaxCount, seen }
+  );
+}
+
+/**
+ * Returns the secret rules with their regexes as `{source, flags}` objects, so
+ * they can be sent to the offscreen document.
+ * @returns {Promise<Array<object>>}
+ */
+async function getSerializableRules() {
+  return (await getSecretRules()).map(rule => ({
+    ...rule,
+    regex: {
+      source: rule.regex.source,
+      flags: rule.regex.flags
+    }
+  }));
+}
+
+/**
+ * Sends sources to the offscreen document to be scanned, creating the document
+ * first if needed.
+ * @param {Array<{source: string, content: string, isTooLarge: boolean, frameId: number, frameUrl: string}>} sources
+ * @param {Array<object>} serializableRules The rules, see `getSerializableRules`, and
+ * for the full page analysis its patterns, see `getScanRules` in patterns.js.
+ * @param {string} requester Who the scan is for, e.g. `tab 12`, for the logs.
+ * @returns {Promise<{status: string, data?: Array<object>, sourceStats?: Array<object>, message?: string}>}
+ * The response of the offscreen document.
+ */
+async function scanInOffscreen(sources, serializableRules, requester) {
+  await getOrCreateOffscreenDocument();
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'ping', target: 'offscreen' });
+  } catch (e) {
+    console.warn(`[JS Recon Buddy] Offscreen document not responsive for ${requester}.`, e);
+  }
+
+  return chrome.runtime.sendMessage({
+    type: 'scanContent',
+    target: 'offscreen',
+    allContentSources: sources,
+    rules: serializableRules
+  });
+}
+
+/**
+ * Builds the ordered list of findings for all scanned sources, taking them from
+ * the scan cache when a source body was scanned before and from the offscreen
+ * results otherwise. Fresh results are written back to the cache, keyed by the
+ * hash of the source body, unless a rule timed out on the source.
+ * @param {Array<object>} allSources Every source of the scan, with its `contentHash`.
+ * @param {Array<object>} scannedSources The sources the offscreen document scanned
+ * without a rule timing out, whose findings are cached.
+ * @param {Array<object>} scannedFindings The findings returned by the offscreen document.
+ * @param {Map<string, Array<object>>} cachedFindings The cached findings, keyed by content hash.
+ * @param {string} rulesHash The fingerprint of the rule set used for the scan.
+ * @returns {Promise<Array<object>>} The findings of all sources, in source order.
+ */
+async function combineWithCachedFindings(allSources, scannedSources, scannedFindings, cachedFindings, rulesHash) {
+  const findingsBySource = new Map();
+  for (const finding of scannedFindings) {
+    if (!findingsBySource.has(finding.source)) {
+      findingsBySource.set(finding.source, []);
+    }
+    findingsBySource.get(finding.source).push(finding);
+  }
+
+  const freshFindingsByHash = new Map();
+  for (const s of scannedSources) {
+    freshFindingsByHash.set(s.contentHash, findingsBySource.get(s.source) || []);
+  }
+  await cacheFindings(freshFindingsByHash, rulesHash);
+  evictStaleScanCache();
+
+  return allSources.flatMap(s => {
+    if (!cachedFindings.has(s.contentHash)) {
+      return (findingsBySource.get(s.source) || []).map(finding => ({ ...finding, sourceHash: s.contentHash }));
+    }
+    return cachedFindings.get(s.contentHash).map(finding => ({
+      ...finding,
+      source: s.source,
+      sourceHash: s.contentHash,
+      isSourceTooLarge: s.isTooLarge,
+      frameId: s.frameId,
+      frameUrl: s.frameUrl
+    }));
+  });
+}
+
+/**
+ * Builds the coverage report of a scan: one entry per source, including the
+ * external scripts that could not be downloaded.
+ * @param {Array<object>} allContentSources The sources of the scan, with their `kind`.
+ * @param {Array<object>} fetchOutcomes The outcomes of the external script downloads.
+ * @param {Set<string>} cachedSourceNames The sources whose findings were taken from the scan cache.
+ * @param {Array<{source: string, scanMs: number, timedOutRules?: string[], ruleStats?: Array<object>}>} [sourceStats=[]]
+ * The scan times, timed out rules and rule statistics reported by the offscreen document.
+ * @returns {Array<import('./utils/coverage.js').CoverageEntry>}
+ */
+function buildCoverage(allContentSources, fetchOutcomes, cachedSourceNames, sourceStats = []) {
+  const statsBySource = new Map(sourceStats.map(stats => [stats.source, stats]));
+  const outcomesByUrl = new Map(fetchOutcomes.map(outcome => [outcome.url, outcome]));
+  const downloadedUrls = new Set();
+
+  const coverage = allContentSources.map(s => {
+    const cached = cachedSourceNames.has(s.source);
+    if (s.kind === 'external') {
+      downloadedUrls.add(s.source);
+    }
+    return createCoverageEntry(s.source, {
+      kind: s.kind,
+      content: s.content,
+      fetchOutcome: outcomesByUrl.get(s.source) || null,
+      scanMs: cached ? 0 : statsBySource.get(s.source)?.scanMs ?? 0,
+      cached,
+      timedOutRules: cached ? [] : statsBySource.get(s.source)?.timedOutRules ?? [],
+      ruleStats: cached ? [] : statsBySource.get(s.source)?.ruleStats ?? [],
+    });
+  });
+
+  for (const outcome of fetchOutcomes) {
+    if (!downloadedUrls.has(outcome.url)) {
+      coverage.push(createCoverageEntry(outcome.url, {
+        kind: 'external',
+        fetchOutcome: outcome,
+        scanMs: outcome.status === 'ok' ? 0 : null,
+      }));
+    }
+  }
+  return coverage;
+}
+
+/**
+ * Replaces the source reference of findings in sources too large to be stored
+ * with a reference to a snippet of `SNIPPET_CONTEXT_CHARS` around the finding.
+ * The finding keeps the position of the snippet in its source as `snippetOffset`.
+ * @param {Array<object>} findings The findings of the scan, updated in place.
+ * @param {Array<object>} sources The scanned sources, with their content and `contentHash`.
+ * @returns {Promise<Array<{hash: string, content: string}>>} The snippets to store.
+ */
+async function attachSnippets(findings, sources) {
+  const contentByHash = new Map(sources.filter(s => s.isTooLarge).map(s => [s.contentHash, s.content]));
+  const snippets = [];
+
+  for (const finding of findings) {
+    const content = contentByHash.get(finding.sourceHash);
+    if (!content) {
+      continue;
+    }
+    const index = Number.isInteger(finding.index) ? finding.index : content.indexOf(finding.secret);
+    if (index < 0) {
+      continue;
+    }
+    const snippetOffset = Math.max(0, index - SNIPPET_CONTEXT_CHARS);
+    const snippet = content.slice(snippetOffset, index + finding.secret.length + SNIPPET_CONTEXT_CHARS);
+    const snippetHash = await sha256Hex(snippet);
+
+    finding.sourceHash = snippetHash;
+    finding.snippetOffset = snippetOffset;
+    snippets.push({ hash: snippetHash, content: snippet });
+  }
+  return snippets;
+}
+
+/**
+ * Removes expired entries from the persistent scan cache, at most once per
+ * `SCAN_CACHE_CLEANUP_INTERVAL_MS`.
+ */
+function evictStaleScanCache() {
+  const now = Date.now();
+  if (now - lastScanCacheCleanup < SCAN_CACHE_CLEANUP_INTERVAL_MS) {
+    return;
+  }
+  lastScanCacheCleanup = now;
+  clearStaleLocalCache(SCAN_CACHE_KEY_PREFIX, SCAN_CACHE_MAX_AGE_MS);
+}
+
 /**
  * Centralized function to set the action icon and the storage state.
  * This ensures the icon and popup UI are always synchronized.
  * @param {number} tabId
- * @param {'scanning' | 'idle'} state
+ * @param {'scanning' | 'out_of_scope' | 'idle'} state
  */
 async function setIconAndState(tabId, state) {
   if (!(await isValidTab(tabId))) {
@@ -632,6 +1316,18 @@ async function setIconAndState(tabId, state) {
         const pageKey = `${tabId}|${tab.url}`;
         await chrome.storage.session.set({ [pageKey]: { status: 'scanning' } });
       }
+    } else if (state === 'out_of_scope') {
+      chrome.action.setIcon({ tabId, path: 'icons/icon-notfound-128.png' });
+      chrome.action.setTitle({ tabId, title: 'Out of scope - passive scanning is disabled for this page' });
+      chrome.action.setBadgeText({ tabId, text: 'OOS' });
+      chrome.action.setBadgeBackgroundColor({ tabId, color: '#6B7280' });
+      updateTabTitle(tabId, 0);
+
+      const tab = await chrome.tabs.get(tabId);
+      if (tab && tab.url) {
+        const pageKey = `${tabId}|${tab.url}`;
+        await chrome.storage.session.set({ [pageKey]: { status: 'out_of_scope' } });
+      }
     } else {
       chrome.action.setIcon({ tabId, path: 'icons/icon-notfound-128.png' });
       chrome.action.setTitle({ tabId, title: '' });
@@ -645,7 +1341,8 @@ async function setIconAndState(tabId, state) {
 
 /**
  * Updates the title of a specific tab to reflect the number of findings.
- * It injects a script to safely modify the page's document.title.
+ * It injects a script to safely modify the page's document.title, using the
+ * prefix configured in the settings. An empty prefix leaves the title unchanged.
  * @param {number} tabId - The ID of the tab to update.
  * @param {number} findingsCount - The number of secrets found.
  * @returns {Promise<void>}
@@ -654,20 +1351,21 @@ async function updateTabTitle(tabId, findingsCount) {
   if (!(await isValidTab(tabId))) {
     return;
   }
+  const { tabTitlePrefix } = await getSettings();
   try {
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
-      function: (count) => {
-        const oldPrefixRegex = /^\[JSRB \(\d+\)\] /;
+      function: (count, prefix) => {
+        const oldPrefixRegex = /^\[[^[\]()]* ?\(\d+\)\] /;
         const originalTitle = document.title.replace(oldPrefixRegex, '');
 
-        if (count > 0) {
-          document.title = `[JSRB (${count})] ${originalTitle}`;
+        if (count > 0 && prefix) {
+          document.title = `[${prefix} (${count})] ${originalTitle}`;
         } else {
           document.title = originalTitle;
         }
       },
-      args: [findingsCount],
+      args: [findingsCount, tabTitlePrefix],
     });
   } catch (error) {
     if (error.message.includes("Cannot access a chrome:// URL")) return;
@@ -707,10 +1405,11 @@ async function updateActionUI(tabId, findingsCount) {
 }
 
 /**
- * Scrapes the initial content from the active web page.
- * This function is executed in the context of the web page itself,
- * not in the service worker's context.
- * @returns {{html: string, inlineScripts: string[], externalScripts: string[]}} An object containing the page's content.
+ * Scrapes the initial content from a frame of the active web page.
+ * Module preloads (`<link rel="modulepreload">`) are reported as external scripts.
+ * This function is executed in the context of the web page itself (once per
+ * frame), not in the service worker's context.
+ * @returns {{frameUrl: string, html: string, inlineScripts: string[], externalScripts: string[]}} An object containing the frame's content.
  */
 function scrapePageContent() {
   const scripts = Array.from(document.scripts);
@@ -720,9 +1419,72 @@ function scrapePageContent() {
   const externalScripts = scripts
     .filter(script => script.src)
     .map(script => script.src);
+  document.querySelectorAll('link[rel="modulepreload"][href]').forEach(link => {
+    if (!externalScripts.includes(link.href)) {
+      externalScripts.push(link.href);
+    }
+  });
   return {
+    frameUrl: location.href,
     html: document.documentElement.outerHTML,
     inlineScripts,
     externalScripts,
   };
 }
+
+/**
+ * Watches a frame for scripts added after the initial scan (lazy chunks, tag
+ * managers, SPA route bundles) and reports them to the service worker.
+ * This function is executed in the context of the web page itself. Reports are
+ * debounced, and the watcher is installed only once per document.
+ */
+function watchForNewScripts() {
+  if (window.__jsReconBuddyScriptWatcher) {
+    return;
+  }
+  window.__jsReconBuddyScriptWatcher = true;
+
+  let inlineScripts = [];
+  let externalScripts = new Set();
+  let timer = null;
+
+  const report = () => {
+    timer = null;
+    if (inlineScripts.length === 0 && externalScripts.size === 0) {
+      return;
+    }
+    chrome.runtime.sendMessage({
+      type: 'NEW_SCRIPTS_DETECTED',
+      frameUrl: location.href,
+      inlineScripts,
+      externalScripts: Array.from(externalScripts),
+    }).catch(() => { });
+    inlineScripts = [];
+    externalScripts = new Set();
+  };
+
+  const collect = (node) => {
+    if (node.nodeName === 'LINK') {
+      externalScripts.add(node.href);
+    } else if (node.src) {
+      externalScripts.add(node.src);
+    } else if (node.textContent) {
+      inlineScripts.push(node.textContent);
+    }
+  };
+
+  new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeName === 'SCRIPT' || (node.nodeName === 'LINK' && node.rel === 'modulepreload' && node.href)) {
+          collect(node);
+        } else if (node.querySelectorAll) {
+          node.querySelectorAll('script, link[rel="modulepreload"][href]').forEach(collect);
+        }
+      }
+    }
+    if (!timer && (inlineScripts.length > 0 || externalScripts.size > 0)) {
+      timer = setTimeout(report, 500);
+    }
+  }).observe(document, { childList: true, subtree: true });
+}
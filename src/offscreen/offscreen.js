@@ -1,4 +1,8 @@
-import { shannonEntropy } from '../utils/entropy.js';
+import { createRuleSelector } from '../utils/keywords.js';
+import { deserializeRules, scanWindow } from './scanEngine.js';
+import { scanSources } from './scanJob.js';
+import { createWorkerPool } from './workerPool.js';
+import { WORKER_RULE_TIMEOUT_MS } from '../utils/regexSafety.js';
 
 /**
  * Listens for and routes incoming messages from the service worker.
@@ -7,9 +11,9 @@ import { shannonEntropy } from '../utils/entropy.js';
  * of requests:
  * - 'ping': A simple readiness check to confirm the document is active and
  * responsive before receiving a larger payload.
- * - 'scanContent': The main task. It deserializes the provided RegExp rules,
- * passes the data to the `performScan` function for processing, and returns
- * the results or any errors that occur.
+ * - 'scanContent': The main task. It passes the sources and the serialized
+ * rules to the `performScan` function for processing, and returns the
+ * findings with per-source scan statistics, or any errors that occur.
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'ping') {
@@ -18,13 +22,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   } else if (request.type === 'scanContent') {
     (async () => {
       try {
-        const { allContentSources, secretRules } = request;
-        const deserializedRules = secretRules.map(rule => ({
-          ...rule,
-          regex: new RegExp(rule.regex.source, rule.regex.flags)
-        }));
-        const findings = await performScan(allContentSources, deserializedRules);
-        sendResponse({ status: 'success', data: findings });
+        const { allContentSources, rules } = request;
+        const { findings, sourceStats } = await performScan(allContentSources, rules);
+        sendResponse({ status: 'success', data: findings, sourceStats });
       } catch (error) {
         console.warn("[JS Recon Buddy] An error has occured during offscreen scan:", error);
         sendResponse({ status: 'error', message: error.message });
@@ -35,41 +35,67 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 /**
- * Executes the CPU-intensive secret scanning logic asynchronously.
+ * @description The pool of scan workers, sized to the number of logical
+ * processors. Null if dedicated workers cannot be created in this document.
+ * @type {{run: function(Array<object>, Array<object>): Promise<Array<object>>} | null}
+ */
+const workerPool = typeof Worker === 'undefined'
+  ? null
+  : createWorkerPool(
+    new URL('./scanWorker.js', import.meta.url),
+    Math.max(1, navigator.hardwareConcurrency || 1),
+    WORKER_RULE_TIMEOUT_MS
+  );
+
+/**
+ * Executes the CPU-intensive scanning logic in parallel.
  *
- * This function processes each content source and then yields control back to
- * the event loop. This prevents it from blocking the thread for too long,
- * allowing the extension to remain responsive to other events.
+ * The windows of the sources are scanned by the worker pool, where idle
+ * workers steal the windows of large sources from busy ones, see `scanSources`.
+ * If the workers fail, the scan falls back to `scanInDocument`.
  *
- * @param {Array<{source: string, content: string, isTooLarge: boolean}>} allContentSources
- * An array of content objects to scan.
- * @param {Array<object>} secretRules
- * An array of rule objects containing live RegExp objects to match against the content.
- * @returns {Promise<Array<object>>}
- * A promise that resolves with an array of finding objects.
+ * @param {Array<{source: string, content: string, isTooLarge: boolean, frameId: number, frameUrl: string}>} allContentSources
+ * An array of content objects to scan, each tagged with the frame it came from.
+ * @param {Array<object>} rules
+ * An array of secret rules, and patterns of the full page analysis, whose regexes are `{source, flags}` objects.
+ * @returns {Promise<{findings: Array<object>, sourceStats: Array<object>}>}
+ * A promise that resolves with an array of finding objects, each holding the
+ * `index` of the secret within its source, and the stats of each source.
  */
-async function performScan(allContentSources, secretRules) {
-  const findings = [];
-  for (const { source, content, isTooLarge } of allContentSources) {
-    for (const rule of secretRules) {
-      const matches = content.matchAll(rule.regex);
-      for (const match of matches) {
-        const secret = match[rule.group || 0];
-
-        if (rule.entropy && shannonEntropy(secret) < rule.entropy) {
-          continue;
-        }
-
-        findings.push({
-          id: rule.id,
-          description: rule.description,
-          secret: secret,
-          source: source,
-          isSourceTooLarge: isTooLarge
-        });
+async function performScan(allContentSources, rules) {
+  return scanSources(allContentSources, rules, async (tasks) => {
+    if (workerPool) {
+      try {
+        return await workerPool.run(tasks, rules);
+      } catch (error) {
+        console.warn('[JS Recon Buddy] The scan workers failed, scanning in the offscreen document instead:', error);
       }
     }
+    return scanInDocument(tasks, rules);
+  });
+}
+
+/**
+ * Scans the windows on the thread of the offscreen document, one at a time.
+ *
+ * It yields control back to the event loop after each window. This prevents
+ * it from blocking the thread for too long, allowing the extension to remain
+ * responsive to other events. Rules are only stopped between matches here,
+ * see `scanWindow`.
+ *
+ * @param {Array<{source: string, window: object}>} tasks The windows to scan.
+ * @param {Array<object>} rules The rules, with `{source, flags}` regexes.
+ * @returns {Promise<Array<{findings: Array<object>, timedOutRules: string[], ruleStats: Array<object>, scanMs: number}>>}
+ * The result of each task.
+ */
+async function scanInDocument(tasks, rules) {
+  const selectRules = createRuleSelector(deserializeRules(rules));
+  const results = [];
+  for (const { source, window } of tasks) {
+    const start = performance.now();
+    const { findings, timedOutRules, ruleStats } = scanWindow(window, selectRules, source);
+    results.push({ findings, timedOutRules, ruleStats, scanMs: performance.now() - start });
     await new Promise(resolve => setTimeout(resolve, 0));
   }
-  return findings;
+  return results;
 }
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview The scanning logic shared by the scan workers and the
+ * offscreen document, which uses it directly when workers are unavailable.
+ * Sources are split into windows, and each window is scanned on its own, so
+ * the windows of a large source can be scanned in parallel.
+ *
+ * Besides the secret rules, the workers run the patterns of the full page
+ * analysis (endpoints, subdomains, ...), whose rules have `kind: 'pattern'`
+ * and whose matches are reported as they are, to be validated by the overlay.
+ */
+
+import { shannonEntropy } from '../utils/entropy.js';
+import { isAllowlisted } from '../utils/ruleFilters.js';
+import { RULE_TIME_BUDGET_MS } from '../utils/regexSafety.js';
+import { validateSecret } from '../utils/validators.js';
+
+/**
+ * @description The size of the windows that large sources are split into
+ * before running the rules, which keeps each regex evaluation bounded.
+ * @type {number}
+ */
+const SCAN_WINDOW_SIZE = 1024 * 1024;
+
+/**
+ * @description The number of characters each window extends into its
+ * neighbours, so that matches crossing a window boundary are still caught
+ * and matched with their surrounding context.
+ * @type {number}
+ */
+const SCAN_WINDOW_OVERLAP = 16 * 1024;
+
+/**
+ * Turns rules received as messages, whose regexes are `{source, flags}`
+ * objects, back into rules with live RegExp objects.
+ * @param {Array<object>} serializedRules
+ * @returns {Array<object>}
+ */
+export function deserializeRules(serializedRules) {
+  return serializedRules.map(rule => ({
+    ...rule,
+    regex: new RegExp(rule.regex.source, rule.regex.flags)
+  }));
+}
+
+/**
+ * Splits content into overlapping scan windows.
+ *
+ * Each window owns the range `[start, end)` of the content: only matches that
+ * begin in that range are reported by it. Its `text` additionally includes
+ * `SCAN_WINDOW_OVERLAP` characters on both sides, so a match starting near the
+ * end of the range can extend into the next window, and patterns that look at
+ * the characters before a secret still see them.
+ *
+ * @param {string} content The content to split.
+ * @returns {Array<{text: string, offset: number, start: number, end: number}>}
+ * The windows, where `offset` is the position of `text` within the content.
+ */
+export function getScanWindows(content) {
+  if (content.length <= SCAN_WINDOW_SIZE) {
+    return [{ text: content, offset: 0, start: 0, end: content.length }];
+  }
+
+  const windows = [];
+  for (let start = 0; start < content.length; start += SCAN_WINDOW_SIZE) {
+    const end = Math.min(start + SCAN_WINDOW_SIZE, content.length);
+    const offset = Math.max(0, start - SCAN_WINDOW_OVERLAP);
+    windows.push({
+      text: content.slice(offset, end + SCAN_WINDOW_OVERLAP),
+      offset,
+      start,
+      end
+    });
+  }
+  return windows;
+}
+
+/**
+ * Runs the secret rules and patterns over one scan window.
+ *
+ * The text of the window is first searched for the keywords of all rules in a
+ * single pass, and only the rules whose keywords appear in it (or that have
+ * none) run their regex. Findings are returned in rule order, then in match
+ * order, so scanning the same window always gives the same result.
+ *
+ * Each rule runs under a time budget, checked after every match: a rule that
+ * exceeds it is stopped and reported in `timedOutRules`, keeping the findings
+ * it made so far. A single runaway match cannot be interrupted this way; the
+ * worker pool handles those by terminating the worker (see `onRuleStart`).
+ * The time each rule took and its number of matches are reported for the profiler.
+ *
+ * @param {{text: string, offset: number, start: number, end: number}} window The window to scan.
+ * @param {function(string): Array<object>} selectRules The keyword selector of the rules,
+ * see `createRuleSelector`.
+ * @param {string} source The source the window belongs to, for the path allowlists.
+ * @param {object} [options={}]
+ * @param {number} [options.budgetMs=RULE_TIME_BUDGET_MS] The time budget of each rule.
+ * @param {string[]} [options.skipRuleIds=[]] Rules not to run, e.g. because they already timed out.
+ * @param {function(string): void} [options.onRuleStart] Called with the id of each rule before it runs.
+ * @returns {{findings: Array<{id: string, description: string, severity: string, confidence: string, tags: string[], validation: string, secret: string, index: number}>, timedOutRules: string[], ruleStats: Array<{id: string, ms: number, matches: number}>}}
+ * The findings, with the severity, confidence and tags of their rule, the
+ * result of their offline validation (see validators.js) and where
+ * `index` is the position of the secret within the source,
+ * the ids of the rules that were stopped, and the statistics of each rule that ran.
+ * The findings of patterns only have the `id`, the matched group as `secret` and
+ * the `index` of the whole match.
+ */
+export function scanWindow(window, selectRules, source, { budgetMs = RULE_TIME_BUDGET_MS, skipRuleIds = [], onRuleStart } = {}) {
+  const findings = [];
+  const timedOutRules = [];
+  const ruleStats = [];
+  for (const rule of selectRules(window.text)) {
+    if (skipRuleIds.includes(rule.id)) {
+      continue;
+    }
+    onRuleStart?.(rule.id);
+    const ruleStart = performance.now();
+    let matchCount = 0;
+    const matches = window.text.matchAll(rule.regex);
+    for (const match of matches) {
+      matchCount++;
+      if (performance.now() - ruleStart > budgetMs) {
+        timedOutRules.push(rule.id);
+        break;
+      }
+      const matchIndex = window.offset + match.index;
+      if (matchIndex < window.start || matchIndex >= window.end) {
+        continue;
+      }
+      const secret = match[rule.group || 0];
+      if (!secret) {
+        continue;
+      }
+
+      if (rule.kind === 'pattern') {
+        findings.push({ id: rule.id, secret, index: matchIndex });
+        continue;
+      }
+
+      if (rule.minLength && secret.length < rule.minLength) {
+        continue;
+      }
+
+      if (rule.entropy && shannonEntropy(secret) < rule.entropy) {
+        continue;
+      }
+
+      if (isAllowlisted(rule, { secret, text: window.text, index: match.index, length: match[0].length, source })) {
+        continue;
+      }
+
+      const secretOffset = match[0].indexOf(secret);
+      findings.push({
+        id: rule.id,
+        description: rule.description,
+        severity: rule.severity,
+        confidence: rule.confidence,
+        tags: rule.tags,
+        validation: validateSecret(rule.id, secret),
+        secret: secret,
+        index: matchIndex + Math.max(secretOffset, 0)
+      });
+    }
+    ruleStats.push({ id: rule.id, ms: performance.now() - ruleStart, matches: matchCount });
+  }
+  return { findings, timedOutRules, ruleStats };
+}
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview A scan of several sources: the sources are split into scan
+ * windows, the windows are scanned, and their results are merged back per
+ * source. Used by the offscreen document, and by the overlay when the
+ * offscreen document cannot be reached and it runs the scan workers itself.
+ */
+
+import { getScanWindows } from './scanEngine.js';
+import { addRuleStats, finalizeRuleStats } from '../utils/profiler.js';
+
+/**
+ * Scans sources with a set of rules.
+ *
+ * Each source is split into windows (see `getScanWindows`), which `runTasks`
+ * scans, e.g. with a worker pool (see workerPool.js). The findings are merged
+ * in the order of the sources and windows, so repeated scans report them in
+ * the same order whichever worker scanned what. The stats of each source list
+ * the rules stopped for exceeding their time budget on it, and the time and
+ * matches of every rule that ran on it, for the profiler.
+ *
+ * @param {Array<{source: string, content: string, isTooLarge: boolean, frameId: number, frameUrl: string}>} allContentSources
+ * The sources to scan, each tagged with the frame it came from.
+ * @param {Array<object>} rules The secret rules and patterns, with `{source, flags}` regexes.
+ * @param {function(Array<{group: number, source: string, window: object}>): Promise<Array<object>>} runTasks
+ * Scans the windows and resolves with the result of each, see `ScanTaskResult` in workerPool.js.
+ * @returns {Promise<{findings: Array<object>, sourceStats: Array<{source: string, scanMs: number, timedOutRules: string[], ruleStats: Array<import('../utils/profiler.js').RuleStats>}>}>}
+ * The findings, each holding the `index` of the secret within its source, and
+ * the stats of each source.
+ */
+export async function scanSources(allContentSources, rules, runTasks) {
+  const tasks = allContentSources.flatMap(({ source, content }, sourceIndex) =>
+    getScanWindows(content).map(window => ({ group: sourceIndex, source, window }))
+  );
+  const results = await runTasks(tasks);
+
+  const ruleKinds = new Map(rules.map(rule => [rule.id, rule.kind || 'secret']));
+  const findings = [];
+  const scanTimes = new Array(allContentSources.length).fill(0);
+  const timedOutRules = allContentSources.map(() => new Set());
+  const ruleStats = allContentSources.map(() => new Map());
+  tasks.forEach(({ group }, taskIndex) => {
+    const { source, isTooLarge, frameId, frameUrl } = allContentSources[group];
+    scanTimes[group] += results[taskIndex].scanMs;
+    results[taskIndex].timedOutRules.forEach(ruleId => timedOutRules[group].add(ruleId));
+    results[taskIndex].ruleStats.forEach(({ id, ms, matches }) =>
+      addRuleStats(ruleStats[group], id, ruleKinds.get(id) || 'secret', ms, matches));
+    for (const finding of results[taskIndex].findings) {
+      findings.push({
+        ...finding,
+        source: source,
+        isSourceTooLarge: isTooLarge,
+        frameId: frameId,
+        frameUrl: frameUrl
+      });
+    }
+  });
+  const sourceStats = allContentSources.map(({ source }, sourceIndex) => ({
+    source,
+    scanMs: Math.round(scanTimes[sourceIndex]),
+    timedOutRules: [...timedOutRules[sourceIndex]],
+    ruleStats: finalizeRuleStats(ruleStats[sourceIndex])
+  }));
+  return { findings, sourceStats };
+}
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview A dedicated worker of the offscreen scan pool. It receives the
+ * rules of each scan once, then scans one window at a time and posts the
+ * findings back to the pool.
+ */
+
+import { createRuleSelector } from '../utils/keywords.js';
+import { deserializeRules, scanWindow } from './scanEngine.js';
+
+/**
+ * @description The keyword selectors of the rule sets this worker received,
+ * by rule set id.
+ * @type {Map<number, function(string): Array<object>>}
+ */
+const ruleSelectors = new Map();
+
+/**
+ * Handles the messages of the pool:
+ * - 'rules': stores a rule set used by the following 'scan' messages.
+ * - 'releaseRules': forgets a rule set once its scan is over.
+ * - 'scan': scans a window and posts a 'result' (or 'error') message with the
+ * findings and the time spent. A 'ruleStart' message is posted before each
+ * rule runs, so the pool can tell which rule a stuck worker is running.
+ */
+self.onmessage = ({ data }) => {
+  if (data.type === 'rules') {
+    ruleSelectors.set(data.rulesId, createRuleSelector(deserializeRules(data.rules)));
+  } else if (data.type === 'releaseRules') {
+    ruleSelectors.delete(data.rulesId);
+  } else if (data.type === 'scan') {
+    const start = performance.now();
+    try {
+      const selectRules = ruleSelectors.get(data.rulesId);
+      if (!selectRules) {
+        throw new Error(`Unknown rule set ${data.rulesId}.`);
+      }
+      const { findings, timedOutRules, ruleStats } = scanWindow(data.window, selectRules, data.source, {
+        skipRuleIds: data.skipRuleIds,
+        onRuleStart: (ruleId) => self.postMessage({ type: 'ruleStart', taskId: data.taskId, ruleId })
+      });
+      self.postMessage({
+        type: 'result',
+        taskId: data.taskId,
+        findings,
+        timedOutRules,
+        ruleStats,
+        scanMs: performance.now() - start
+      });
+    } catch (error) {
+      self.postMessage({ type: 'error', taskId: data.taskId, message: error.message });
+    }
+  }
+};
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview A pool of dedicated scan workers (see scanWorker.js) for the
+ * offscreen document.
+ *
+ * Each worker has its own queue of tasks, and all the windows of a source are
+ * queued on the same worker. A worker takes its tasks from the front of its
+ * queue; once it is empty, it steals the last task of the longest other queue,
+ * so the windows of a very large source end up spread over all idle workers.
+ * Several scans can run at the same time and share the workers.
+ *
+ * A rule running longer than the rule timeout on a window is stuck, as a
+ * regular expression cannot be interrupted: the worker is terminated and
+ * replaced, and the window is scanned again without that rule, which is
+ * reported as timed out.
+ */
+
+/**
+ * @typedef {object} ScanTask
+ * @property {number} group Tasks with the same group are queued on the same
+ * worker, e.g. the windows of one source.
+ * @property {string} source The source the window belongs to.
+ * @property {{text: string, offset: number, start: number, end: number}} window The window to scan.
+ */
+
+/**
+ * @typedef {object} ScanTaskResult
+ * @property {Array<{id: string, description: string, severity: string, confidence: string, tags: string[], validation: string, secret: string, index: number}>} findings
+ * @property {string[]} timedOutRules The ids of the rules stopped for exceeding their time budget.
+ * @property {Array<{id: string, ms: number, matches: number}>} ruleStats The time and matches of each rule.
+ * @property {number} scanMs The time the worker spent on the task.
+ */
+
+/**
+ * Creates a pool of scan workers. The workers are started on the first scan
+ * and kept for the following ones.
+ * @param {string | URL} workerUrl The URL of the worker module.
+ * @param {number} size The number of workers.
+ * @param {number} ruleTimeoutMs The time after which a worker running the same
+ * rule is considered stuck and terminated.
+ * @returns {{run: function(ScanTask[], Array<object>): Promise<ScanTaskResult[]>}}
+ * The pool. `run` scans the tasks with the given serialized rules and resolves
+ * with the result of each task, in the order of the tasks.
+ */
+export function createWorkerPool(workerUrl, size, ruleTimeoutMs) {
+  const slots = [];
+  let nextTaskId = 0;
+  let nextRulesId = 0;
+
+  /**
+   * Starts a worker in a slot, replacing the previous one if it failed.
+   * @param {object} slot
+   */
+  const startWorker = (slot) => {
+    slot.worker = new Worker(workerUrl, { type: 'module' });
+    slot.rulesIds = new Set();
+    slot.worker.onmessage = ({ data }) => {
+      const task = slot.current;
+      if (!task || task.id !== data.taskId) {
+        return;
+      }
+      clearTimeout(slot.watchdog);
+      if (data.type === 'ruleStart') {
+        slot.ruleStartedAt = performance.now();
+        slot.watchdog = setTimeout(() => abortRule(slot, data.ruleId), ruleTimeoutMs);
+        return;
+      }
+      slot.current = null;
+      if (data.type === 'result') {
+        task.resolve({
+          findings: data.findings,
+          timedOutRules: [...task.timedOutRules, ...data.timedOutRules],
+          ruleStats: [...task.ruleStats, ...data.ruleStats],
+          scanMs: task.elapsedMs + data.scanMs
+        });
+      } else {
+        task.reject(new Error(data.message));
+      }
+      dispatch(slot);
+    };
+    slot.worker.onerror = (event) => {
+      event.preventDefault();
+      clearTimeout(slot.watchdog);
+      const task = slot.current;
+      slot.current = null;
+      slot.worker.terminate();
+      startWorker(slot);
+      task?.reject(new Error(event.message || 'A scan worker failed.'));
+      dispatch(slot);
+    };
+  };
+
+  /**
+   * Terminates a worker stuck on a rule and queues its window again, first,
+   * without that rule.
+   * @param {object} slot
+   * @param {string} ruleId The rule the worker is running.
+   */
+  const abortRule = (slot, ruleId) => {
+    const task = slot.current;
+    console.warn(`[JS Recon Buddy] The rule "${ruleId}" exceeded its time budget on ${task.source} and was stopped.`);
+    slot.current = null;
+    slot.worker.terminate();
+    startWorker(slot);
+    task.skipRuleIds.push(ruleId);
+    task.timedOutRules.push(ruleId);
+    task.ruleStats.push({ id: ruleId, ms: performance.now() - slot.ruleStartedAt, matches: 0 });
+    task.elapsedMs += performance.now() - task.startedAt;
+    slot.queue.unshift(task);
+    dispatch(slot);
+  };
+
+  /**
+   * Takes the last task of the longest queue of the other workers.
+   * @param {object} thief The slot of the idle worker.
+   * @returns {object | undefined}
+   */
+  const steal = (thief) => {
+    let victim = null;
+    for (const slot of slots) {
+      if (slot !== thief && slot.queue.length > 0 && (!victim || slot.queue.length > victim.queue.length)) {
+        victim = slot;
+      }
+    }
+    return victim?.queue.pop();
+  };
+
+  /**
+   * Sends the next task to a worker if it is idle.
+   * @param {object} slot
+   */
+  const dispatch = (slot) => {
+    if (slot.current) {
+      return;
+    }
+    const task = slot.queue.shift() ?? steal(slot);
+    if (!task) {
+      return;
+    }
+    slot.current = task;
+    task.startedAt = performance.now();
+    const { job } = task;
+    if (!slot.rulesIds.has(job.rulesId)) {
+      slot.worker.postMessage({ type: 'rules', rulesId: job.rulesId, rules: job.rules });
+      slot.rulesIds.add(job.rulesId);
+    }
+    slot.worker.postMessage({
+      type: 'scan',
+      taskId: task.id,
+      rulesId: job.rulesId,
+      source: task.source,
+      window: task.window,
+      skipRuleIds: task.skipRuleIds
+    });
+  };
+
+  /**
+   * Scans tasks with a set of rules.
+   * @param {ScanTask[]} tasks
+   * @param {Array<object>} rules The rules, with `{source, flags}` regexes.
+   * @returns {Promise<ScanTaskResult[]>}
+   */
+  const run = async (tasks, rules) => {
+    if (slots.length === 0) {
+      for (let i = 0; i < size; i++) {
+        const slot = { worker: null, rulesIds: null, queue: [], current: null, watchdog: null, ruleStartedAt: 0 };
+        startWorker(slot);
+        slots.push(slot);
+      }
+    }
+
+    const job = { rulesId: nextRulesId++, rules };
+    const groupSlots = new Map();
+    const promises = tasks.map(({ group, source, window }) => new Promise((resolve, reject) => {
+      if (!groupSlots.has(group)) {
+        groupSlots.set(group, slots.reduce((shortest, slot) => slot.queue.length < shortest.queue.length ? slot : shortest));
+      }
+      groupSlots.get(group).queue.push({
+        id: nextTaskId++,
+        job,
+        source,
+        window,
+        skipRuleIds: [],
+        timedOutRules: [],
+        ruleStats: [],
+        elapsedMs: 0,
+        startedAt: 0,
+        resolve,
+        reject
+      });
+    }));
+    slots.forEach(dispatch);
+
+    try {
+      return await Promise.all(promises);
+    } catch (error) {
+      for (const slot of slots) {
+        slot.queue = slot.queue.filter(task => task.job !== job);
+      }
+      throw error;
+    } finally {
+      for (const slot of slots) {
+        if (slot.rulesIds.delete(job.rulesId)) {
+          slot.worker.postMessage({ type: 'releaseRules', rulesId: job.rulesId });
+        }
+      }
+    }
+  };
+
+  return { run };
+}
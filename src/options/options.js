@@ -0,0 +1,548 @@
+import { DEFAULT_SETTINGS, getSettings, saveSettings, validateSettings } from '../utils/settings.js';
+import { importScopeFile } from '../utils/scopeImport.js';
+import { getCustomRules, getSecretRules, saveCustomRules, validateCustomRule } from '../utils/customRules.js';
+import { findBacktrackingRisks } from '../utils/regexSafety.js';
+import { exportGitleaksToml, importGitleaksToml } from '../utils/gitleaksToml.js';
+import { CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE, DEFAULT_SEVERITY, RULE_TAGS, SEVERITY_LEVELS } from '../utils/ruleMetadata.js';
+
+/**
+ * @description How long the status message stays visible after saving.
+ * @type {number}
+ */
+const STATUS_MESSAGE_DURATION_MS = 3000;
+
+/**
+ * @description The timers that hide the status messages, by element.
+ * @type {WeakMap<HTMLElement, number>}
+ */
+const statusTimers = new WeakMap();
+
+/**
+ * @description The fields of the custom rule editor.
+ * @type {string[]}
+ */
+const RULE_FIELDS = ['id', 'description', 'regex', 'group', 'keywords', 'entropy', 'minLength', 'severity', 'confidence', 'tags'];
+
+/**
+ * @description The description of the allowlist holding the stopwords typed in
+ * the rule editor. The other allowlists of a rule, e.g. imported from gitleaks,
+ * are kept as they are.
+ * @type {string}
+ */
+const EDITOR_STOPWORDS_DESCRIPTION = 'Stopwords';
+
+/**
+ * @description The custom rules, as stored.
+ * @type {Array<object>}
+ */
+let customRules = [];
+
+/**
+ * @description The id of the custom rule being edited, or null when adding a rule.
+ * @type {string | null}
+ */
+let editingRuleId = null;
+
+/**
+ * @description Main entry point that runs when the options page is loaded.
+ * It fills the form with the stored settings and attaches the save, reset and import handlers.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('settings-form');
+  const resetButton = document.getElementById('reset-button');
+  const importButton = document.getElementById('import-scope-button');
+  const importInput = document.getElementById('import-scope-file');
+
+  fillForm(form, await getSettings());
+
+  form.addEventListener('input', (event) => {
+    if (event.target.name) {
+      const { errors } = validateSettings({ [event.target.name]: readField(form, event.target.name) });
+      showErrors(form, errors, [event.target.name]);
+    }
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    let errors;
+    try {
+      errors = await saveSettings(readForm(form));
+    } catch (error) {
+      showStatus(`Could not save the settings: ${error.message}`, true);
+      return;
+    }
+    showErrors(form, errors);
+    if (Object.keys(errors).length > 0) {
+      showStatus('Please fix the highlighted fields.', true);
+      return;
+    }
+    fillForm(form, await getSettings());
+    showStatus('Settings saved.');
+  });
+
+  resetButton.addEventListener('click', async () => {
+    try {
+      await saveSettings(DEFAULT_SETTINGS);
+    } catch (error) {
+      showStatus(`Could not restore the default settings: ${error.message}`, true);
+      return;
+    }
+    fillForm(form, DEFAULT_SETTINGS);
+    showErrors(form, {});
+    showStatus('Default settings restored.');
+  });
+
+  importButton.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const [file] = importInput.files;
+    importInput.value = '';
+    if (file) {
+      await importScope(form, file);
+    }
+  });
+
+  initRuleEditor();
+});
+
+/**
+ * Imports the scope file of a bug bounty program and adds its rules to the
+ * scope fields. The settings are not saved, so that the rules can be reviewed first.
+ * @param {HTMLFormElement} form
+ * @param {File} file
+ */
+async function importScope(form, file) {
+  let imported;
+  try {
+    imported = importScopeFile(await file.text(), file.name);
+  } catch (error) {
+    showStatus(`Could not import ${file.name}: ${error.message}`, true);
+    return;
+  }
+
+  for (const [key, rules] of [['scopeInclude', imported.include], ['scopeExclude', imported.exclude]]) {
+    const field = form.elements.namedItem(key);
+    const existing = new Set(field.value.split('\n').map(rule => rule.trim()));
+    const added = rules.filter(rule => !existing.has(rule));
+    if (added.length > 0) {
+      const lines = field.value.trim() ? [field.value.trimEnd()] : [];
+      field.value = [...lines, `# Imported from ${file.name}`, ...added].join('\n');
+    }
+  }
+
+  const { errors } = validateSettings({
+    scopeInclude: readField(form, 'scopeInclude'),
+    scopeExclude: readField(form, 'scopeExclude'),
+  });
+  showErrors(form, errors, ['scopeInclude', 'scopeExclude']);
+
+  const skipped = imported.skipped.length > 0
+    ? ` Skipped ${imported.skipped.length} asset(s): ${imported.skipped.slice(0, 3).map(asset => asset.identifier).join(', ')}${imported.skipped.length > 3 ? ', ...' : ''}.`
+    : '';
+  showStatus(`Imported ${imported.include.length} in-scope and ${imported.exclude.length} out-of-scope rule(s). Save to apply them.${skipped}`);
+}
+
+/**
+ * Fills the form fields with the given settings.
+ * @param {HTMLFormElement} form
+ * @param {object} settings
+ */
+function fillForm(form, settings) {
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    const field = form.elements.namedItem(key);
+    if (field?.type === 'checkbox') {
+      field.checked = settings[key];
+    } else if (field) {
+      field.value = Array.isArray(settings[key]) ? settings[key].join('\n') : settings[key];
+    }
+  }
+}
+
+/**
+ * Reads the value of a single form field, converting the parameter list to an
+ * array and checkboxes to booleans.
+ * @param {HTMLFormElement} form
+ * @param {string} key
+ * @returns {string | string[] | boolean}
+ */
+function readField(form, key) {
+  const { type, value, checked } = form.elements.namedItem(key);
+  if (type === 'checkbox') {
+    return checked;
+  }
+  return Array.isArray(DEFAULT_SETTINGS[key]) ? value.split('\n') : value;
+}
+
+/**
+ * Reads all settings from the form.
+ * @param {HTMLFormElement} form
+ * @returns {object}
+ */
+function readForm(form) {
+  const values = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (form.elements.namedItem(key)) {
+      values[key] = readField(form, key);
+    }
+  }
+  return values;
+}
+
+/**
+ * Shows the validation errors next to their fields.
+ * @param {HTMLFormElement} form
+ * @param {Object<string, string>} errors The error message of each invalid field.
+ * @param {string[]} [keys] The fields to update. Defaults to all fields.
+ */
+function showErrors(form, errors, keys = Object.keys(DEFAULT_SETTINGS)) {
+  for (const key of keys) {
+    const field = form.elements.namedItem(key);
+    const message = form.querySelector(`[data-error-for="${key}"]`);
+    if (field) {
+      field.classList.toggle('invalid', !!errors[key]);
+    }
+    if (message) {
+      message.textContent = errors[key] || '';
+    }
+  }
+}
+
+/**
+ * Shows a short status message below a form.
+ * @param {string} text
+ * @param {boolean} [isError=false]
+ * @param {string} [elementId='status-message'] The id of the status element.
+ */
+function showStatus(text, isError = false, elementId = 'status-message') {
+  const status = document.getElementById(elementId);
+  status.textContent = text;
+  status.classList.toggle('status-error', isError);
+  clearTimeout(statusTimers.get(status));
+  statusTimers.set(status, setTimeout(() => {
+    status.textContent = '';
+  }, STATUS_MESSAGE_DURATION_MS));
+}
+
+/**
+ * Loads the custom rules and attaches the handlers of the rule editor.
+ */
+async function initRuleEditor() {
+  const ruleForm = document.getElementById('rule-form');
+  const cancelButton = document.getElementById('rule-cancel-button');
+  const list = document.getElementById('custom-rules-list');
+
+  fillOptions(ruleForm.elements.namedItem('severity'), SEVERITY_LEVELS);
+  fillOptions(ruleForm.elements.namedItem('confidence'), CONFIDENCE_LEVELS);
+  for (const tag of RULE_TAGS) {
+    const option = document.createElement('option');
+    option.value = tag;
+    document.getElementById('rule-tag-suggestions').appendChild(option);
+  }
+  resetRuleForm(ruleForm);
+
+  customRules = await getCustomRules();
+  renderRules();
+
+  ruleForm.addEventListener('input', (event) => {
+    const key = event.target.name === 'flags' ? 'regex' : event.target.name;
+    const { errors } = validateCustomRule(readRuleForm(ruleForm), getOtherRules());
+    showErrors(ruleForm, errors, key === 'regex' ? ['regex', 'group'] : [key]);
+  });
+
+  ruleForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { rule, errors, warnings } = validateCustomRule(readRuleForm(ruleForm), getOtherRules());
+    showErrors(ruleForm, errors, RULE_FIELDS);
+    if (!rule) {
+      showStatus('Please fix the highlighted fields.', true, 'rule-status-message');
+      return;
+    }
+
+    const index = customRules.findIndex(existing => existing.id === editingRuleId);
+    const nextRules = index === -1
+      ? [...customRules, rule]
+      : customRules.map((existing, i) => (i === index
+        ? { ...rule, enabled: existing.enabled }
+        : existing));
+    if (await storeRules(nextRules)) {
+      const saved = index === -1 ? 'Rule added.' : 'Rule updated.';
+      showStatus(warnings.length > 0 ? `${saved} Warning: ${warnings[0]}` : saved, false, 'rule-status-message');
+      resetRuleForm(ruleForm);
+    }
+  });
+
+  cancelButton.addEventListener('click', () => resetRuleForm(ruleForm));
+
+  const importInput = document.getElementById('import-gitleaks-file');
+  document.getElementById('import-gitleaks-button').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const [file] = importInput.files;
+    importInput.value = '';
+    if (file) {
+      await importGitleaksRules(file);
+    }
+  });
+  document.getElementById('export-custom-rules-button').addEventListener('click', () => {
+    exportRules(customRules, 'jsrb-custom-rules.toml');
+  });
+  document.getElementById('export-all-rules-button').addEventListener('click', async () => {
+    exportRules(await getSecretRules(), 'jsrb-rules.toml');
+  });
+
+  list.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    const item = event.target.closest('[data-rule-id]');
+    if (!button || !item) {
+      return;
+    }
+    const rule = customRules.find(existing => existing.id === item.dataset.ruleId);
+    if (button.dataset.action === 'edit') {
+      fillRuleForm(ruleForm, rule);
+    } else if (button.dataset.action === 'delete' && confirm(`Delete the rule "${rule.id}"?`)) {
+      await storeRules(customRules.filter(existing => existing !== rule));
+      if (editingRuleId === rule.id) {
+        resetRuleForm(ruleForm);
+      }
+    }
+  });
+
+  list.addEventListener('change', async (event) => {
+    const item = event.target.closest('[data-rule-id]');
+    if (item && event.target.type === 'checkbox') {
+      await storeRules(customRules.map(existing =>
+        existing.id === item.dataset.ruleId ? { ...existing, enabled: event.target.checked } : existing
+      ));
+    }
+  });
+}
+
+/**
+ * Returns the custom rules other than the one being edited, for the id uniqueness check.
+ * @returns {Array<object>}
+ */
+function getOtherRules() {
+  return customRules.filter(rule => rule.id !== editingRuleId);
+}
+
+/**
+ * Stores the custom rules and re-renders the list.
+ * @param {Array<object>} rules
+ * @returns {Promise<boolean>} Whether the rules were stored.
+ */
+async function storeRules(rules) {
+  const errors = await saveCustomRules(rules);
+  if (errors.length > 0) {
+    showStatus(errors.join(' '), true, 'rule-status-message');
+    return false;
+  }
+  customRules = await getCustomRules();
+  renderRules();
+  return true;
+}
+
+/**
+ * Renders the list of custom rules, each with an enable checkbox and the edit and delete buttons.
+ */
+function renderRules() {
+  const list = document.getElementById('custom-rules-list');
+  document.getElementById('custom-rules-empty').hidden = customRules.length > 0;
+  list.innerHTML = '';
+
+  for (const rule of customRules) {
+    const item = document.createElement('li');
+    item.className = rule.enabled ? 'rule-item' : 'rule-item rule-item--disabled';
+    item.dataset.ruleId = rule.id;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = rule.enabled;
+    checkbox.title = rule.enabled ? 'Disable this rule' : 'Enable this rule';
+
+    const details = document.createElement('div');
+    details.className = 'rule-details';
+    const name = document.createElement('strong');
+    name.textContent = rule.id;
+    const pattern = document.createElement('code');
+    const extras = [`group ${rule.group}`, rule.severity, `${rule.confidence} confidence`];
+    if (rule.entropy) extras.push(`entropy ≥ ${rule.entropy}`);
+    if (rule.minLength) extras.push(`length ≥ ${rule.minLength}`);
+    if (rule.tags.length > 0) extras.push(`tags: ${rule.tags.join(', ')}`);
+    if (rule.keywords.length > 0) extras.push(`keywords: ${rule.keywords.join(', ')}`);
+    if (rule.allowlists.length > 0) extras.push(`${rule.allowlists.length} allowlist(s)`);
+    pattern.textContent = `/${rule.regex.source}/${rule.regex.flags}  ${extras.join(', ')}`;
+    pattern.title = rule.description || rule.regex.source;
+    details.append(name, pattern);
+    const risks = findBacktrackingRisks(rule.regex);
+    if (risks.length > 0) {
+      const warning = document.createElement('span');
+      warning.className = 'rule-warning';
+      warning.textContent = 'May be very slow on some sources';
+      warning.title = risks.join('\n');
+      details.appendChild(warning);
+    }
+
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'btn btn-secondary btn-small';
+    editButton.dataset.action = 'edit';
+    editButton.textContent = 'Edit';
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'btn btn-secondary btn-small';
+    deleteButton.dataset.action = 'delete';
+    deleteButton.textContent = 'Delete';
+
+    item.append(checkbox, details, editButton, deleteButton);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Fills a select element with options.
+ * @param {HTMLSelectElement} select
+ * @param {string[]} values
+ */
+function fillOptions(select, values) {
+  for (const value of values) {
+    select.appendChild(new Option(value, value));
+  }
+}
+
+/**
+ * Reads the rule being edited from the rule editor. The stopwords replace
+ * those of the editor allowlist of the rule, see `EDITOR_STOPWORDS_DESCRIPTION`.
+ * @param {HTMLFormElement} ruleForm
+ * @returns {object}
+ */
+function readRuleForm(ruleForm) {
+  const value = (name) => ruleForm.elements.namedItem(name).value;
+  const stopwords = value('stopwords').split(',').map(word => word.trim()).filter(Boolean);
+  const existing = customRules.find(rule => rule.id === editingRuleId);
+  const allowlists = (existing?.allowlists || []).filter(allowlist => allowlist.description !== EDITOR_STOPWORDS_DESCRIPTION);
+  if (stopwords.length > 0) {
+    allowlists.push({ description: EDITOR_STOPWORDS_DESCRIPTION, stopwords });
+  }
+  return {
+    id: value('id'),
+    description: value('description'),
+    regex: { source: value('regex'), flags: value('flags') },
+    group: value('group'),
+    keywords: value('keywords'),
+    entropy: value('entropy'),
+    minLength: value('minLength'),
+    allowlists,
+    severity: value('severity'),
+    confidence: value('confidence'),
+    tags: value('tags'),
+  };
+}
+
+/**
+ * Fills the rule editor with an existing rule to edit it.
+ * @param {HTMLFormElement} ruleForm
+ * @param {object} rule
+ */
+function fillRuleForm(ruleForm, rule) {
+  editingRuleId = rule.id;
+  ruleForm.elements.namedItem('id').value = rule.id;
+  ruleForm.elements.namedItem('description').value = rule.description;
+  ruleForm.elements.namedItem('regex').value = rule.regex.source;
+  ruleForm.elements.namedItem('flags').value = rule.regex.flags;
+  ruleForm.elements.namedItem('group').value = rule.group;
+  ruleForm.elements.namedItem('keywords').value = rule.keywords.join(', ');
+  ruleForm.elements.namedItem('entropy').value = rule.entropy || '';
+  ruleForm.elements.namedItem('minLength').value = rule.minLength || '';
+  ruleForm.elements.namedItem('stopwords').value = rule.allowlists
+    .filter(allowlist => allowlist.description === EDITOR_STOPWORDS_DESCRIPTION)
+    .flatMap(allowlist => allowlist.stopwords)
+    .join(', ');
+  ruleForm.elements.namedItem('severity').value = rule.severity;
+  ruleForm.elements.namedItem('confidence').value = rule.confidence;
+  ruleForm.elements.namedItem('tags').value = rule.tags.join(', ');
+  document.getElementById('rule-form-title').textContent = `Edit rule "${rule.id}"`;
+  document.getElementById('rule-cancel-button').hidden = false;
+  showErrors(ruleForm, {}, RULE_FIELDS);
+  ruleForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Clears the rule editor, back to adding a new rule.
+ * @param {HTMLFormElement} ruleForm
+ */
+function resetRuleForm(ruleForm) {
+  editingRuleId = null;
+  ruleForm.reset();
+  ruleForm.elements.namedItem('severity').value = DEFAULT_SEVERITY;
+  ruleForm.elements.namedItem('confidence').value = DEFAULT_CONFIDENCE;
+  document.getElementById('rule-form-title').textContent = 'Add a rule';
+  document.getElementById('rule-cancel-button').hidden = true;
+  showErrors(ruleForm, {}, RULE_FIELDS);
+}
+
+/**
+ * Imports the rules of a gitleaks TOML config as custom rules, replacing the
+ * custom rules with the same ids, and reports the rules that were skipped.
+ * @param {File} file
+ */
+async function importGitleaksRules(file) {
+  let imported;
+  try {
+    imported = importGitleaksToml(await file.text());
+  } catch (error) {
+    showStatus(`Could not import ${file.name}: ${error.message}`, true, 'rule-status-message');
+    return;
+  }
+
+  const importedIds = new Set(imported.rules.map(rule => rule.id));
+  const stored = await storeRules([...customRules.filter(rule => !importedIds.has(rule.id)), ...imported.rules]);
+  if (!stored) {
+    return;
+  }
+  showRuleReport(
+    `Imported ${imported.rules.length} rule(s) from ${file.name}, skipped ${imported.skipped.length}.`,
+    [
+      ...imported.skipped.map(({ id, reason }) => `Skipped ${id}: ${reason}`),
+      ...imported.warnings.map(({ id, reason }) => `${id}: ${reason}`),
+    ]
+  );
+}
+
+/**
+ * Downloads rules as a gitleaks TOML config, and reports the rules that could not be exported.
+ * @param {Array<object>} rules
+ * @param {string} fileName
+ */
+function exportRules(rules, fileName) {
+  const { toml, skipped } = exportGitleaksToml(rules);
+  const url = URL.createObjectURL(new Blob([toml], { type: 'application/toml' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  showRuleReport(
+    `Exported ${rules.length - skipped.filter(({ id }) => !id.endsWith('(allowlist)')).length} rule(s) to ${fileName}.`,
+    skipped.map(({ id, reason }) => `Skipped ${id}: ${reason}`)
+  );
+}
+
+/**
+ * Shows the result of a rule import or export, with the details of the skipped rules.
+ * @param {string} summary
+ * @param {string[]} details
+ */
+function showRuleReport(summary, details) {
+  const report = document.getElementById('rule-report');
+  const list = document.getElementById('rule-report-list');
+  report.hidden = false;
+  report.open = details.length > 0 && details.length <= 20;
+  document.getElementById('rule-report-summary').textContent =
+    details.length > 0 ? `${summary} Details (${details.length})` : summary;
+  list.innerHTML = '';
+  for (const detail of details) {
+    const item = document.createElement('li');
+    item.textContent = detail;
+    list.appendChild(item);
+  }
+}
@@ -7,54 +7,75 @@
    */
   async function () {
     "use strict";
-    const { reconstructSource } = await import(
+    const {
+      SKIPPED_SOURCE_PREFIX,
+      SOURCE_MAP_ERROR_FILE,
+      fetchSourceMap,
+      getOriginalPosition,
+      reconstructSource,
+    } = await import(
       chrome.runtime.getURL("src/utils/sourceMapParser.js")
     );
-    const { getPatterns } = await import(
+    const { createZip, toArchivePath } = await import(
+      chrome.runtime.getURL("src/utils/zip.js")
+    );
+    const { probeSourceMaps } = await import(
+      chrome.runtime.getURL("src/utils/sourceMapProbe.js")
+    );
+    const { getScanRules } = await import(
       chrome.runtime.getURL("src/utils/patterns.js")
     );
-    const { shannonEntropy } = await import(
-      chrome.runtime.getURL("src/utils/entropy.js")
+    const { getSecretRules } = await import(
+      chrome.runtime.getURL("src/utils/customRules.js")
+    );
+    const { createWorkerPool } = await import(
+      chrome.runtime.getURL("src/offscreen/workerPool.js")
+    );
+    const { scanSources } = await import(
+      chrome.runtime.getURL("src/offscreen/scanJob.js")
+    );
+    const { compareBySeverity, getRuleMetadata } = await import(
+      chrome.runtime.getURL("src/utils/ruleMetadata.js")
+    );
+    const { VALIDATION_LABELS, VALIDATION_STATUS } = await import(
+      chrome.runtime.getURL("src/utils/validators.js")
+    );
+    const { WORKER_RULE_TIMEOUT_MS } = await import(
+      chrome.runtime.getURL("src/utils/regexSafety.js")
+    );
+    const { addRuleStats, buildProfileExport, finalizeRuleStats, summarizeProfile } = await import(
+      chrome.runtime.getURL("src/utils/profiler.js")
+    );
+    const { getSettings } = await import(
+      chrome.runtime.getURL("src/utils/settings.js")
+    );
+    const { compileScope, getScopeStatus, isUrlInScope } = await import(
+      chrome.runtime.getURL("src/utils/scope.js")
+    );
+    const {
+      COVERAGE_STATUS_LABELS,
+      FETCH_STRATEGY_LABELS,
+      createCoverageEntry,
+      formatBytes,
+      summarizeCoverage,
+    } = await import(
+      chrome.runtime.getURL("src/utils/coverage.js")
     );
     const OVERLAY_ID = "bug-bounty-scanner-overlay";
     const CACHE_KEY_PREFIX = "scan_cache_";
-    const CACHE_DURATION_MS = 2 * 60 * 60 * 1000;
-    const MAX_CACHE_SIZE_BYTES = 30 * 1024 * 1024;
+    const HOUR_MS = 60 * 60 * 1000;
+    const MB = 1024 * 1024;
+    const PROFILER_ROW_LIMIT = 25;
+    const DISCOVERED_SOURCE_MAPS = "Source Maps (discovered)";
+    const INLINE_SOURCE_MAP_PREFIX = "inline-source-map:";
 
     let shadowRoot = null;
-    const DEFAULT_PARAMETERS = [
-      "redirect",
-      "url",
-      "ret",
-      "next",
-      "goto",
-      "target",
-      "dest",
-      "r",
-      "debug",
-      "test",
-      "admin",
-      "edit",
-      "enable",
-      "id",
-      "user",
-      "account",
-      "profile",
-      "key",
-      "token",
-      "api_key",
-      "secret",
-      "password",
-      "email",
-      "callback",
-      "return",
-      "returnTo",
-      "return_to",
-      "redirect",
-      "redirect_to",
-      "redirectTo",
-      "continue",
-    ];
+
+    /**
+     * @description The scan workers started by the overlay, see `getPageWorkerPool`.
+     * @type {Promise<{run: function(Array<object>, Array<object>): Promise<Array<object>>}> | null}
+     */
+    let pageWorkerPoolPromise = null;
 
     /**
      * Generates a unique cache key for the current page URL.
@@ -66,7 +87,8 @@
 
     /**
      * Retrieves and deserializes scan results from local storage for the current page.
-     * It reconstructs Map objects from the stored plain objects.
+     * It reconstructs Map objects from the stored plain objects and loads the
+     * source contents referenced by the cache from the extension's findings store.
      * @returns {Promise<object|null>} A promise that resolves to the cached data object,
      * or null if no cache is found.
      */
@@ -78,19 +100,17 @@
         return null;
       }
 
-      if (!cachedData.contentMap) {
-        cachedData.contentMap = {};
-      }
-
       const now = new Date().getTime();
       const cacheAge = now - cachedData.timestamp;
+      const { cacheDurationHours } = await getSettings();
+      const cacheDurationMs = cacheDurationHours * HOUR_MS;
 
-      if (cacheAge > CACHE_DURATION_MS) {
+      if (cacheAge > cacheDurationMs) {
         console.log("[JS Recon Buddy] Results cache is expired.");
         chrome.runtime.sendMessage({
           type: 'CLEAR_STALE_CACHE',
           cacheKeyPrefix: key,
-          maxCacheAge: CACHE_DURATION_MS
+          maxCacheAge: cacheDurationMs
         });
         return null;
       }
@@ -99,22 +119,51 @@
       for (const category in cachedData.results) {
         results[category] = new Map(Object.entries(cachedData.results[category]));
       }
-      return { ...cachedData, results };
+      const contentMap = await loadStoredSources(cachedData.sourceHashes || {});
+      return { ...cachedData, results, contentMap };
+    }
+
+    /**
+     * Loads source contents from the findings store kept by the service worker.
+     * Sources that were evicted from the store are left out.
+     * @param {Object<string, string>} sourceHashes - An object mapping source names to content hashes.
+     * @returns {Promise<Object<string, string>>} An object mapping source names to their contents.
+     */
+    async function loadStoredSources(sourceHashes) {
+      const hashes = [...new Set(Object.values(sourceHashes))];
+      if (hashes.length === 0) {
+        return {};
+      }
+      const response = await chrome.runtime.sendMessage({ type: "GET_SOURCES", hashes });
+      if (!response || response.status !== "success") {
+        console.warn("[JS Recon Buddy] Could not load cached sources:", response?.message);
+        return {};
+      }
+      const contentMap = {};
+      for (const [source, hash] of Object.entries(sourceHashes)) {
+        if (response.sources[hash] !== undefined) {
+          contentMap[source] = response.sources[hash];
+        }
+      }
+      return contentMap;
     }
 
     /**
      * Serializes and saves the scan results to local storage.
-     * It converts Map objects into plain objects for storage.
+     * It converts Map objects into plain objects for storage. Source contents are
+     * saved to the extension's findings store, and only their hashes are cached.
      * @param {object} results - The scan results object, where values are Maps of findings.
      * @param {object} contentMap - The map of source content.
+     * @param {Array<object>} coverage - The coverage report of the scan.
      * @returns {Promise<void>}
      */
-    async function setCachedResults(results, contentMap) {
+    async function setCachedResults(results, contentMap, coverage) {
       const key = getCacheKey();
+      const { cacheDurationHours, maxCacheSizeMB } = await getSettings();
       chrome.runtime.sendMessage({
         type: 'CLEAR_STALE_CACHE',
         cacheKeyPrefix: CACHE_KEY_PREFIX,
-        maxCacheAge: CACHE_DURATION_MS
+        maxCacheAge: cacheDurationHours * HOUR_MS
       });
       const serializableResults = {};
       for (const category in results) {
@@ -123,21 +172,30 @@
         }
       }
 
-      let dataToCache = {
+      let sourceHashes = {};
+      try {
+        const response = await chrome.runtime.sendMessage({ type: "STORE_SOURCES", contents: contentMap });
+        if (response && response.status === "success") {
+          sourceHashes = response.hashes;
+        } else {
+          console.warn("[JS Recon Buddy] Could not store source contents:", response?.message);
+        }
+      } catch (error) {
+        console.warn("[JS Recon Buddy] Could not store source contents:", error);
+      }
+
+      const dataToCache = {
         results: serializableResults,
-        contentMap: contentMap,
+        sourceHashes: sourceHashes,
+        coverage: coverage,
         timestamp: new Date().getTime()
       };
 
       const estimatedSize = new Blob([JSON.stringify(dataToCache)]).size;
 
-      if (estimatedSize > MAX_CACHE_SIZE_BYTES) {
-        console.warn(`[JS Recon Buddy] Total cache size (${Math.round(estimatedSize / 1024)} KB) exceeds limit. Caching results without source content.`);
-        dataToCache = {
-          results: serializableResults,
-          contentMap: {},
-          timestamp: new Date().getTime()
-        };
+      if (estimatedSize > maxCacheSizeMB * MB) {
+        console.warn(`[JS Recon Buddy] Total cache size (${Math.round(estimatedSize / 1024)} KB) exceeds limit. Results will not be cached.`);
+        return;
       }
 
       try {
@@ -205,14 +263,15 @@
         '<h2><span class="spinner"></span> Gathering scripts and website content...</h2>'
       );
       const allScripts = await gatherScripts();
+      const scriptsToScan = allScripts.filter((script) => script.code);
 
       const progressBarHTML = `
         <div class="progress-container">
-            <h2>Analyzing ${allScripts.length} sources...</h2>
+            <h2>Analyzing ${scriptsToScan.length} sources...</h2>
             <div class="progress-bar-outline">
                 <div id="progress-bar-inner" class="progress-bar-inner"></div>
             </div>
-            <span id="progress-text" class="progress-text">0 / ${allScripts.length}</span>
+            <span id="progress-text" class="progress-text">0 / ${scriptsToScan.length}</span>
         </div>
     `;
       updateOverlayContent(progressBarHTML);
@@ -238,17 +297,62 @@
       };
 
       setTimeout(async () => {
-        const { parameters } = await chrome.storage.sync.get({
-          parameters: DEFAULT_PARAMETERS,
-        });
+        const { parameters, scanSourceMapSources, probeUnadvertisedSourceMaps } = await getSettings();
 
-        const PATTERNS = getPatterns(parameters);
+        const SCAN_RULES = getScanRules(parameters, await getSecretRules());
 
-        const { results, contentMap } = await processScriptsAsync(allScripts, PATTERNS, onProgressCallback);
+        let scan;
+        try {
+          scan = await processScriptsAsync(scriptsToScan, SCAN_RULES, onProgressCallback);
+        } catch (error) {
+          console.warn("[JS Recon Buddy] The scan could not be run:", error);
+          updateOverlayContent(`<h2>The scan could not be run.</h2><p>${escapeHTML(error.message)}</p>`);
+          return;
+        }
+        const { results, contentMap, scanTimes, timedOutRules, ruleStats } = scan;
+        if (probeUnadvertisedSourceMaps) {
+          updateOverlayContent('<h2><span class="spinner"></span> Probing for unadvertised source maps...</h2>');
+          await addDiscoveredSourceMaps(results, scriptsToScan);
+        }
+        await resolveOriginalPositions(results, scriptsToScan);
+
+        const coverage = allScripts.map((script) =>
+          createCoverageEntry(script.source, {
+            kind: script.kind,
+            content: script.code,
+            fetchOutcome: script.fetch || null,
+            scanMs: scanTimes[script.source] ?? null,
+            timedOutRules: timedOutRules[script.source] ?? [],
+            ruleStats: ruleStats[script.source] ?? [],
+          }),
+        );
 
-        await setCachedResults(results, contentMap);
+        if (scanSourceMapSources) {
+          const scriptsBySourceMap = new Map();
+          getSourceMapUrls(results).forEach((sourceMapUrl, script) => {
+            if (!scriptsBySourceMap.has(sourceMapUrl)) scriptsBySourceMap.set(sourceMapUrl, script);
+          });
+          for (const [i, [sourceMapUrl, script]] of [...scriptsBySourceMap].entries()) {
+            updateOverlayContent(
+              `<h2><span class="spinner"></span> Scanning the sources of source map ${i + 1} / ${scriptsBySourceMap.size}...</h2>`
+            );
+            const sourceMapRef = getSourceMapRef(sourceMapUrl, script);
+            const sources = await reconstructSourceMap(sourceMapRef, results);
+            if (sources[SOURCE_MAP_ERROR_FILE] !== undefined) {
+              console.warn(`[JS Recon Buddy] Could not scan the sources of ${getSourceMapName(sourceMapRef)}:`, sources[SOURCE_MAP_ERROR_FILE]);
+              continue;
+            }
+            try {
+              await scanSourceMapFiles(sources, sourceMapRef, results, contentMap, coverage);
+            } catch (error) {
+              console.warn(`[JS Recon Buddy] Could not scan the sources of ${getSourceMapName(sourceMapRef)}:`, error);
+            }
+          }
+        }
+
+        await setCachedResults(results, contentMap, coverage);
 
-        renderResults(results, contentMap);
+        renderResults(results, contentMap, coverage);
       }, 100);
     }
 
@@ -307,12 +411,21 @@
             rescanButton.onclick = () => runScanner(true);
           }
 
+          const scope = compileScope(await getSettings());
+          if (!isUrlInScope(window.location.href, scope)) {
+            updateOverlayHeader("Out of Scope");
+            updateOverlayContent(
+              "<h2>This page is out of scope.</h2><p>It is excluded by the scope rules in the extension's settings.</p>",
+            );
+            return;
+          }
+
           if (!forceRescan) {
             const cachedData = await getCachedResults();
             if (cachedData && cachedData.results) {
               const timestamp = new Date(cachedData.timestamp).toLocaleString();
               updateOverlayHeader(`Cached Scan (${timestamp})`);
-              renderResults(cachedData.results, cachedData.contentMap);
+              renderResults(cachedData.results, cachedData.contentMap, cachedData.coverage);
               return;
             }
           }
@@ -341,81 +454,93 @@
 
     /**
      * Gathers all relevant content from the page for analysis.
-     * This includes inline scripts, external scripts (via the service worker), and the main HTML.
-     * @returns {Promise<Array<{source: string, code: string}>>} A promise that resolves
-     * to an array of content objects.
+     * This includes inline scripts, external scripts and module preloads (via the service
+     * worker, which also follows the chunks they import), and the main HTML.
+     * External scripts that could not be downloaded are kept, without code, so that
+     * they appear in the coverage report.
+     * @returns {Promise<Array<{source: string, kind: string, code: string | null, fetch?: object}>>}
+     * A promise that resolves to an array of content objects.
      */
     async function gatherScripts() {
       const inlineScripts = Array.from(
         document.querySelectorAll("script:not([src])"),
       ).map((el, idx) => ({
         source: `Inline Script #${idx + 1}`,
+        kind: "inline",
         code: el.innerHTML,
       }));
-      const externalScriptUrls = Array.from(
-        document.querySelectorAll("script[src]"),
-      ).map((tag) => tag.src);
+      const externalScriptUrls = [
+        ...new Set(
+          Array.from(
+            document.querySelectorAll('script[src], link[rel="modulepreload"][href]'),
+          ).map((tag) => tag.src || tag.href),
+        ),
+      ];
 
       const externalScripts = await chrome.runtime.sendMessage({
         type: "FETCH_SCRIPTS",
         urls: externalScriptUrls,
+        inlineScripts: inlineScripts.map((script) => script.code),
+        pageUrl: location.href,
       });
 
       const mainHtml = document.documentElement.outerHTML;
       return [
         ...inlineScripts,
-        ...externalScripts.filter(Boolean),
-        { source: "Main HTML Document", code: mainHtml },
+        ...externalScripts
+          .filter((script) => script)
+          .map((script) => ({ ...script, kind: "external" })),
+        { source: "Main HTML Document", kind: "html", code: mainHtml },
       ];
     }
 
     /**
-     * The core scanning engine. It processes all collected code against a set of patterns.
-     * This function runs asynchronously in chunks to avoid freezing the page.
+     * The core scanning engine. It decodes all collected code, then runs the
+     * patterns and secret rules over it in scan workers (see `scanContent`).
+     * Decoding runs asynchronously in chunks to avoid freezing the page.
      * @param {Array<{source: string, code: string}>} scripts - The array of content to scan.
-     * @param {object} patterns - The compiled regex patterns to apply.
+     * @param {Array<object>} rules - The patterns and secret rules to apply, see `getScanRules`.
      * @param {ProgressCallback} [onProgress] - Optional callback to report progress.
      * @returns {Promise<object>} A promise that resolves to the final results object,
-     * with findings grouped by category in Maps.
+     * with findings grouped by category in Maps, the map of scanned content and the
+     * time in milliseconds spent scanning each source.
+     * @throws {Error} If no scan worker could be started.
      */
-    async function processScriptsAsync(scripts, patterns, onProgress) {
+    async function processScriptsAsync(scripts, rules, onProgress) {
       const { currentHostname, baseDomain } = getDomainInfo();
       const isValidSubdomain = (domain) =>
         domain === currentHostname ||
         domain.endsWith(`.${currentHostname}`) ||
         domain === baseDomain ||
         domain.endsWith(`.${baseDomain}`);
-      const isValidEntropy = (secret, ruleEntropy) =>
-        shannonEntropy(secret) >= ruleEntropy;
       const isValidEndpoint = (endpoint) => !/^\/+$/.test(endpoint);
 
-      const results = Object.keys(patterns).reduce(
+      const patternNames = new Set(
+        rules.filter((rule) => rule.kind === "pattern").map((rule) => rule.id),
+      );
+      const categories = rules.map((rule) => (rule.kind === "pattern" ? rule.id : "Potential Secrets"));
+      const results = [...new Set(categories)].reduce(
         (acc, key) => ({ ...acc, [key]: new Map() }),
         {},
       );
       const contentMap = {};
+      const scanTimes = {};
+      const timedOutRules = {};
+      const ruleStatsBySource = {};
 
       /**
-       * Processes a single regex match, validates it, extracts context, and adds it to the results.
-       * @param {RegExpMatchArray} match - The match object from `matchAll`.
-       * @param {object} rule - The rule object that produced the match.
+       * Validates a match of a pattern and adds it to the results.
        * @param {string} name - The category name of the finding.
-       * @param {string} code - The full source code being scanned.
+       * @param {string} match - The matched group of the pattern.
        * @param {string} source - The source identifier (e.g., URL or "Inline Script").
+       * @param {number} index - The position of the whole match in the source.
        */
-      const processMatch = (
-        match,
-        { group, context: contextType, ruleId, ruleEntropy },
-        name,
-        code,
-        source,
-      ) => {
-        let finding = match[group]?.trim();
+      const addPatternFinding = (name, match, source, index) => {
+        const finding = match.trim();
         if (!finding) return;
 
         const validationMap = {
           Subdomains: () => isValidSubdomain(finding),
-          "Potential Secrets": () => isValidEntropy(finding, ruleEntropy),
           Endpoints: () => isValidEndpoint(finding),
         };
 
@@ -426,49 +551,36 @@
         if (!results[name].has(finding)) {
           results[name].set(finding, []);
         }
-        const occurrence = {
-          source: source,
-          ruleId: ruleId,
-          index: match.index,
-          secretLength: finding.length
-        };
         results[name]
           .get(finding)
-          .push(occurrence);
+          .push({ source, index, secretLength: finding.length });
       };
 
       /**
-       * Applies all defined patterns to a single piece of source code.
-       * @param {string} code - The source code to scan.
-       * @param {string} source - The identifier for the source code.
-       */
-      const applyRulesToCode = (code, source) => {
-        for (const name in patterns) {
-          const rules = Array.isArray(patterns[name])
-            ? patterns[name]
-            : [patterns[name]];
-          for (const rule of rules) {
-            if (!rule.regex) continue;
-            for (const match of code.matchAll(rule.regex)) {
-              processMatch(match, rule, name, code, source);
-            }
-          }
-        }
-      };
-
-      /**
-       * Prepares and processes a single script object from the gathered content.
-       * @param {{source: string, code: string}} script - The script object to process.
+       * Prepares a single script object from the gathered content: its code is
+       * decoded and added to the content map.
+       * A source map announced by the `SourceMap` or `X-SourceMap` response
+       * header of the script is reported like a `sourceMappingURL` comment.
+       * @param {{source: string, code: string, fetch?: {sourceMap?: string | null}}} script - The script object to process.
        */
       const processSingleScript = (script, index) => {
         let { code, source } = script;
         if (!code) return;
 
+        const startTime = performance.now();
         const decodedCode = decodeText(code);
 
         contentMap[source] = decodedCode;
 
-        applyRulesToCode(decodedCode, source);
+        const headerSourceMap = script.fetch?.sourceMap?.trim();
+        if (headerSourceMap && results["Source Maps"]) {
+          if (!results["Source Maps"].has(headerSourceMap)) {
+            results["Source Maps"].set(headerSourceMap, []);
+          }
+          results["Source Maps"].get(headerSourceMap).push({ source, index: 0, secretLength: 0, fromHeader: true });
+        }
+
+        scanTimes[source] = Math.round(performance.now() - startTime);
 
         if (onProgress) {
           onProgress(index + 1, scripts.length);
@@ -479,50 +591,503 @@
        * Recursively processes the scripts array in small, asynchronous chunks to prevent
        * freezing the browser's main thread.
        * @param {number} startIndex - The index of the scripts array from which to start the chunk.
+       * @param {function({source: string, code: string}, number): void} processScript - Processes one script.
        * @returns {Promise<void>} A promise that resolves when all chunks are processed.
        */
-      const processChunk = (startIndex) => {
+      const processChunk = (startIndex, processScript) => {
         return new Promise((resolve) => {
           const endIndex = Math.min(startIndex + 5, scripts.length);
 
           for (let i = startIndex; i < endIndex; i++) {
-            processSingleScript(scripts[i], i);
+            processScript(scripts[i], i);
           }
 
           if (endIndex < scripts.length) {
-            setTimeout(() => processChunk(endIndex).then(resolve), 0);
+            setTimeout(() => processChunk(endIndex, processScript).then(resolve), 0);
           } else {
             resolve();
           }
         });
       };
 
-      await processChunk(0);
-      return { results, contentMap };
+      /**
+       * Runs the patterns and secret rules over the decoded scripts in scan
+       * workers, which are terminated when a rule gets stuck, so a runaway regex
+       * cannot freeze the page. The workers of the extension's offscreen
+       * document are used; if they cannot be reached, e.g. because the scripts
+       * are too large for a message, the overlay starts its own, see
+       * `getPageWorkerPool`.
+       * @returns {Promise<void>}
+       */
+      const scanContent = async () => {
+        const sources = Object.entries(contentMap).map(([source, content]) => ({
+          source,
+          content,
+          isTooLarge: false,
+          frameId: 0,
+          frameUrl: location.href,
+        }));
+
+        let response;
+        try {
+          response = await chrome.runtime.sendMessage({ type: "SCAN_SOURCES", sources, rules });
+        } catch (error) {
+          response = { status: "error", message: error.message };
+        }
+
+        if (response?.status !== "success") {
+          console.warn(
+            "[JS Recon Buddy] Could not scan in the background, scanning in workers of the page instead:",
+            response?.message,
+          );
+          const pool = await getPageWorkerPool();
+          const { findings, sourceStats } = await scanSources(sources, rules, (tasks) => pool.run(tasks, rules));
+          response = { status: "success", data: findings, sourceStats };
+        }
+
+        const secrets = results["Potential Secrets"];
+        for (const { id, secret, index, source, validation, ...metadata } of response.data) {
+          if (patternNames.has(id)) {
+            addPatternFinding(id, secret, source, index);
+            continue;
+          }
+          const finding = secret.trim();
+          if (!finding || !secrets) continue;
+          if (!secrets.has(finding)) {
+            secrets.set(finding, []);
+          }
+          const { severity, confidence, tags } = getRuleMetadata(metadata);
+          secrets.get(finding).push({ source, ruleId: id, index, secretLength: finding.length, severity, confidence, tags, validation });
+        }
+        for (const stats of response.sourceStats || []) {
+          scanTimes[stats.source] += stats.scanMs;
+          if (stats.timedOutRules.length > 0) {
+            timedOutRules[stats.source] = [...(timedOutRules[stats.source] || []), ...stats.timedOutRules];
+          }
+          for (const { rule, kind, ms, matches } of stats.ruleStats) {
+            addRuleStats((ruleStatsBySource[stats.source] ||= new Map()), rule, kind, ms, matches);
+          }
+        }
+      };
+
+      await processChunk(0, processSingleScript);
+      await scanContent();
+      const ruleStats = Object.fromEntries(
+        Object.entries(ruleStatsBySource).map(([source, stats]) => [source, finalizeRuleStats(stats)]),
+      );
+      return { results, contentMap, scanTimes, timedOutRules, ruleStats };
     }
 
     /**
-     * A utility function to decode various text encodings found in scripts.
-     * @param {string} str - The string to decode.
-     * @returns {string} The decoded, plain text string.
+     * Starts the scan workers of the overlay, used when the workers of the
+     * offscreen document cannot be reached. They run the scanWorker.js module
+     * of the extension, imported by a module created here, as a worker must have
+     * the origin of the page. As the content security policy of the page can
+     * forbid such workers, one is started and checked before the pool is created.
+     * @returns {Promise<{run: function(Array<object>, Array<object>): Promise<Array<object>>}>}
+     * The pool, see `createWorkerPool`.
+     * @throws {Error} If the page does not allow the workers.
      */
-    function decodeText(str) {
-      const standardizedStr = str.replace(
-        /\\?u00([0-9a-f]{2})/gi,
-        (match, hex) => `%${hex}`,
+    function getPageWorkerPool() {
+      if (pageWorkerPoolPromise) {
+        return pageWorkerPoolPromise;
+      }
+      const workerUrl = URL.createObjectURL(
+        new Blob(
+          [`import ${JSON.stringify(chrome.runtime.getURL("src/offscreen/scanWorker.js"))};`],
+          { type: "text/javascript" },
+        ),
       );
+      pageWorkerPoolPromise = new Promise((resolve, reject) => {
+        const worker = new Worker(workerUrl, { type: "module" });
+        const fail = (message) => {
+          clearTimeout(timer);
+          worker.terminate();
+          reject(new Error(`The scan workers could not be started: ${message}`));
+        };
+        const timer = setTimeout(() => fail("the worker did not respond."), WORKER_RULE_TIMEOUT_MS);
+        // Any answer, even the error reported for this unknown rule set, tells that the worker runs.
+        worker.onmessage = () => {
+          clearTimeout(timer);
+          worker.terminate();
+          resolve(createWorkerPool(workerUrl, Math.max(1, Math.min(navigator.hardwareConcurrency || 1, 4)), WORKER_RULE_TIMEOUT_MS));
+        };
+        worker.onerror = (event) => {
+          event.preventDefault();
+          fail(event.message || "the page does not allow them.");
+        };
+        worker.postMessage({ type: "scan", taskId: -1, rulesId: -1 });
+      });
+      pageWorkerPoolPromise.catch(() => {
+        pageWorkerPoolPromise = null;
+        URL.revokeObjectURL(workerUrl);
+      });
+      return pageWorkerPoolPromise;
+    }
+
+    /**
+     * Lists the source maps of the scanned scripts, from the "Source Maps"
+     * findings, including inline `data:` source maps, and from the discovered
+     * source maps. A source map announced by a response header comes first,
+     * as in the browser.
+     * @param {object} results - The results object containing Maps of findings.
+     * @returns {Map<string, string>} The URL of the source map of each script, by script URL.
+     */
+    function getSourceMapUrls(results) {
+      const sourceMapUrls = new Map();
+      const addSourceMap = (occurrences, sourceMapRef) => {
+        for (const { source, fromHeader } of occurrences) {
+          if (!source.startsWith("http") || (sourceMapUrls.has(source) && !fromHeader)) continue;
+          try {
+            sourceMapUrls.set(source, new URL(sourceMapRef, source).href);
+          } catch (e) {
+            // Not a valid URL, e.g. a sourceMappingURL inside a string.
+          }
+        }
+      };
+      results["Source Maps"]?.forEach(addSourceMap);
+      results[DISCOVERED_SOURCE_MAPS]?.forEach(addSourceMap);
+      return sourceMapUrls;
+    }
+
+    /**
+     * Returns the reference to a source map that findings, coverage entries and
+     * links keep: the URL of the source map or, for an inline `data:` source map,
+     * which can be megabytes long, `INLINE_SOURCE_MAP_PREFIX` followed by the URL
+     * of the script holding it. See `resolveSourceMapRef`.
+     * @param {string} sourceMapUrl - The URL of the source map.
+     * @param {string} scriptUrl - The URL of the script the source map belongs to.
+     * @returns {string}
+     */
+    function getSourceMapRef(sourceMapUrl, scriptUrl) {
+      return sourceMapUrl.startsWith("data:") ? `${INLINE_SOURCE_MAP_PREFIX}${scriptUrl}` : sourceMapUrl;
+    }
 
-      const decodedStr = standardizedStr.replace(/%[0-9a-f]{2}/gi, (match) => {
+    /**
+     * Resolves a reference from `getSourceMapRef` to the URL of the source map,
+     * looking inline source maps up in the "Source Maps" findings, and to the URL
+     * its source files are resolved against: the script holding an inline source
+     * map (the page, for inline scripts), or the source map itself.
+     * @param {string} sourceMapRef - The reference to the source map.
+     * @param {object} results - The results object containing Maps of findings.
+     * @returns {{sourceMapUrl: string, baseUrl: string} | null} The URLs, or null if
+     * the inline source map is not in the results.
+     */
+    function resolveSourceMapRef(sourceMapRef, results) {
+      if (!sourceMapRef.startsWith(INLINE_SOURCE_MAP_PREFIX)) {
+        return { sourceMapUrl: sourceMapRef, baseUrl: sourceMapRef };
+      }
+      const scriptUrl = sourceMapRef.slice(INLINE_SOURCE_MAP_PREFIX.length);
+      for (const [finding, occurrences] of results["Source Maps"] || []) {
+        if (finding.startsWith("data:") && occurrences.some(({ source }) => source === scriptUrl)) {
+          return { sourceMapUrl: finding, baseUrl: scriptUrl.startsWith("http") ? scriptUrl : location.href };
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Reconstructs the sources of a source map, see `reconstructSource`.
+     * @param {string} sourceMapRef - The reference to the source map, see `getSourceMapRef`.
+     * @param {object} results - The results object containing Maps of findings.
+     * @returns {Promise<Object<string, string>>} The reconstructed files.
+     */
+    async function reconstructSourceMap(sourceMapRef, results) {
+      const resolved = resolveSourceMapRef(sourceMapRef, results);
+      if (!resolved) {
+        return { [SOURCE_MAP_ERROR_FILE]: `Error: The ${getSourceMapName(sourceMapRef)} is not in the results anymore.` };
+      }
+      return reconstructSource(resolved.sourceMapUrl, resolved.baseUrl);
+    }
+
+    /**
+     * Probes the usual locations of the source maps of the same-origin external
+     * scripts that do not advertise one, and adds the source maps that exist to
+     * the results, under "Source Maps (discovered)".
+     * @param {object} results - The results object containing Maps of findings, updated in place.
+     * @param {Array<{source: string, kind: string}>} scripts - The scanned scripts.
+     * @returns {Promise<void>}
+     */
+    async function addDiscoveredSourceMaps(results, scripts) {
+      const advertised = getSourceMapUrls(results);
+      const scriptUrls = scripts
+        .filter(({ source, kind }) => kind === "external" && !advertised.has(source))
+        .map(({ source }) => source)
+        .filter((source) => {
+          try {
+            return new URL(source).origin === location.origin;
+          } catch (e) {
+            return false;
+          }
+        });
+
+      const discovered = await probeSourceMaps(scriptUrls);
+      results[DISCOVERED_SOURCE_MAPS] = new Map();
+      discovered.forEach((sourceMapUrl, scriptUrl) => {
+        if (!results[DISCOVERED_SOURCE_MAPS].has(sourceMapUrl)) {
+          results[DISCOVERED_SOURCE_MAPS].set(sourceMapUrl, []);
+        }
+        results[DISCOVERED_SOURCE_MAPS].get(sourceMapUrl).push({ source: scriptUrl, index: 0, secretLength: 0, probed: true });
+      });
+    }
+
+    /**
+     * Scans the original files reconstructed from a source map with all the
+     * patterns and secret rules, and merges the findings into the results.
+     * The path of each file, as named in the `sources` of the map, is the
+     * source of its findings, which also get the `sourceMap` reference. The files
+     * are added to the content map and to the coverage report, so a source map
+     * is only scanned once.
+     * @param {Object<string, string>} sources - The reconstructed files, see `reconstructSource`.
+     * @param {string} sourceMapRef - The reference to the source map, see `getSourceMapRef`.
+     * @param {object} results - The results object containing Maps of findings, updated in place.
+     * @param {Object<string, string>} contentMap - The map of scanned content, updated in place.
+     * @param {Array<object>} coverage - The coverage report, updated in place.
+     * @returns {Promise<number | null>} The number of findings added, or null if
+     * the source map was already scanned.
+     */
+    async function scanSourceMapFiles(sources, sourceMapRef, results, contentMap, coverage) {
+      if (coverage.some((entry) => entry.sourceMap === sourceMapRef)) {
+        return null;
+      }
+      const files = Object.entries(sources)
+        .filter(([file, code]) => file !== SOURCE_MAP_ERROR_FILE && code && !code.startsWith(SKIPPED_SOURCE_PREFIX))
+        .map(([file, code]) => ({ source: file, kind: "source-map", code }));
+
+      const { parameters } = await getSettings();
+      const scan = await processScriptsAsync(files, getScanRules(parameters, await getSecretRules()));
+
+      let added = 0;
+      for (const [name, findings] of Object.entries(scan.results)) {
+        results[name] ||= new Map();
+        findings.forEach((occurrences, finding) => {
+          if (!results[name].has(finding)) {
+            results[name].set(finding, []);
+          }
+          for (const occurrence of occurrences) {
+            results[name].get(finding).push({ ...occurrence, sourceMap: sourceMapRef });
+            added++;
+          }
+        });
+      }
+
+      Object.assign(contentMap, scan.contentMap);
+      for (const file of files) {
+        coverage.push({
+          ...createCoverageEntry(file.source, {
+            kind: file.kind,
+            content: file.code,
+            scanMs: scan.scanTimes[file.source] ?? null,
+            timedOutRules: scan.timedOutRules[file.source] ?? [],
+            ruleStats: scan.ruleStats[file.source] ?? [],
+          }),
+          sourceMap: sourceMapRef,
+        });
+      }
+      return added;
+    }
+
+    /**
+     * Maps the findings in bundles that have a source map back to their
+     * original file, line and column. The source map of each bundle is taken
+     * from the "Source Maps" findings, and only fetched for bundles with other
+     * findings. Each mapped occurrence gets an `original` property with the
+     * 1-based `line` and `column` of the finding in the original `file`, as
+     * named in the `sources` of the map, and the `sourceMap` reference, see
+     * `getSourceMapRef`.
+     *
+     * The indexes of findings are offsets in the decoded code (see
+     * `decodeText`), while the mappings refer to the code as it was served,
+     * so the indexes are traced back to the raw code first.
+     * @param {object} results - The results object containing Maps of findings, updated in place.
+     * @param {Array<{source: string, code: string}>} scripts - The scanned scripts, with their raw code.
+     * @returns {Promise<void>}
+     */
+    async function resolveOriginalPositions(results, scripts) {
+      const sourceMapUrls = getSourceMapUrls(results);
+      if (sourceMapUrls.size === 0) return;
+
+      const occurrencesBySource = new Map();
+      for (const [name, findings] of Object.entries(results)) {
+        if (name === "Source Maps" || name === DISCOVERED_SOURCE_MAPS) continue;
+        findings.forEach((occurrences) => {
+          for (const occurrence of occurrences) {
+            if (!sourceMapUrls.has(occurrence.source)) continue;
+            if (!occurrencesBySource.has(occurrence.source)) {
+              occurrencesBySource.set(occurrence.source, []);
+            }
+            occurrencesBySource.get(occurrence.source).push(occurrence);
+          }
+        });
+      }
+
+      for (const [source, occurrences] of occurrencesBySource) {
+        const sourceMapUrl = sourceMapUrls.get(source);
+        let sourceMap;
+        try {
+          sourceMap = await fetchSourceMap(sourceMapUrl);
+        } catch (error) {
+          console.warn(`[JS Recon Buddy] Could not map the findings of ${source} to their original files:`, error.message);
+          continue;
+        }
+
+        const code = scripts.find((script) => script.source === source)?.code || "";
+        const { toRawIndex } = decodeTextWithOffsets(code);
+        const lineStarts = [0];
+        for (let i = code.indexOf("\n"); i !== -1; i = code.indexOf("\n", i + 1)) {
+          lineStarts.push(i + 1);
+        }
+
+        for (const occurrence of occurrences) {
+          const rawIndex = toRawIndex(occurrence.index);
+          let low = 0;
+          let high = lineStarts.length - 1;
+          while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= rawIndex) {
+              low = middle;
+            } else {
+              high = middle - 1;
+            }
+          }
+          try {
+            const position = getOriginalPosition(sourceMap, low, rawIndex - lineStarts[low]);
+            if (position) {
+              occurrence.original = {
+                file: position.source,
+                line: position.line + 1,
+                column: position.column + 1,
+                sourceMap: getSourceMapRef(sourceMapUrl, source),
+              };
+            }
+          } catch (error) {
+            console.warn(`[JS Recon Buddy] Could not decode the source map of ${source}:`, error.message);
+            break;
+          }
+        }
+      }
+    }
+
+    /**
+     * @description The decoding passes of `decodeText`, applied in order: `\u00XX`
+     * escapes, then percent-encoded bytes, then HTML character references, then
+     * the line breaks and NUL characters normalized by the HTML parser.
+     * @type {Array<[RegExp, function(string, ...string): string]>}
+     */
+    const DECODE_PASSES = [
+      [/\\?u00([0-9a-f]{2})/gi, (match, hex) => `%${hex}`],
+      [/%[0-9a-f]{2}/gi, (match) => {
         try {
           return decodeURIComponent(match);
         } catch (err) {
           return match;
         }
+      }],
+      [/&(?:#x?[0-9a-f]+|[a-z][a-z0-9]*);?/gi, (match) => decodeCharacterReference(match)],
+      [/\r\n?|\0/g, (match) => (match === "\0" ? "\uFFFD" : "\n")],
+    ];
+
+    /**
+     * @description The decoded HTML character references, e.g. `&amp;`, by reference.
+     * @type {Map<string, string>}
+     */
+    const decodedCharacterReferences = new Map();
+
+    /**
+     * Decodes an HTML character reference the way the HTML parser does.
+     * @param {string} reference - The reference, e.g. `&lt;` or `&#x3c;`.
+     * @returns {string} The decoded text, which is the reference itself if it is not one.
+     */
+    function decodeCharacterReference(reference) {
+      if (!decodedCharacterReferences.has(reference)) {
+        const tempEl = document.createElement("textarea");
+        tempEl.innerHTML = reference;
+        decodedCharacterReferences.set(reference, tempEl.value);
+      }
+      return decodedCharacterReferences.get(reference);
+    }
+
+    /**
+     * Replaces the matches of a regex, recording where each replacement that
+     * changed the text landed, so that offsets in the result can be traced
+     * back to the input.
+     * @param {string} str - The input.
+     * @param {RegExp} regex - A global regex without named groups.
+     * @param {function(string, ...string): string} replacer - Returns the replacement of a match.
+     * @returns {{text: string, edits: Array<number[]>}} The result and the
+     * `[outputStart, inputStart, outputLength, inputLength]` of each replacement.
+     */
+    function replaceWithOffsets(str, regex, replacer) {
+      const edits = [];
+      let delta = 0;
+      const text = str.replace(regex, (match, ...args) => {
+        const offset = args[args.length - 2];
+        const replacement = replacer(match, ...args);
+        if (replacement !== match) {
+          edits.push([offset + delta, offset, replacement.length, match.length]);
+          delta += replacement.length - match.length;
+        }
+        return replacement;
       });
+      return { text, edits };
+    }
+
+    /**
+     * Traces an offset in the result of `replaceWithOffsets` back to the input.
+     * Offsets inside a replacement are traced to the start of what it replaced.
+     * @param {Array<number[]>} edits - The edits returned by `replaceWithOffsets`.
+     * @param {number} index - The offset in the result.
+     * @returns {number} The offset in the input.
+     */
+    function toInputOffset(edits, index) {
+      let low = 0;
+      let high = edits.length - 1;
+      let found = -1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (edits[middle][0] <= index) {
+          found = middle;
+          low = middle + 1;
+        } else {
+          high = middle - 1;
+        }
+      }
+      if (found === -1) return index;
+      const [outputStart, inputStart, outputLength, inputLength] = edits[found];
+      return index < outputStart + outputLength
+        ? inputStart
+        : inputStart + inputLength + index - outputStart - outputLength;
+    }
+
+    /**
+     * Decodes the text encodings found in scripts, like `decodeText`, and
+     * keeps what is needed to trace offsets in the decoded text, such as the
+     * indexes of findings, back to the raw text.
+     * @param {string} str - The string to decode.
+     * @returns {{text: string, toRawIndex: function(number): number}} The
+     * decoded text and a function mapping its offsets to offsets in `str`.
+     */
+    function decodeTextWithOffsets(str) {
+      const passes = [];
+      let text = str;
+      for (const [regex, replacer] of DECODE_PASSES) {
+        const result = replaceWithOffsets(text, regex, replacer);
+        passes.push(result.edits);
+        text = result.text;
+      }
+      return {
+        text,
+        toRawIndex: (index) => passes.reduceRight((offset, edits) => toInputOffset(edits, offset), index),
+      };
+    }
 
-      const tempEl = document.createElement("textarea");
-      tempEl.innerHTML = decodedStr;
-      return tempEl.value;
+    /**
+     * A utility function to decode various text encodings found in scripts.
+     * @param {string} str - The string to decode.
+     * @returns {string} The decoded, plain text string.
+     */
+    function decodeText(str) {
+      return decodeTextWithOffsets(str).text;
     }
 
     /**
@@ -540,19 +1105,55 @@
      * Renders the final, formatted results object into the overlay UI.
      * @param {object} results - The results object containing Maps of findings.
      * @param {object} contentMap - The map of source content, needed for context modals.
+     * @param {Array<object>} [coverage=[]] - The coverage report of the scan.
+     * @returns {Promise<void>}
      */
-    function renderResults(results, contentMap) {
+    async function renderResults(results, contentMap, coverage = []) {
+      const settings = await getSettings();
+      const scope = compileScope(settings);
+      const visibleResults = settings.hideInvalidFindings ? hideInvalidSecrets(results) : results;
       let expButton = shadowRoot.getElementById("export-button");
       if (expButton) {
         expButton.disabled = false;
       }
 
+      /**
+       * Formats a source map as a link that reconstructs its sources.
+       * @param {string} safe - The escaped source map URL, as found.
+       * @param {Array<object>} occurrences - The scripts referencing the source map.
+       * @param {string} rawFinding - The source map URL, as found.
+       * @returns {string}
+       */
+      const formatSourceMapLink = (safe, occurrences, rawFinding) => {
+        const sourceUrl = occurrences[0]?.source;
+        let fullUrl = rawFinding;
+        try {
+          if (sourceUrl && sourceUrl.startsWith("http")) {
+            fullUrl = new URL(rawFinding, sourceUrl).href;
+          }
+        } catch (e) {
+          console.warn(
+            "Could not create a valid URL for source map:",
+            rawFinding,
+            "from source:",
+            sourceUrl,
+          );
+        }
+
+        const label = rawFinding.startsWith("data:")
+          ? `inline source map (${formatBytes(rawFinding.length)})`
+          : safe;
+        const sourceMapRef = escapeHTML(getSourceMapRef(fullUrl, sourceUrl || ""));
+        return `<a href="${sourceMapRef}" target="_blank" class="source-map-link" data-source-map="${sourceMapRef}">${label}</a>`;
+      };
+
       const sectionConfig = [
         {
           key: "Subdomains",
           title: "[+] Subdomains",
           formatter: (safe) =>
             `<a href="https://${safe}" target="_blank">${safe}</a>`,
+          getTarget: (item) => `https://${item}`,
           copySelector: ".finding-details > summary",
         },
         {
@@ -567,6 +1168,7 @@
             }
             return `<a href="${new URL(safe, location.origin).href}" target="_blank">${safe}</a>`;
           },
+          getTarget: (item) => new URL(item.startsWith("//") ? `https:${item}` : item, location.origin).href,
           copySelector: ".finding-details > summary",
         },
         {
@@ -579,11 +1181,15 @@
         {
           key: "Potential Secrets",
           title: "[!] Potential Secrets",
-          formatter: (t) => {
+          formatter: (t, occurrences) => {
+            const validation = occurrences.find((occurrence) => occurrence.validation)?.validation;
+            const label = validation && validation !== VALIDATION_STATUS.UNCHECKED
+              ? `<span class="validation-label validation-label--${validation}">${VALIDATION_LABELS[validation]}</span>`
+              : "";
             return `
 					<code style="background:#333; color:#ffeb3b; padding:4px; border-radius:4px;">
 						${t}
-					</code>
+					</code>${label}
 					`;
           },
           copySelector: ".finding-details > summary code",
@@ -603,60 +1209,77 @@
         {
           key: "Source Maps",
           title: "[M] Source Maps",
-          formatter: (safe, occurrences, rawFinding) => {
-            const sourceUrl = occurrences[0]?.source;
-            let fullUrl = rawFinding;
-            try {
-              if (sourceUrl && sourceUrl.startsWith("http")) {
-                fullUrl = new URL(rawFinding, sourceUrl).href;
-              }
-            } catch (e) {
-              console.warn(
-                "Could not create a valid URL for source map:",
-                finding,
-                "from source:",
-                sourceUrl,
-              );
-            }
-
-            return `<a href="${fullUrl}" target="_blank" class="source-map-link" data-url="${fullUrl}">${safe}</a>`;
-          },
+          formatter: formatSourceMapLink,
+          getTarget: (item, occurrences) => new URL(item, getOccurrenceTarget(occurrences)).href,
+          copySelector: ".finding-details > summary > a",
+        },
+        {
+          key: DISCOVERED_SOURCE_MAPS,
+          title: "[M] Source Maps (discovered)",
+          formatter: formatSourceMapLink,
+          getTarget: (item) => item,
           copySelector: ".finding-details > summary > a",
         },
       ];
       const sectionsHTML = sectionConfig
-        .map(({ key, title, formatter, copySelector, copyModifier }) =>
+        .map(({ key, title, formatter, getTarget, copySelector, copyModifier }) =>
           renderSection(
-            results[key],
+            visibleResults[key],
             title,
             formatter,
             copySelector,
             copyModifier,
-            contentMap
+            contentMap,
+            (item, occurrences) => getFindingScopeStatus(item, occurrences, getTarget, scope),
           ),
         )
         .join("");
-      const totalFindings = Object.values(results).reduce(
+      const totalFindings = Object.values(visibleResults).reduce(
         (sum, map) => sum + map.size,
         0,
       );
 
       updateOverlayContent(
-        totalFindings > 0 ? sectionsHTML : "<h2>No findings. All clear!</h2>",
+        (totalFindings > 0 ? sectionsHTML : "<h2>No findings. All clear!</h2>") +
+        renderCoverageSection(coverage) +
+        renderProfilerSection(coverage),
       );
 
-      attachEventListeners(results, contentMap);
+      attachEventListeners(results, contentMap, coverage);
     }
 
+    let resultsController = new AbortController();
+
     /**
      * Attaches all necessary event listeners to the interactive elements of the results UI.
      * This includes copy buttons, context viewers, and source map links.
      * @param {object} results - The results object, needed for some listener contexts.
+     * @param {object} contentMap - The map of source content.
+     * @param {Array<object>} coverage - The coverage report, included in the export.
      */
-    function attachEventListeners(results, contentMap) {
+    function attachEventListeners(results, contentMap, coverage) {
+      resultsController.abort();
+      resultsController = new AbortController();
       const resultsContainer = shadowRoot.querySelector(
         `.scanner-overlay__results`,
       );
+
+      /**
+       * Scans the reconstructed files of a source map, then saves and shows the
+       * merged results.
+       * @param {Object<string, string>} sources - The reconstructed files.
+       * @param {string} sourceMapRef - The reference to the source map, see `getSourceMapRef`.
+       * @returns {Promise<number | null>} See `scanSourceMapFiles`.
+       */
+      const scanReconstructedSources = async (sources, sourceMapRef) => {
+        const added = await scanSourceMapFiles(sources, sourceMapRef, results, contentMap, coverage);
+        if (added !== null) {
+          await setCachedResults(results, contentMap, coverage);
+          await renderResults(results, contentMap, coverage);
+        }
+        return added;
+      };
+
       resultsContainer.addEventListener("click", (event) => {
         const target = event.target;
 
@@ -674,6 +1297,12 @@
           return;
         }
 
+        if (target.classList.contains("btn--export-profile")) {
+          event.preventDefault();
+          downloadJSON(buildProfileExport(coverage, location.href), `recon_profile_${location.hostname}.json`);
+          return;
+        }
+
         if (target.classList.contains("btn--copy-section")) {
           const section = target.closest("details");
           const selector = target.dataset.copySelector;
@@ -710,30 +1339,49 @@
 
         if (target.classList.contains('source-map-link')) {
           event.preventDefault();
-          const url = target.dataset.url;
+          const { sourceMap } = target.dataset;
+          const label = target.textContent;
 
           target.textContent = "Reconstructing...";
 
           (async () => {
-            const reconstructedSources = await reconstructSource(url);
+            const reconstructedSources = await reconstructSourceMap(sourceMap, results);
 
-            showSourceMapModal(reconstructedSources, url);
+            showSourceMapModal(reconstructedSources, sourceMap, null, scanReconstructedSources);
 
-            target.textContent = url.split('/').pop() || url;
+            target.textContent = label;
           })();
         }
-      });
 
-      attachExportListener(results);
+        if (target.classList.contains('original-position-link')) {
+          event.preventDefault();
+          const { sourceMap, file, line } = target.dataset;
+          const label = target.textContent;
+
+          target.textContent = "Reconstructing...";
+
+          (async () => {
+            const reconstructedSources = await reconstructSourceMap(sourceMap, results);
+
+            showSourceMapModal(reconstructedSources, sourceMap, { file, line: parseInt(line, 10) }, scanReconstructedSources);
+
+            target.textContent = label;
+          })();
+        }
+      }, { signal: resultsController.signal });
+
+      attachExportListener(results, coverage);
       attachCollapseListener();
     }
 
     /**
      * Attaches event listeners to the "Expand/Collapse" buttons in the overlay.
+     * The listeners are replaced, and the buttons reset, every time the results are rendered.
      */
     function attachCollapseListener() {
       const toggleCatButton = shadowRoot.getElementById("toggle-cat-button");
       let areCatOpen = false;
+      toggleCatButton.textContent = "Expand Categories";
 
       toggleCatButton.addEventListener("click", () => {
         areCatOpen = !areCatOpen;
@@ -746,10 +1394,11 @@
         allCategories.forEach((details) => {
           details.open = areCatOpen;
         });
-      });
+      }, { signal: resultsController.signal });
 
       const toggleAllButton = shadowRoot.getElementById("toggle-all-button");
       let areAllOpen = false;
+      toggleAllButton.textContent = "Expand All";
       toggleAllButton.addEventListener("click", () => {
         areAllOpen = !areAllOpen;
         toggleAllButton.textContent = areAllOpen ? "Collapse All" : "Expand All";
@@ -765,7 +1414,7 @@
         allDetails.forEach((details) => {
           details.open = areAllOpen;
         });
-      });
+      }, { signal: resultsController.signal });
     }
 
     /**
@@ -798,9 +1447,13 @@
     /**
      * Displays a complex modal with a file browser for viewing reconstructed source map content.
      * @param {Object<string, string>} sources - An object where keys are file paths and values are file contents.
-     * @param {string} sourceMapUrl - The URL of the source map for context.
+     * @param {string} sourceMapRef - The reference to the source map, see `getSourceMapRef`.
+     * @param {{file: string, line: number}} [selection] - A file to open right away,
+     * with the 1-based line to highlight, e.g. the original position of a finding.
+     * @param {function(Object<string, string>, string): Promise<number | null>} [onScanSources] - Scans
+     * the files for the "Scan sources" button, see `scanSourceMapFiles`. The button is hidden without it.
      */
-    function showSourceMapModal(sources, sourceMapUrl) {
+    function showSourceMapModal(sources, sourceMapRef, selection, onScanSources) {
       const existingModal = shadowRoot.getElementById('context-modal');
       if (existingModal) existingModal.remove();
 
@@ -811,10 +1464,17 @@
 
       const filePaths = Object.keys(sources);
       const fileTreeHTML = generateFileTreeHTML(filePaths);
+      const sourceMapName = escapeHTML(getSourceMapName(sourceMapRef));
+      const sourceMapHTML = sourceMapRef.startsWith(INLINE_SOURCE_MAP_PREFIX)
+        ? sourceMapName
+        : `<a target="_blank" href="${escapeHTML(sourceMapRef)}">${sourceMapName}</a>`;
       modal.innerHTML = `
     <div class="modal-content-source-viewer">
       <span class="modal-close">&times;</span>
-      <p>Reconstructed ${filePaths.length} sources from <a target="_blank" href="${sourceMapUrl}">${sourceMapUrl.split('/').pop()}</a>:</p>
+      <p>Reconstructed ${filePaths.length} sources from ${sourceMapHTML}:
+        ${onScanSources && sources[SOURCE_MAP_ERROR_FILE] === undefined ? '<button id="scan-sources-button" class="btn btn--source-action">Scan sources</button>' : ''}
+        ${filePaths.length > 0 && sources[SOURCE_MAP_ERROR_FILE] === undefined ? '<button id="download-all-button" class="btn btn--source-action">Download all</button>' : ''}
+      </p>
       <div class="source-viewer">
         <div class="file-browser">${fileTreeHTML}</div>
         <div class="code-viewer">
@@ -839,18 +1499,39 @@
       const copyButton = modalContent.querySelector('#copy-code-button');
       const downloadButton = modalContent.querySelector('#download-file-button');
 
+      /**
+       * Shows a file in the code viewer, highlighting and scrolling to a line if given.
+       * @param {string} fileName - The path of the file.
+       * @param {number} [line] - The 1-based line to highlight.
+       */
+      const showFile = (fileName, line) => {
+        const fileContent = sources[fileName] || '';
+
+        codeFilenameEl.textContent = fileName;
+        codeContentEl.textContent = fileContent;
+
+        const lines = fileContent.split('\n');
+        if (line >= 1 && line <= lines.length) {
+          const highlighted = document.createElement('mark');
+          highlighted.className = 'highlighted-line';
+          highlighted.textContent = lines[line - 1];
+          codeContentEl.replaceChildren(
+            lines.slice(0, line - 1).map(text => text + '\n').join(''),
+            highlighted,
+            lines.slice(line).map(text => '\n' + text).join(''),
+          );
+          highlighted.scrollIntoView({ block: 'center' });
+        }
+
+        const hasContent = fileContent.length > 0;
+        copyButton.disabled = !hasContent;
+        downloadButton.disabled = !hasContent;
+      };
+
       modalContent.querySelectorAll('.file-link').forEach(link => {
         link.addEventListener('click', (e) => {
           e.preventDefault();
-          const fileName = e.target.closest('a').dataset.filename;
-          const fileContent = sources[fileName] || '';
-
-          codeFilenameEl.textContent = fileName;
-          codeContentEl.textContent = fileContent;
-
-          const hasContent = fileContent.length > 0;
-          copyButton.disabled = !hasContent;
-          downloadButton.disabled = !hasContent;
+          showFile(e.target.closest('a').dataset.filename);
         });
       });
 
@@ -873,18 +1554,91 @@
         const content = codeContentEl.textContent;
         if (!fileName || fileName === 'Select a file' || !content) return;
 
-        const blob = new Blob([content], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileName.split('/').pop();
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(new Blob([content], { type: 'text/plain' }), fileName.split('/').pop());
+      });
+
+      const downloadAllButton = modalContent.querySelector('#download-all-button');
+      downloadAllButton?.addEventListener('click', () => {
+        try {
+          const { archive, fileName } = buildSourcesArchive(sources, sourceMapRef);
+          downloadBlob(archive, fileName);
+        } catch (error) {
+          console.warn('[JS Recon Buddy] Could not create the archive of the reconstructed sources:', error);
+          downloadAllButton.textContent = 'Download failed';
+        }
+      });
+
+      const scanSourcesButton = modalContent.querySelector('#scan-sources-button');
+      scanSourcesButton?.addEventListener('click', async () => {
+        scanSourcesButton.disabled = true;
+        scanSourcesButton.textContent = 'Scanning...';
+        try {
+          const added = await onScanSources(sources, sourceMapRef);
+          scanSourcesButton.textContent = added === null
+            ? 'Already scanned'
+            : `Scanned: ${added} finding${added === 1 ? '' : 's'} added`;
+        } catch (error) {
+          console.warn('[JS Recon Buddy] Could not scan the reconstructed sources:', error);
+          scanSourcesButton.textContent = 'Scan failed';
+          scanSourcesButton.disabled = false;
+        }
       });
 
       modalContent.querySelector('.modal-close').onclick = () => shadowRoot.getElementById('context-modal').remove();
+
+      if (selection && sources[selection.file] !== undefined) {
+        showFile(selection.file, selection.line);
+      }
+    }
+
+    /**
+     * Builds a ZIP archive of the files reconstructed from a source map. The
+     * files keep their paths, made safe by `toArchivePath`, under a folder
+     * named after the source map. A `sources-manifest.json` file lists where
+     * each source was saved, and the sources that were missing or could not
+     * be fetched.
+     * @param {Object<string, string>} sources - The reconstructed files, see `reconstructSource`.
+     * @param {string} sourceMapRef - The reference to the source map, see `getSourceMapRef`.
+     * @returns {{archive: Blob, fileName: string}} The archive and its file name.
+     */
+    function buildSourcesArchive(sources, sourceMapRef) {
+      const root = toArchivePath(getSourceMapName(sourceMapRef).replace(/\.map$/i, "")).replace(/\//g, "_");
+      const files = [];
+      const manifest = {
+        sourceMap: sourceMapRef,
+        createdAt: new Date().toISOString(),
+        files: [],
+        missing: [],
+      };
+
+      for (const [source, content] of Object.entries(sources)) {
+        if (content.startsWith(SKIPPED_SOURCE_PREFIX)) {
+          manifest.missing.push({ source, reason: content });
+          continue;
+        }
+        const path = `${root}/${toArchivePath(source)}`;
+        files.push({ path, content });
+        manifest.files.push({ source, path });
+      }
+      files.push({ path: `${root}/sources-manifest.json`, content: JSON.stringify(manifest, null, 2) });
+
+      return { archive: createZip(files), fileName: `${root}.zip` };
+    }
+
+    /**
+     * Downloads a Blob as a file.
+     * @param {Blob} blob - The content to download.
+     * @param {string} fileName - The name of the downloaded file.
+     */
+    function downloadBlob(blob, fileName) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
     }
 
     /**
@@ -934,8 +1688,9 @@
     /**
      * Attaches an event listener to the "Export" button for downloading results as JSON.
      * @param {object} results - The results object to be exported.
+     * @param {Array<object>} [coverage=[]] - The coverage report, exported under the "Coverage" key.
      */
-    function attachExportListener(results) {
+    function attachExportListener(results, coverage = []) {
       exportController.abort();
       exportController = new AbortController();
       shadowRoot.getElementById("export-button").addEventListener(
@@ -949,23 +1704,85 @@
               exportableResults[key] = Object.fromEntries(results[key]);
             }
           }
-          const dataStr =
-            "data:text/json;charset=utf-8," +
-            encodeURIComponent(JSON.stringify(exportableResults, null, 2));
-          const downloadAnchorNode = document.createElement("a");
-          downloadAnchorNode.setAttribute("href", dataStr);
-          downloadAnchorNode.setAttribute(
-            "download",
-            `recon_${location.hostname}.json`,
-          );
-          document.body.appendChild(downloadAnchorNode);
-          downloadAnchorNode.click();
-          downloadAnchorNode.remove();
+          exportableResults.Coverage = coverage;
+          downloadJSON(exportableResults, `recon_${location.hostname}.json`);
         },
         { signal: exportController.signal },
       );
     }
 
+    /**
+     * Downloads data as a formatted JSON file.
+     * @param {object} data - The data to download.
+     * @param {string} fileName - The name of the downloaded file.
+     */
+    function downloadJSON(data, fileName) {
+      const dataStr =
+        "data:text/json;charset=utf-8," +
+        encodeURIComponent(JSON.stringify(data, null, 2));
+      const downloadAnchorNode = document.createElement("a");
+      downloadAnchorNode.setAttribute("href", dataStr);
+      downloadAnchorNode.setAttribute("download", fileName);
+      document.body.appendChild(downloadAnchorNode);
+      downloadAnchorNode.click();
+      downloadAnchorNode.remove();
+    }
+
+    /**
+     * Returns the URL a finding was found on: the first script downloaded from
+     * a URL, or the page itself for inline scripts and the HTML document.
+     * @param {Array<object>} occurrences - The occurrences of the finding.
+     * @returns {string} The URL.
+     */
+    function getOccurrenceTarget(occurrences) {
+      const occurrence = occurrences.find(({ source }) => source.startsWith("http"));
+      return occurrence ? occurrence.source : window.location.href;
+    }
+
+    /**
+     * Returns a copy of the results without the occurrences of secrets that
+     * failed their offline validation, dropping the secrets left without any.
+     * @param {object} results - The results object containing Maps of findings.
+     * @returns {object} The results to render.
+     */
+    function hideInvalidSecrets(results) {
+      const secrets = results["Potential Secrets"];
+      if (!secrets) return results;
+
+      const validSecrets = new Map();
+      secrets.forEach((occurrences, secret) => {
+        const validOccurrences = occurrences.filter(
+          (occurrence) => occurrence.validation !== VALIDATION_STATUS.INVALID,
+        );
+        if (validOccurrences.length > 0) {
+          validSecrets.set(secret, validOccurrences);
+        }
+      });
+      return { ...results, "Potential Secrets": validSecrets };
+    }
+
+    /**
+     * Returns the scope status of a finding. Findings that are URLs or hosts, such
+     * as subdomains and endpoints, are checked themselves; other findings are
+     * checked by the URL they were found on.
+     * @param {string} item - The found item.
+     * @param {Array<object>} occurrences - The occurrences of the item.
+     * @param {function(string, Array<object>): string} [getTarget] - Returns the URL of the item, for URL-like findings.
+     * @param {{include: Array<object>, exclude: Array<object>}} scope - The compiled scope.
+     * @returns {'in_scope'|'out_of_scope'|null} The status, or null if there are no scope rules.
+     */
+    function getFindingScopeStatus(item, occurrences, getTarget, scope) {
+      let target = getOccurrenceTarget(occurrences);
+      if (getTarget) {
+        try {
+          target = getTarget(item, occurrences);
+        } catch (e) {
+          // Keep the URL the item was found on when it is not a valid URL.
+        }
+      }
+      return getScopeStatus(target, scope);
+    }
+
     /**
      * Renders a single collapsible section for a category of findings.
      * @param {Map<string, Array<object>>} findingsMap - The map of findings for this section.
@@ -973,6 +1790,9 @@
      * @param {function} formatter - A function to format the display of each finding.
      * @param {string} selector - The CSS selector for the "Copy Section" button.
      * @param {string} [copyModifier] - An optional modifier for the copy behavior.
+     * @param {object} contentMap - The map of source content.
+     * @param {function(string, Array<object>): (string|null)} [getScopeStatusOf] - Returns the
+     * scope status used to label a finding, or null for no label.
      * @returns {string} The HTML string for the entire section.
      */
     function renderSection(
@@ -981,7 +1801,8 @@
       formatter,
       selector,
       copyModifier,
-      contentMap
+      contentMap,
+      getScopeStatusOf = () => null
     ) {
       if (!findingsMap || findingsMap.size === 0) return "";
       let itemsHTML = "";
@@ -996,17 +1817,22 @@
           findingsByRule[ruleId].push({ item, occurrences });
         });
 
-        for (const ruleId in findingsByRule) {
+        const ruleIds = Object.keys(findingsByRule).sort((a, b) =>
+          compareBySeverity(findingsByRule[a][0].occurrences[0], findingsByRule[b][0].occurrences[0]),
+        );
+        for (const ruleId of ruleIds) {
           const subfindings = findingsByRule[ruleId];
-          itemsHTML += `<div class="sub-section"><details><summary>${ruleId} (${subfindings.length})</summary><ul>`;
+          const { severity, confidence, tags } = getRuleMetadata(subfindings[0].occurrences[0]);
+          const tagsHTML = tags.map((tag) => `<span class="rule-tag">${escapeHTML(tag)}</span>`).join("");
+          itemsHTML += `<div class="sub-section"><details><summary>${escapeHTML(ruleId)} (${subfindings.length})<span class="severity-badge severity-badge--${severity}">${severity}</span><span class="rule-confidence">${confidence} confidence</span>${tagsHTML}</summary><ul>`;
           subfindings.forEach(({ item, occurrences }) => {
-            itemsHTML += renderListItem(item, occurrences, formatter, contentMap);
+            itemsHTML += renderListItem(item, occurrences, formatter, contentMap, getScopeStatusOf(item, occurrences));
           });
           itemsHTML += `</ul></details></div>`;
         }
       } else {
         findingsMap.forEach((occurrences, item) => {
-          itemsHTML += renderListItem(item, occurrences, formatter, contentMap);
+          itemsHTML += renderListItem(item, occurrences, formatter, contentMap, getScopeStatusOf(item, occurrences));
         });
       }
 
@@ -1022,30 +1848,137 @@
       return `<details><summary>${summaryHTML}</summary><ul>${itemsHTML}</ul></details>`;
     }
 
+    /**
+     * Renders the collapsible coverage report: every source of the scan with its
+     * status, size and the time spent downloading and scanning it.
+     * @param {Array<object>} coverage - The coverage entries of the scan.
+     * @returns {string} The HTML string for the section, or an empty string if there is no report.
+     */
+    function renderCoverageSection(coverage) {
+      if (!coverage || coverage.length === 0) return "";
+
+      const { total, totalBytes, totalScanMs, byStatus } = summarizeCoverage(coverage);
+      const statusCounts = Object.entries(byStatus)
+        .map(([status, count]) => `${count} ${COVERAGE_STATUS_LABELS[status] || status}`)
+        .join(", ");
+
+      const itemsHTML = coverage
+        .map((entry) => {
+          let status = COVERAGE_STATUS_LABELS[entry.status] || entry.status;
+          if (entry.status === "http_error" && entry.httpStatus) {
+            status = `HTTP ${entry.httpStatus}`;
+          }
+          const details = [status, formatBytes(entry.bytes)];
+          if (entry.strategy) details.push(`via ${FETCH_STRATEGY_LABELS[entry.strategy] || entry.strategy}`);
+          if (entry.fetchMs !== null) details.push(`fetch ${entry.fetchMs} ms`);
+          if (entry.scanMs !== null) details.push(`scan ${entry.scanMs} ms`);
+          if (entry.timedOutRules?.length > 0) details.push(`timed out: ${entry.timedOutRules.join(", ")}`);
+
+          const failedClass = entry.status === "scanned" ? "" : " coverage-item--failed";
+          const title = entry.error ? ` title="${escapeHTML(entry.error)}"` : "";
+          return `<li class="coverage-item${failedClass}"${title}>
+            <span class="coverage-source">${escapeHTML(entry.source)}</span>
+            <span class="coverage-details">${details.join(" · ")}</span>
+          </li>`;
+        })
+        .join("");
+
+      const summaryHTML = `
+      <span>[C] Coverage (${total} sources, ${formatBytes(totalBytes)}, ${totalScanMs} ms: ${statusCounts})</span>
+      <button class="btn btn--copy-section" data-copy-selector=".coverage-item > .coverage-source">Copy</button>
+    `;
+      return `<details><summary>${summaryHTML}</summary><ul>${itemsHTML}</ul></details>`;
+    }
+
+    /**
+     * Renders the collapsible profiler: the slowest rules and the slowest
+     * sources of the scan, with their times and match counts.
+     * @param {Array<object>} coverage - The coverage entries of the scan, with their rule statistics.
+     * @returns {string} The HTML string for the section, or an empty string if nothing was measured.
+     */
+    function renderProfilerSection(coverage) {
+      if (!coverage) return "";
+      const { rules, sources } = summarizeProfile(coverage);
+      if (rules.length === 0) return "";
+
+      const formatMs = (ms) => `${ms.toFixed(1)} ms`;
+      const ruleRows = rules
+        .slice(0, PROFILER_ROW_LIMIT)
+        .map((rule) => `<tr>
+            <td>${escapeHTML(rule.rule)}</td>
+            <td>${rule.kind === "secret" ? "Secret rule" : "Pattern"}</td>
+            <td>${formatMs(rule.ms)}</td>
+            <td>${rule.matches}</td>
+            <td>${rule.sources}</td>
+            <td class="profiler-source">${escapeHTML(rule.slowestSource || "")}</td>
+          </tr>`)
+        .join("");
+      const sourceRows = sources
+        .slice(0, PROFILER_ROW_LIMIT)
+        .map((source) => `<tr>
+            <td class="profiler-source">${escapeHTML(source.source)}</td>
+            <td>${formatMs(source.ms)}</td>
+            <td>${source.matches}</td>
+            <td>${source.rules}</td>
+            <td>${escapeHTML(source.slowestRule || "")}</td>
+          </tr>`)
+        .join("");
+
+      const summaryHTML = `
+      <span>[P] Profiler (${rules.length} rules, slowest: ${escapeHTML(rules[0].rule)} ${formatMs(rules[0].ms)})</span>
+      <button class="btn btn--copy-section btn--export-profile">Export</button>
+    `;
+      return `<details><summary>${summaryHTML}</summary>
+        <h3 class="profiler-title">Slowest rules</h3>
+        <table class="profiler-table">
+          <thead><tr><th>Rule</th><th>Kind</th><th>Time</th><th>Matches</th><th>Sources</th><th>Slowest source</th></tr></thead>
+          <tbody>${ruleRows}</tbody>
+        </table>
+        <h3 class="profiler-title">Slowest sources</h3>
+        <table class="profiler-table">
+          <thead><tr><th>Source</th><th>Time</th><th>Matches</th><th>Rules</th><th>Slowest rule</th></tr></thead>
+          <tbody>${sourceRows}</tbody>
+        </table>
+      </details>`;
+    }
+
+    /**
+     * Returns a short name for a source map: its file name, or "inline source
+     * map" for `data:` source maps and references to them.
+     * @param {string} sourceMapRef - The URL of, or reference to, the source map, see `getSourceMapRef`.
+     * @returns {string}
+     */
+    function getSourceMapName(sourceMapRef) {
+      if (sourceMapRef.startsWith("data:") || sourceMapRef.startsWith(INLINE_SOURCE_MAP_PREFIX)) {
+        return "inline source map";
+      }
+      return sourceMapRef.split('/').pop() || sourceMapRef;
+    }
+
+    /**
+     * Escapes HTML special characters in a string to prevent injection when rendering.
+     * @param {string} str - The string to escape.
+     * @returns {string} The HTML-safe string.
+     */
+    function escapeHTML(str) {
+      return str
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+    }
+
     /**
      * Renders a single list item for a specific finding, including its occurrences.
      * @param {string} item - The found item (e.g., the secret, the subdomain).
      * @param {Array<object>} occurrences - An array of objects detailing where the item was found.
      * @param {function} formatter - The formatting function for the item.
      * @param {object} contentMap - The map of source content.
+     * @param {'in_scope'|'out_of_scope'|null} [scopeStatus=null] - The scope label of the finding, if any.
      * @returns {string} The HTML string for the list item.
      */
-    function renderListItem(item, occurrences, formatter, contentMap) {
-
-      /**
-       * Escapes HTML special characters in a string to prevent injection when rendering.
-       * @param {string} str - The string to escape.
-       * @returns {string} The HTML-safe string.
-       */
-      const escapeHTML = (str) => {
-        return str
-          .replace(/&/g, "&amp;")
-          .replace(/</g, "&lt;")
-          .replace(/>/g, "&gt;")
-          .replace(/"/g, "&quot;")
-          .replace(/'/g, "&#039;");
-      };
-
+    function renderListItem(item, occurrences, formatter, contentMap, scopeStatus = null) {
       const safeItem = escapeHTML(item);
       const renderedItem = formatter
         ? formatter(safeItem, occurrences, item)
@@ -1055,12 +1988,20 @@
         occurrences.map((occ) => [occ.source + '@' + occ.index, occ]),
       );
 
-      uniqueOccurrences.forEach(({ source, index, secretLength }) => {
+      uniqueOccurrences.forEach(({ source, index, secretLength, original, sourceMap, fromHeader, probed }) => {
         const isLocal =
           source.startsWith("Inline Script") || source === "Main HTML Document";
         const isURL = source.startsWith("http");
         let sourceHTML = `↳ ${escapeHTML(source)}`;
-        if (isURL) {
+        if (sourceMap) {
+          const line = contentMap[source]
+            ? contentMap[source].slice(0, index).split("\n").length
+            : 1;
+          sourceHTML = `↳ <a href="#" class="original-position-link"
+						data-source-map="${escapeHTML(sourceMap)}"
+						data-file="${escapeHTML(source)}"
+						data-line="${line}">${escapeHTML(source)}:${line}</a>`;
+        } else if (isURL) {
           sourceHTML = `↳ <a href="${source}" target="_blank">${escapeHTML(source)}</a>`;
         } else if (isLocal) {
           sourceHTML = `↳ <span class="clickable-source"
@@ -1069,7 +2010,18 @@
 						data-length="${secretLength}">${escapeHTML(source)} (click to view)</span>`;
         }
         occurrencesHTML += `<div>${sourceHTML}</div>`;
-        if (!isLocal) {
+        if (original) {
+          const position = `${original.file}:${original.line}:${original.column}`;
+          occurrencesHTML += `<div class="original-position">originally at <a href="#" class="original-position-link"
+						data-source-map="${escapeHTML(original.sourceMap)}"
+						data-file="${escapeHTML(original.file)}"
+						data-line="${original.line}">${escapeHTML(position)}</a></div>`;
+        }
+        if (fromHeader) {
+          occurrencesHTML += `<div class="original-position">announced by the SourceMap response header</div>`;
+        } else if (probed) {
+          occurrencesHTML += `<div class="original-position">not advertised by the script, found by probing</div>`;
+        } else if (!isLocal) {
           const fullCode = contentMap[source];
           if (fullCode) {
             const start = Math.max(0, index - 40);
@@ -1083,7 +2035,7 @@
       return `
     <li>
       <details class="finding-details">
-        <summary>${renderedItem}</summary>
+        <summary${scopeStatus ? ` data-scope="${scopeStatus}"` : ""}>${renderedItem}</summary>
         <div style="font-size:.85em;color:#999;padding-left:15px;margin-top:5px">
           ${occurrencesHTML}
         </div>
@@ -1,3 +1,11 @@
+import { getFindings, getPage } from '../utils/findingsStore.js';
+import { COVERAGE_STATUS_LABELS, FETCH_STRATEGY_LABELS, formatBytes, summarizeCoverage } from '../utils/coverage.js';
+import { buildProfileExport, summarizeProfile } from '../utils/profiler.js';
+import { compareBySeverity, getRuleMetadata } from '../utils/ruleMetadata.js';
+import { VALIDATION_LABELS, VALIDATION_STATUS } from '../utils/validators.js';
+import { getSettings } from '../utils/settings.js';
+import { compileScope, getScopeStatus } from '../utils/scope.js';
+
 /**
  * @description The full active tab object, stored globally for access by various functions and listeners.
  * @type {chrome.tabs.Tab}
@@ -16,6 +24,12 @@ let activeTabId;
  */
 let activeTabUrl;
 
+/**
+ * @description The number of rules and sources listed by the profiler.
+ * @type {number}
+ */
+const PROFILER_ROW_LIMIT = 10;
+
 /**
  * @description Main entry point that runs when the popup's DOM is fully loaded.
  * It initializes the UI, disables the scan button for non-scannable pages,
@@ -52,6 +66,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.close();
   });
 
+  document.getElementById('options-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+
   rescanPassiveButton.addEventListener('click', () => {
     chrome.runtime.sendMessage({
       type: 'FORCE_PASSIVE_RESCAN',
@@ -66,7 +86,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 /**
- * Asynchronously fetches passive scan data from `chrome.storage.session` and
+ * Asynchronously fetches the passive scan status from `chrome.storage.session` and
  * triggers the rendering of the findings list or status messages.
  * @param {chrome.tabs.Tab} tab - The active tab object to load data for.
  * @param {boolean} [isScannable=true] - A flag indicating if the page can be scanned.
@@ -91,14 +111,17 @@ async function loadAndRenderSecrets(tab, isScannable = true) {
 /**
  * Renders the content of the passive secrets list based on the current state.
  * It handles various states including "not scannable", "needs reload", "scanning",
- * "no findings", or the list of discovered secrets.
- * @param {object | undefined} storedData - The data object from session storage, which
- * may contain `{status: string, results: Array<object>}`.
+ * "no findings", or the list of discovered secrets, which is read from the findings store.
+ * @param {object | undefined} storedData - The status object from session storage, which
+ * may contain `{status: string, findingsCount: number}`.
  * @param {HTMLElement} findingsList - The DOM element to render the content into.
  * @param {boolean} [isScannable=true] - A flag indicating if the page can be scanned.
+ * @returns {Promise<void>}
  */
-function renderContent(storedData, findingsList, isScannable = true) {
+async function renderContent(storedData, findingsList, isScannable = true) {
   findingsList.innerHTML = '';
+  renderCoverage([]);
+  renderProfiler([]);
   const rescanButton = document.getElementById('rescan-passive-btn');
 
   if (!isScannable) {
@@ -130,9 +153,24 @@ function renderContent(storedData, findingsList, isScannable = true) {
     return;
   }
 
-  const findings = storedData.results;
+  if (storedData.status === 'out_of_scope') {
+    findingsList.innerHTML = '<div class="no-findings"><span>This page is out of scope. Passive scanning can be enabled for it in the scope section of the settings.</span></div>';
+    return;
+  }
 
-  const contentMap = storedData.contentMap || {};
+  let findings = [];
+  try {
+    const pageKey = `${activeTabId}|${activeTabUrl}`;
+    const [storedFindings, page] = await Promise.all([getFindings(pageKey), getPage(pageKey)]);
+    findings = storedFindings;
+    renderCoverage(page?.coverage || []);
+    renderProfiler(page?.coverage || []);
+  } catch (error) {
+    console.warn("[JS Recon Buddy] Error reading the findings store:", error);
+    findingsList.innerHTML = '<div class="no-findings"><span>Error loading findings.</span></div>';
+    return;
+  }
+  findingsList.innerHTML = '';
 
   if (rescanButton) {
     rescanButton.style.display = 'inline-flex';
@@ -143,10 +181,25 @@ function renderContent(storedData, findingsList, isScannable = true) {
     return;
   }
 
+  const settings = await getSettings();
+  const visibleFindings = settings.hideInvalidFindings
+    ? findings.filter(finding => finding.validation !== VALIDATION_STATUS.INVALID)
+    : findings;
+  const hiddenCount = findings.length - visibleFindings.length;
+
   const findingsCountSpan = document.getElementById('findings-count');
-  findingsCountSpan.innerText = `(${findings.length})`
+  findingsCountSpan.innerText = hiddenCount > 0
+    ? `(${visibleFindings.length}, ${hiddenCount} invalid hidden)`
+    : `(${findings.length})`;
+
+  if (visibleFindings.length === 0) {
+    findingsList.innerHTML = '<div class="no-findings"><span>No valid secrets found.</span></div>';
+    return;
+  }
 
-  for (const finding of findings) {
+  const scope = compileScope(settings);
+
+  for (const finding of [...visibleFindings].sort(compareBySeverity)) {
     const card = document.createElement('div');
     card.className = 'finding-card';
     const truncatedSecret = finding.secret.length > 100 ? `${finding.secret.substring(0, 97)}...` : finding.secret;
@@ -156,30 +209,51 @@ function renderContent(storedData, findingsList, isScannable = true) {
     let description = finding.description
       ? `<p class="description">About: <span>${finding.description}</span></p>`
       : '';
+    let frame = finding.frameUrl
+      ? `<p class="frame">Frame: <span>${getFrameLabel(finding)}</span></p>`
+      : '';
+    const scopeStatus = getScopeStatus(
+      finding.source.startsWith('http') ? finding.source : finding.frameUrl || activeTabUrl,
+      scope
+    );
+    const scopeLabel = scopeStatus
+      ? `<span class="scope-label scope-label--${scopeStatus === 'in_scope' ? 'in' : 'out'}">${scopeStatus === 'in_scope' ? 'in scope' : 'out of scope'}</span>`
+      : '';
+    const { severity, confidence, tags } = getRuleMetadata(finding);
+    const severityBadge = `<span class="severity-badge severity-badge--${severity}">${severity}</span>`;
+    const metadata = [`${confidence} confidence`, ...tags].join(' · ');
+    const validation = finding.validation && finding.validation !== VALIDATION_STATUS.UNCHECKED
+      ? `<span class="validation-label validation-label--${finding.validation}">${VALIDATION_LABELS[finding.validation]}</span>`
+      : '';
     card.innerHTML = `
-      <h2>${finding.id}</h2>
+      <h2>${finding.id}${severityBadge}${scopeLabel}</h2>
+      <p class="rule-metadata">${metadata}${validation}</p>
       ${description}
       <p class="source">Source: <span>${sourceFormatted}</span></p>
+      ${frame}
       <p class="secret-found"><code>${truncatedSecret}</code></p>
     `;
 
     const button = document.createElement('button');
     button.className = 'btn btn-primary';
-    button.textContent = 'View Source';
-    if (finding.isSourceTooLarge || !contentMap[finding.source]) {
+    button.textContent = finding.isSourceTooLarge ? 'View Snippet' : 'View Source';
+    if (!finding.sourceHash) {
       button.disabled = true;
-      button.title = 'Source file is too large to be displayed.';
+      button.title = 'Source file is no longer available.';
     } else {
+      if (finding.isSourceTooLarge) {
+        button.title = 'Source file is too large to be displayed, only the code around the finding is shown.';
+      }
       button.onclick = async () => {
         const viewerUrl = chrome.runtime.getURL('src/source-viewer/source-viewer.html');
-        const fullContent = contentMap[finding.source];
-        if (!fullContent) {
-          console.warn("[JS Recon Buddy] Could not find content for source:", finding.source);
-          return;
-        }
 
         const storageKey = `source-viewer-${Date.now()}`;
-        const dataToStore = { content: fullContent, secret: finding.secret, source: finding.source };
+        const dataToStore = {
+          sourceHash: finding.sourceHash,
+          secret: finding.secret,
+          source: finding.source,
+          snippetOffset: finding.snippetOffset
+        };
         await chrome.storage.local.set({ [storageKey]: dataToStore });
 
         chrome.tabs.create({ url: `${viewerUrl}#${storageKey}` });
@@ -193,6 +267,133 @@ function renderContent(storedData, findingsList, isScannable = true) {
   }
 }
 
+/**
+ * Renders the coverage report of the passive scan: every source with its
+ * status, size and scan time. The report is hidden when it is empty.
+ * @param {Array<object>} coverage - The coverage entries stored for the page.
+ */
+function renderCoverage(coverage) {
+  const report = document.getElementById('coverage-report');
+  const list = document.getElementById('coverage-list');
+  if (!report || !list) return;
+
+  report.hidden = coverage.length === 0;
+  list.innerHTML = '';
+  if (coverage.length === 0) return;
+
+  const { total, totalBytes, byStatus } = summarizeCoverage(coverage);
+  const notScanned = total - (byStatus.scanned || 0);
+  document.getElementById('coverage-summary').textContent =
+    `(${total} sources, ${formatBytes(totalBytes)}${notScanned > 0 ? `, ${notScanned} not fully scanned` : ''})`;
+
+  for (const entry of coverage) {
+    const item = document.createElement('li');
+    if (entry.status !== 'scanned') {
+      item.className = 'coverage--failed';
+    }
+
+    const source = document.createElement('span');
+    source.className = 'coverage-source';
+    source.textContent = entry.source;
+    source.title = entry.error ? `${entry.source}\n${entry.error}` : entry.source;
+
+    const details = document.createElement('span');
+    details.className = 'coverage-details';
+    details.textContent = getCoverageDetails(entry);
+
+    item.append(source, details);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Renders the profiler of the passive scan: the slowest secret rules and the
+ * slowest sources, with a button exporting the full profile as JSON. It is
+ * hidden when nothing was measured, e.g. when all sources came from the scan cache.
+ * @param {Array<object>} coverage - The coverage entries stored for the page, with their rule statistics.
+ */
+function renderProfiler(coverage) {
+  const report = document.getElementById('profiler-report');
+  if (!report) return;
+
+  const { rules, sources } = summarizeProfile(coverage);
+  report.hidden = rules.length === 0;
+  if (rules.length === 0) return;
+
+  const totalMs = sources.reduce((sum, source) => sum + source.ms, 0);
+  document.getElementById('profiler-summary').textContent = `(${rules.length} rules, ${totalMs} ms)`;
+
+  const fillTable = (id, rows) => {
+    const body = document.getElementById(id);
+    body.innerHTML = '';
+    for (const cells of rows) {
+      const row = document.createElement('tr');
+      for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.title = text;
+        row.appendChild(cell);
+      }
+      body.appendChild(row);
+    }
+  };
+  fillTable('profiler-rules', rules.slice(0, PROFILER_ROW_LIMIT)
+    .map(rule => [rule.rule, `${rule.ms.toFixed(1)} ms`, String(rule.matches)]));
+  fillTable('profiler-sources', sources.slice(0, PROFILER_ROW_LIMIT)
+    .map(source => [source.source, `${source.ms} ms`, source.slowestRule || '']));
+
+  document.getElementById('export-profile-btn').onclick = () => {
+    const blob = new Blob([JSON.stringify(buildProfileExport(coverage, activeTabUrl), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `recon_profile_${new URL(activeTabUrl).hostname}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+}
+
+/**
+ * Builds the short status line of a coverage entry, e.g. "Scanned · 12.3 KB · via page · 4 ms".
+ * @param {object} entry - The coverage entry to describe.
+ * @returns {string}
+ */
+function getCoverageDetails(entry) {
+  let status = COVERAGE_STATUS_LABELS[entry.status] || entry.status;
+  if (entry.status === 'http_error' && entry.httpStatus) {
+    status = `HTTP ${entry.httpStatus}`;
+  }
+  const parts = [status];
+  if (entry.bytes > 0) {
+    parts.push(formatBytes(entry.bytes));
+  }
+  if (entry.strategy) {
+    parts.push(`via ${FETCH_STRATEGY_LABELS[entry.strategy] || entry.strategy}`);
+  }
+  if (entry.cached) {
+    parts.push('cached');
+  } else if (entry.scanMs !== null) {
+    parts.push(`${entry.scanMs} ms`);
+  }
+  if (entry.timedOutRules?.length > 0) {
+    parts.push(`timed out: ${entry.timedOutRules.join(', ')}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Builds a short label describing the frame a finding came from, using the
+ * origin of the frame document and marking findings from the top document.
+ * @param {{frameId: number, frameUrl: string}} finding - The finding to describe.
+ * @returns {string} The frame origin, followed by "(top)" for the main frame.
+ */
+function getFrameLabel(finding) {
+  let origin = finding.frameUrl;
+  try {
+    origin = new URL(finding.frameUrl).origin;
+  } catch (e) { }
+  return finding.frameId === 0 ? `${origin} (top)` : origin;
+}
+
 /**
  * @description Listens for changes in session storage. If the data for the
  * active tab is updated (e.g., a scan finishes), it re-renders the popup
@@ -1,3 +1,5 @@
+import { getSource } from '../utils/findingsStore.js';
+
 document.addEventListener('DOMContentLoaded', async () => {
   const codeEl = document.getElementById('content-container');
 
@@ -33,7 +35,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     chrome.storage.local.remove(storageKey);
 
-    const { content, secret, source } = storageData[storageKey];
+    const { secret, source, sourceHash, snippetOffset } = storageData[storageKey];
+    let { content } = storageData[storageKey];
+    if (!content && sourceHash) {
+      content = await getSource(sourceHash);
+    }
+    if (Number.isInteger(snippetOffset)) {
+      document.title = `${document.title} (snippet at offset ${snippetOffset} of ${source})`;
+    }
 
     if (content && secret) {
       const language = getLanguageFromSource(source);
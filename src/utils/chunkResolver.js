@@ -0,0 +1,491 @@
+/**
+ * @fileoverview Discovers the scripts a script loads by itself: static `import`
+ * and `export ... from` statements, dynamic `import()` calls, webpack chunk
+ * maps (`__webpack_require__.u`), Next.js build manifests (`_buildManifest.js`)
+ * and Vite preload maps (`__vite__mapDeps`). Most of the code of a modern
+ * application is only reachable through these references, so the passive scan
+ * and the full page analysis follow them up to a limited depth and count.
+ */
+
+/**
+ * @description The default number of reference levels followed from the scripts of a page.
+ * @type {number}
+ */
+export const DEFAULT_CHUNK_MAX_DEPTH = 3;
+
+/**
+ * @description The default maximum number of chunks fetched for a single scan.
+ * @type {number}
+ */
+export const DEFAULT_CHUNK_MAX_COUNT = 100;
+
+/**
+ * @description Matches static imports and re-exports, e.g. `import{a}from"./a.js"`,
+ * `import "./polyfills.js"` and `export * from "./b.js"`.
+ * @type {RegExp}
+ */
+const STATIC_IMPORT_REGEX = /\b(?:import|export)\s*(?:[\w$*{}\s,]+?\s*from\s*)?["']([^"'\s]+)["']/g;
+
+/**
+ * @description Matches dynamic imports with a literal specifier, e.g. `import("./page.js")`.
+ * @type {RegExp}
+ */
+const DYNAMIC_IMPORT_REGEX = /\bimport\s*\(\s*(["'`])([^"'`\s]+?)\1\s*\)/g;
+
+/**
+ * @description Matches the assignment of the webpack chunk URL function, capturing
+ * the name of the webpack require function (`__webpack_require__` or its minified name).
+ * @type {RegExp}
+ */
+const WEBPACK_CHUNK_URL_REGEX = /([\w$]+)\.u\s*=\s*(?:function\s*\(\s*([\w$]+)\s*\)\s*\{\s*return\b|\(?\s*([\w$]+)\s*\)?\s*=>\s*(?:\{\s*return\b)?)/g;
+
+/**
+ * @description Matches the script paths listed in a Next.js build manifest.
+ * @type {RegExp}
+ */
+const NEXT_MANIFEST_PATH_REGEX = /["'](static\/[^"'\s]+?\.js)["']/g;
+
+/**
+ * @description Matches the dependency list of the Vite `__vite__mapDeps` helper.
+ * @type {RegExp}
+ */
+const VITE_MAP_DEPS_REGEX = /\.f\s*=\s*\[([^\]]*)\]/;
+
+/**
+ * Extracts the URLs of the scripts referenced by a script.
+ * Bare module specifiers (e.g. `import "react"`) cannot be resolved without an
+ * import map and are ignored.
+ * @param {string} code The content of the script.
+ * @param {string} baseUrl The URL of the script (or of the page, for inline scripts).
+ * @returns {string[]} The absolute URLs of the referenced scripts, without duplicates.
+ */
+export function extractChunkReferences(code, baseUrl) {
+  const urls = new Set();
+  const add = (url) => {
+    if (url) {
+      urls.add(url);
+    }
+  };
+
+  for (const match of code.matchAll(STATIC_IMPORT_REGEX)) {
+    add(resolveSpecifier(match[1], baseUrl));
+  }
+  for (const match of code.matchAll(DYNAMIC_IMPORT_REGEX)) {
+    if (!match[2].includes('${')) {
+      add(resolveSpecifier(match[2], baseUrl));
+    }
+  }
+  for (const path of extractWebpackChunkPaths(code)) {
+    add(resolveAgainstMarker(path, baseUrl));
+  }
+  if (code.includes('__BUILD_MANIFEST')) {
+    for (const match of code.matchAll(NEXT_MANIFEST_PATH_REGEX)) {
+      add(resolveAgainstMarker(match[1], baseUrl));
+    }
+  }
+  if (code.includes('__vite__mapDeps')) {
+    const deps = code.match(VITE_MAP_DEPS_REGEX);
+    for (const match of deps ? deps[1].matchAll(/["']([^"']+?\.js)["']/g) : []) {
+      add(resolveAgainstMarker(match[1], baseUrl));
+    }
+  }
+  return [...urls];
+}
+
+/**
+ * Walks the chunk references of a set of scripts breadth-first, fetching every
+ * newly discovered chunk and following its own references in turn.
+ *
+ * Only chunks served from the same origin as the script that references them,
+ * or as the frame the script was loaded in, are followed.
+ *
+ * @param {Array<{url: string, content: string, frameUrl?: string}>} scripts The scripts to start from.
+ * Inline scripts use the URL of their frame.
+ * @param {function(string, object): Promise<object>} fetchChunk Fetches a chunk, given its
+ * URL and the script that referenced it. Must resolve with an object holding the `content`
+ * (null if the fetch failed).
+ * @param {object} [options]
+ * @param {number} [options.maxDepth=DEFAULT_CHUNK_MAX_DEPTH] The number of reference levels to follow.
+ * @param {number} [options.maxCount=DEFAULT_CHUNK_MAX_COUNT] The maximum number of chunks to fetch.
+ * @param {Set<string>} [options.seen] URLs that are already known and must not be fetched.
+ * It is updated with every chunk that is fetched.
+ * @returns {Promise<Array<{url: string, parent: object, depth: number, outcome: object}>>}
+ * The fetched chunks, in discovery order.
+ */
+export async function resolveChunkGraph(scripts, fetchChunk, {
+  maxDepth = DEFAULT_CHUNK_MAX_DEPTH,
+  maxCount = DEFAULT_CHUNK_MAX_COUNT,
+  seen = new Set(),
+} = {}) {
+  const chunks = [];
+  let level = scripts.filter(script => script.content);
+
+  for (let depth = 1; depth <= maxDepth && level.length > 0 && chunks.length < maxCount; depth++) {
+    const discovered = [];
+    for (const parent of level) {
+      for (const url of extractChunkReferences(parent.content, parent.url)) {
+        if (chunks.length + discovered.length >= maxCount) {
+          break;
+        }
+        if (!seen.has(url) && isSameOrigin(url, parent)) {
+          seen.add(url);
+          discovered.push({ url, parent });
+        }
+      }
+    }
+
+    const outcomes = await Promise.all(discovered.map(({ url, parent }) => fetchChunk(url, parent)));
+    level = [];
+    discovered.forEach(({ url, parent }, i) => {
+      chunks.push({ url, parent, depth, outcome: outcomes[i] });
+      if (outcomes[i]?.content) {
+        level.push({ ...parent, url, content: outcomes[i].content });
+      }
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Checks whether a chunk is served from the origin of the script that
+ * references it or of the frame that script was loaded in.
+ * @param {string} url The chunk URL.
+ * @param {{url: string, frameUrl?: string}} parent The referencing script.
+ * @returns {boolean}
+ */
+function isSameOrigin(url, parent) {
+  try {
+    const { origin } = new URL(url);
+    return origin === new URL(parent.url).origin ||
+      (!!parent.frameUrl && origin === new URL(parent.frameUrl).origin);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a module specifier found in an `import` against the importing script.
+ * @param {string} specifier
+ * @param {string} baseUrl
+ * @returns {string | null} The absolute URL, or null for bare specifiers and non-HTTP URLs.
+ */
+function resolveSpecifier(specifier, baseUrl) {
+  if (!/^(?:\.{0,2}\/|https?:\/\/)/.test(specifier)) {
+    return null;
+  }
+  return resolveRelativeTo(specifier, baseUrl);
+}
+
+/**
+ * Resolves a URL against a base URL, keeping only HTTP(S) results.
+ * @param {string} path
+ * @param {string} baseUrl
+ * @returns {string | null}
+ */
+function resolveRelativeTo(path, baseUrl) {
+  try {
+    const url = new URL(path, baseUrl);
+    url.hash = '';
+    return url.protocol.startsWith('http') ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolves a build-relative path (e.g. `static/chunks/123.js` or `assets/index-abc.js`)
+ * against the directory the build is served from. The build directory is found by
+ * looking for the first segment of the path in the URL of the referencing script;
+ * if it is not there, the path is resolved against the site root.
+ * @param {string} path
+ * @param {string} baseUrl
+ * @returns {string | null}
+ */
+function resolveAgainstMarker(path, baseUrl) {
+  if (/^(?:\/|https?:\/\/)/.test(path)) {
+    return resolveRelativeTo(path, baseUrl);
+  }
+  try {
+    const base = new URL(baseUrl);
+    const marker = `/${path.replace(/^\.\//, '').split('/')[0]}/`;
+    const index = base.pathname.indexOf(marker);
+    const root = index >= 0 ? base.pathname.slice(0, index + 1) : '/';
+    return resolveRelativeTo(root + path.replace(/^\.\//, ''), base.origin);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Extracts the chunk paths defined by webpack runtimes in a script. The chunk
+ * URL function (`__webpack_require__.u`) is evaluated for every chunk ID found
+ * in its maps, and the result is prefixed with the public path
+ * (`__webpack_require__.p`) when it is a literal.
+ * @param {string} code
+ * @returns {string[]} The chunk paths, absolute or relative to the build directory.
+ */
+function extractWebpackChunkPaths(code) {
+  const paths = [];
+  for (const match of code.matchAll(WEBPACK_CHUNK_URL_REGEX)) {
+    const [full, requireName, functionParam, arrowParam] = match;
+    const param = functionParam || arrowParam;
+    let expression;
+    try {
+      expression = parseChunkExpression(tokenize(code, match.index + full.length), param);
+    } catch (e) {
+      continue;
+    }
+    if (!expression) {
+      continue;
+    }
+
+    const escapedName = requireName.replace(/\$/g, '\\$');
+    const publicPathMatch = code.match(new RegExp(`(?:^|[^\\w$])${escapedName}\\.p\\s*=\\s*["']([^"']*)["']`));
+    const publicPath = publicPathMatch && publicPathMatch[1] !== 'auto' ? publicPathMatch[1] : '';
+
+    for (const chunkId of collectChunkIds(expression)) {
+      const path = evaluateChunkExpression(expression, chunkId);
+      if (path && !path.includes('undefined')) {
+        paths.push(publicPath + path);
+      }
+    }
+  }
+  return paths;
+}
+
+/**
+ * @description The maximum number of tokens read from a chunk URL function.
+ * @type {number}
+ */
+const MAX_CHUNK_EXPRESSION_TOKENS = 20000;
+
+/**
+ * Splits the source following a chunk URL function header into tokens, up to
+ * `MAX_CHUNK_EXPRESSION_TOKENS`. Only the tokens that can appear in a chunk URL
+ * expression are recognized; tokenizing stops at anything else.
+ * @param {string} code
+ * @param {number} start The position to start from.
+ * @returns {Array<{type: string, value: string}>}
+ */
+function tokenize(code, start) {
+  const tokenRegex = /\s*(?:(["'])((?:\\.|(?!\1)[^\\\n])*)\1|(\d+(?:\.\d+)?)|([\w$]+)|(===|==|\|\||[{}[\]()+?:,]))/y;
+  tokenRegex.lastIndex = start;
+  const tokens = [];
+  let match;
+  while (tokens.length < MAX_CHUNK_EXPRESSION_TOKENS && (match = tokenRegex.exec(code))) {
+    if (match[1]) {
+      tokens.push({ type: 'string', value: match[2] });
+    } else if (match[3]) {
+      tokens.push({ type: 'number', value: match[3] });
+    } else if (match[4]) {
+      tokens.push({ type: 'identifier', value: match[4] });
+    } else {
+      tokens.push({ type: 'punctuator', value: match[5] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a chunk URL expression: a concatenation of string literals, the chunk
+ * ID, lookups in object literals (`{1:"a"}[id]`), `||` fallbacks and ternaries
+ * comparing the chunk ID with a literal.
+ * @param {Array<{type: string, value: string}>} tokens
+ * @param {string} param The name of the chunk ID parameter.
+ * @returns {object | null} The expression tree, or null if it cannot be parsed.
+ */
+function parseChunkExpression(tokens, param) {
+  let position = 0;
+  const peek = (value) => tokens[position]?.value === value && tokens[position].type === 'punctuator';
+  const expect = (value) => {
+    if (!peek(value)) {
+      throw new Error(`Expected ${value}`);
+    }
+    position++;
+  };
+
+  const parseTernary = () => {
+    const condition = parseOr();
+    if (!peek('?')) {
+      return condition;
+    }
+    position++;
+    const consequent = parseTernary();
+    expect(':');
+    return { type: 'ternary', condition, consequent, alternate: parseTernary() };
+  };
+
+  const parseOr = () => {
+    let left = parseComparison();
+    while (peek('||')) {
+      position++;
+      left = { type: 'or', left, right: parseComparison() };
+    }
+    return left;
+  };
+
+  const parseComparison = () => {
+    const left = parseConcat();
+    if (peek('===') || peek('==')) {
+      position++;
+      return { type: 'equals', left, right: parseConcat() };
+    }
+    return left;
+  };
+
+  const parseConcat = () => {
+    const parts = [parseTerm()];
+    while (peek('+')) {
+      position++;
+      parts.push(parseTerm());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+  };
+
+  const parseTerm = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+    let term;
+    if (token.type === 'string' || token.type === 'number') {
+      term = { type: 'literal', value: token.value };
+    } else if (token.type === 'identifier' && token.value === param) {
+      term = { type: 'id' };
+    } else if (token.value === '(') {
+      term = parseTernary();
+      expect(')');
+    } else if (token.value === '{') {
+      term = { type: 'map', entries: parseObjectLiteral() };
+    } else {
+      throw new Error(`Unexpected token ${token.value}`);
+    }
+
+    while (peek('[')) {
+      position++;
+      term = { type: 'lookup', object: term, key: parseTernary() };
+      expect(']');
+    }
+    return term;
+  };
+
+  const parseObjectLiteral = () => {
+    const entries = new Map();
+    while (!peek('}')) {
+      const key = tokens[position++];
+      if (!key || !['string', 'number', 'identifier'].includes(key.type)) {
+        throw new Error('Invalid object key');
+      }
+      expect(':');
+      const value = tokens[position++];
+      if (!value || (value.type !== 'string' && value.type !== 'number')) {
+        throw new Error('Invalid object value');
+      }
+      entries.set(key.value, value.value);
+      if (peek(',')) {
+        position++;
+      }
+    }
+    expect('}');
+    return entries;
+  };
+
+  try {
+    const expression = parseTernary();
+    return containsChunkId(expression) ? expression : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether an expression depends on the chunk ID, which tells chunk URL
+ * functions apart from unrelated `.u` assignments.
+ * @param {object} node
+ * @returns {boolean}
+ */
+function containsChunkId(node) {
+  switch (node.type) {
+    case 'id':
+      return true;
+    case 'concat':
+      return node.parts.some(containsChunkId);
+    case 'lookup':
+      return containsChunkId(node.object) || containsChunkId(node.key);
+    case 'or':
+    case 'equals':
+      return containsChunkId(node.left) || containsChunkId(node.right);
+    case 'ternary':
+      return containsChunkId(node.condition) || containsChunkId(node.consequent) || containsChunkId(node.alternate);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Collects the chunk IDs mentioned by an expression: the keys of its object
+ * literals and the literals the chunk ID is compared with.
+ * @param {object} node
+ * @param {Set<string>} [ids=new Set()]
+ * @returns {Set<string>}
+ */
+function collectChunkIds(node, ids = new Set()) {
+  switch (node.type) {
+    case 'map':
+      node.entries.forEach((value, key) => ids.add(key));
+      break;
+    case 'concat':
+      node.parts.forEach(part => collectChunkIds(part, ids));
+      break;
+    case 'lookup':
+      collectChunkIds(node.object, ids);
+      collectChunkIds(node.key, ids);
+      break;
+    case 'or':
+      collectChunkIds(node.left, ids);
+      collectChunkIds(node.right, ids);
+      break;
+    case 'equals':
+      [node.left, node.right].forEach(side => side.type === 'literal' ? ids.add(side.value) : collectChunkIds(side, ids));
+      break;
+    case 'ternary':
+      collectChunkIds(node.condition, ids);
+      collectChunkIds(node.consequent, ids);
+      collectChunkIds(node.alternate, ids);
+      break;
+  }
+  return ids;
+}
+
+/**
+ * Evaluates a chunk URL expression for a chunk ID.
+ * @param {object} node
+ * @param {string} chunkId
+ * @returns {string | boolean | undefined} The chunk path, or undefined if a lookup missed.
+ */
+function evaluateChunkExpression(node, chunkId) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'id':
+      return chunkId;
+    case 'map':
+      return node.entries;
+    case 'concat':
+      return node.parts.map(part => String(evaluateChunkExpression(part, chunkId))).join('');
+    case 'lookup': {
+      const object = evaluateChunkExpression(node.object, chunkId);
+      return object instanceof Map ? object.get(String(evaluateChunkExpression(node.key, chunkId))) : undefined;
+    }
+    case 'or':
+      return evaluateChunkExpression(node.left, chunkId) || evaluateChunkExpression(node.right, chunkId);
+    case 'equals':
+      return String(evaluateChunkExpression(node.left, chunkId)) === String(evaluateChunkExpression(node.right, chunkId));
+    case 'ternary':
+      return evaluateChunkExpression(node.condition, chunkId)
+        ? evaluateChunkExpression(node.consequent, chunkId)
+        : evaluateChunkExpression(node.alternate, chunkId);
+    default:
+      return undefined;
+  }
+}
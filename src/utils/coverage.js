@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Helpers for the coverage report of a scan. The report lists every
+ * source of the scan (HTML documents, inline and external scripts) with what
+ * happened to it: whether it was scanned or why it was not, its size and the
+ * time spent downloading and scanning it. It is shared by the passive scan and
+ * the on-demand overlay scan.
+ */
+
+/**
+ * @typedef {object} CoverageEntry
+ * @property {string} source The source name (a URL for external scripts).
+ * @property {'html' | 'inline' | 'external' | 'source-map'} kind The kind of source;
+ * `source-map` for the original files reconstructed from a source map.
+ * @property {'scanned' | 'http_error' | 'network_error' | 'too_large' | 'timeout'} status
+ * What happened to the source. `too_large` sources are scanned up to the size cap.
+ * @property {number | null} httpStatus The HTTP status code of the download, if any.
+ * @property {number} bytes The size of the source (or of what was downloaded).
+ * @property {number | null} fetchMs The time spent downloading the source, if it was downloaded.
+ * @property {string | null} strategy How an external script was retrieved (see `FETCH_STRATEGY_LABELS`).
+ * @property {number | null} scanMs The time spent scanning the source, or null if it was not scanned.
+ * @property {boolean} cached Whether the findings were taken from the scan cache instead of a scan.
+ * @property {string[]} timedOutRules The secret rules stopped on the source for exceeding their time budget.
+ * @property {Array<import('./profiler.js').RuleStats>} ruleStats The time and matches of each rule that ran on the source.
+ * @property {string} [error] The error message for network errors and timeouts.
+ * @property {string} [sourceMap] The source map the file was reconstructed from, for `source-map` sources:
+ * its URL, or a reference to the script holding an inline source map.
+ */
+
+/**
+ * @description Human-readable labels for the coverage statuses.
+ * @type {Object<string, string>}
+ */
+export const COVERAGE_STATUS_LABELS = {
+  scanned: 'Scanned',
+  http_error: 'HTTP error',
+  network_error: 'CORS / network error',
+  too_large: 'Too large (truncated)',
+  timeout: 'Timed out',
+};
+
+/**
+ * @description Human-readable labels for the strategies used to retrieve external scripts.
+ * @type {Object<string, string>}
+ */
+export const FETCH_STRATEGY_LABELS = {
+  browser_cache: 'browser cache',
+  page_context: 'page',
+  service_worker: 'extension',
+};
+
+/**
+ * Creates the coverage entry of a source.
+ * @param {string} source The source name.
+ * @param {object} details
+ * @param {'html' | 'inline' | 'external' | 'source-map'} details.kind The kind of source.
+ * @param {string | null} [details.content=null] The content of the source, used for its size when it was not downloaded.
+ * @param {object | null} [details.fetchOutcome=null] The outcome of the download of an external script.
+ * @param {number | null} [details.scanMs=null] The time spent scanning the source.
+ * @param {boolean} [details.cached=false] Whether the findings were taken from the scan cache.
+ * @param {string[]} [details.timedOutRules=[]] The rules stopped on the source for exceeding their time budget.
+ * @param {Array<object>} [details.ruleStats=[]] The time and matches of each rule that ran on the source.
+ * @returns {CoverageEntry}
+ */
+export function createCoverageEntry(source, { kind, content = null, fetchOutcome = null, scanMs = null, cached = false, timedOutRules = [], ruleStats = [] }) {
+  const entry = {
+    source,
+    kind,
+    status: 'scanned',
+    httpStatus: null,
+    bytes: content ? new Blob([content]).size : 0,
+    fetchMs: null,
+    strategy: null,
+    scanMs: scanMs === null ? null : Math.round(scanMs),
+    cached,
+    timedOutRules,
+    ruleStats,
+  };
+  if (fetchOutcome) {
+    entry.status = fetchOutcome.status === 'ok' ? 'scanned' : fetchOutcome.status;
+    entry.httpStatus = fetchOutcome.httpStatus;
+    entry.bytes = fetchOutcome.bytes;
+    entry.fetchMs = fetchOutcome.durationMs;
+    entry.strategy = fetchOutcome.strategy || null;
+    if (fetchOutcome.error) {
+      entry.error = fetchOutcome.error;
+    }
+  }
+  return entry;
+}
+
+/**
+ * Counts the coverage entries per status and sums their sizes and scan times.
+ * @param {CoverageEntry[]} coverage
+ * @returns {{total: number, totalBytes: number, totalScanMs: number, byStatus: Object<string, number>}}
+ */
+export function summarizeCoverage(coverage) {
+  const summary = { total: coverage.length, totalBytes: 0, totalScanMs: 0, byStatus: {} };
+  for (const entry of coverage) {
+    summary.totalBytes += entry.bytes || 0;
+    summary.totalScanMs += entry.scanMs || 0;
+    summary.byStatus[entry.status] = (summary.byStatus[entry.status] || 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Formats a byte count for display, e.g. `1.5 MB`.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Secret rules defined by the user on the options page, e.g. for
+ * the token format of a specific target, or imported from a gitleaks config.
+ * They are kept in `chrome.storage.local` next to the built-in rules of
+ * rules.js, and both are merged by `getSecretRules` for the passive scan and
+ * the full page analysis. A custom rule with the id of a built-in rule replaces it.
+ */
+
+import { secretRules } from './rules.js';
+import { findBacktrackingRisks } from './regexSafety.js';
+import { CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE, DEFAULT_SEVERITY, SEVERITY_LEVELS } from './ruleMetadata.js';
+
+/**
+ * @description The storage key of the custom rules.
+ * @type {string}
+ */
+export const CUSTOM_RULES_STORAGE_KEY = 'customSecretRules';
+
+/**
+ * @description The regular expression flags a custom rule may use. The `g`
+ * flag is always added, as the scanners need every match.
+ * @type {string}
+ */
+export const ALLOWED_RULE_FLAGS = 'imsu';
+
+/**
+ * @description The maximum number of custom rules.
+ * @type {number}
+ */
+const MAX_CUSTOM_RULES = 500;
+
+/**
+ * @description The maximum length of a rule description.
+ * @type {number}
+ */
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * @description The maximum number of tags of a rule.
+ * @type {number}
+ */
+const MAX_RULE_TAGS = 10;
+
+/**
+ * @description The rules whose backtracking risks were already logged, as
+ * `id/source`, so each risky rule is only reported once.
+ * @type {Set<string>}
+ */
+const reportedRiskyRules = new Set();
+
+/**
+ * @typedef {object} CustomRule
+ * @property {string} id A unique identifier, e.g. `acme-api-token`.
+ * @property {string} description What the rule finds.
+ * @property {{source: string, flags: string}} regex The pattern, as stored.
+ * @property {number} group The capturing group holding the secret, or 0 for the whole match.
+ * @property {number} entropy The minimum Shannon entropy of a secret, or 0 to disable the check.
+ * @property {number} minLength The minimum length of a secret, or 0 to disable the check.
+ * @property {string[]} keywords Lower case keywords, one of which must appear in
+ * a source for the rule to run on it. Empty to run the rule on every source.
+ * @property {Allowlist[]} allowlists Matches allowed by any of these lists are not reported.
+ * @property {'critical' | 'high' | 'medium' | 'low' | 'info'} severity The impact of a leak.
+ * @property {'high' | 'medium' | 'low'} confidence How likely a match is a real secret.
+ * @property {string[]} tags Lower case tags, e.g. `cloud` or `payments`.
+ * @property {boolean} enabled Whether the rule is used by the scanners.
+ */
+
+/**
+ * @typedef {object} Allowlist
+ * @property {string} description
+ * @property {'OR' | 'AND'} condition Whether any or all of the non-empty criteria must match.
+ * @property {'secret' | 'match' | 'line'} regexTarget What the `regexes` are tested against.
+ * @property {Array<{source: string, flags: string}>} regexes
+ * @property {string[]} stopwords Secrets containing one of these words are allowed.
+ * @property {Array<{source: string, flags: string}>} paths Tested against the source URL.
+ */
+
+/**
+ * Counts the capturing groups of a regular expression.
+ * @param {RegExp} regex
+ * @returns {number}
+ */
+export function countCapturingGroups(regex) {
+  return new RegExp(`${regex.source}|`).exec('').length - 1;
+}
+
+/**
+ * Validates a custom rule, e.g. as typed in the rule editor.
+ * @param {object} rule The rule to validate, with `regex` as `{source, flags}`.
+ * @param {CustomRule[]} [otherRules=[]] The other custom rules, to check that the id is unique.
+ * @returns {{rule: CustomRule | null, errors: Object<string, string>, warnings: string[]}} The
+ * normalized rule, or null if it is invalid, an error message for each invalid
+ * field, and the catastrophic backtracking risks of a valid regular expression.
+ */
+export function validateCustomRule(rule, otherRules = []) {
+  const errors = {};
+  const id = String(rule.id ?? '').trim();
+  const description = String(rule.description ?? '').trim();
+  const source = String(rule.regex?.source ?? '');
+  const flags = [...new Set(String(rule.regex?.flags ?? '').replace(/g/g, ''))].sort().join('');
+
+  if (!/^[a-z0-9][a-z0-9._-]{0,63}$/i.test(id)) {
+    errors.id = 'Use up to 64 letters, digits, ".", "_" and "-".';
+  } else if (otherRules.some(other => other.id === id)) {
+    errors.id = 'Another custom rule already uses this id.';
+  }
+
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = `Must be at most ${MAX_DESCRIPTION_LENGTH} characters long.`;
+  }
+
+  let regex = null;
+  if (!source) {
+    errors.regex = 'The regular expression is required.';
+  } else if ([...flags].some(flag => !ALLOWED_RULE_FLAGS.includes(flag))) {
+    errors.regex = `Only the flags "${ALLOWED_RULE_FLAGS}" are allowed.`;
+  } else {
+    try {
+      regex = new RegExp(source, flags);
+    } catch (error) {
+      errors.regex = error.message;
+    }
+    if (regex && regex.test('')) {
+      errors.regex = 'The regular expression must not match an empty string.';
+      regex = null;
+    }
+  }
+
+  const group = Number(rule.group ?? 0);
+  if (rule.group === '' || !Number.isInteger(group) || group < 0) {
+    errors.group = 'Must be a whole number, 0 for the whole match.';
+  } else if (regex && group > countCapturingGroups(regex)) {
+    const count = countCapturingGroups(regex);
+    errors.group = `The regular expression has ${count} capturing group${count === 1 ? '' : 's'}.`;
+  }
+
+  const entropy = rule.entropy === '' || rule.entropy === undefined ? 0 : Number(rule.entropy);
+  if (!Number.isFinite(entropy) || entropy < 0 || entropy > 8) {
+    errors.entropy = 'Must be a number between 0 and 8, or empty to disable the check.';
+  }
+
+  const minLength = rule.minLength === '' || rule.minLength === undefined ? 0 : Number(rule.minLength);
+  if (!Number.isInteger(minLength) || minLength < 0) {
+    errors.minLength = 'Must be a whole number, or empty to disable the check.';
+  }
+
+  const keywords = normalizeList(rule.keywords);
+  if (keywords.some(keyword => keyword.length > 100)) {
+    errors.keywords = 'Keywords must be at most 100 characters long.';
+  }
+
+  const severity = rule.severity || DEFAULT_SEVERITY;
+  if (!SEVERITY_LEVELS.includes(severity)) {
+    errors.severity = `Must be one of ${SEVERITY_LEVELS.join(', ')}.`;
+  }
+
+  const confidence = rule.confidence || DEFAULT_CONFIDENCE;
+  if (!CONFIDENCE_LEVELS.includes(confidence)) {
+    errors.confidence = `Must be one of ${CONFIDENCE_LEVELS.join(', ')}.`;
+  }
+
+  const tags = normalizeList(rule.tags);
+  if (tags.length > MAX_RULE_TAGS) {
+    errors.tags = `Use at most ${MAX_RULE_TAGS} tags.`;
+  } else if (tags.some(tag => tag.length > 32)) {
+    errors.tags = 'Tags must be at most 32 characters long.';
+  }
+
+  let allowlists = [];
+  try {
+    allowlists = (Array.isArray(rule.allowlists) ? rule.allowlists : []).map(normalizeAllowlist);
+  } catch (error) {
+    errors.allowlists = error.message;
+  }
+
+  const warnings = regex ? findBacktrackingRisks(regex) : [];
+  if (Object.keys(errors).length > 0) {
+    return { rule: null, errors, warnings };
+  }
+  return {
+    rule: {
+      id,
+      description,
+      regex: { source, flags },
+      group,
+      entropy,
+      minLength,
+      keywords,
+      allowlists,
+      severity,
+      confidence,
+      tags,
+      enabled: rule.enabled !== false,
+    },
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Normalizes rule keywords or tags, given as an array or a comma separated string.
+ * @param {string[] | string | undefined} values
+ * @returns {string[]} The unique, lower case values.
+ */
+function normalizeList(values) {
+  const list = Array.isArray(values) ? values : String(values ?? '').split(',');
+  return [...new Set(list.map(value => String(value).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Normalizes an allowlist and checks its regular expressions.
+ * @param {object} allowlist
+ * @returns {Allowlist}
+ * @throws {Error} If a regular expression is invalid.
+ */
+function normalizeAllowlist(allowlist) {
+  const toPatterns = (patterns) => (Array.isArray(patterns) ? patterns : []).map(pattern => {
+    const { source = '', flags = '' } = typeof pattern === 'string' ? { source: pattern } : pattern;
+    try {
+      new RegExp(source, flags);
+    } catch (error) {
+      throw new Error(`Invalid allowlist pattern: ${error.message}`);
+    }
+    return { source: String(source), flags: String(flags).replace(/g/g, '') };
+  });
+  return {
+    description: String(allowlist?.description ?? ''),
+    condition: allowlist?.condition === 'AND' ? 'AND' : 'OR',
+    regexTarget: ['match', 'line'].includes(allowlist?.regexTarget) ? allowlist.regexTarget : 'secret',
+    regexes: toPatterns(allowlist?.regexes),
+    stopwords: (Array.isArray(allowlist?.stopwords) ? allowlist.stopwords : []).map(String).filter(Boolean),
+    paths: toPatterns(allowlist?.paths),
+  };
+}
+
+/**
+ * Reads the custom rules, including the disabled ones. Invalid stored rules are dropped.
+ * @returns {Promise<CustomRule[]>}
+ */
+export async function getCustomRules() {
+  try {
+    const { [CUSTOM_RULES_STORAGE_KEY]: stored = [] } = await chrome.storage.local.get(CUSTOM_RULES_STORAGE_KEY);
+    const rules = [];
+    for (const storedRule of Array.isArray(stored) ? stored : []) {
+      const { rule } = validateCustomRule(storedRule, rules);
+      if (rule) {
+        rules.push(rule);
+      }
+    }
+    return rules;
+  } catch (error) {
+    console.warn('[JS Recon Buddy] Could not read the custom rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Validates and stores the custom rules, replacing the stored ones.
+ * @param {object[]} rules
+ * @returns {Promise<string[]>} The validation errors. Nothing is stored if there are any.
+ */
+export async function saveCustomRules(rules) {
+  if (rules.length > MAX_CUSTOM_RULES) {
+    return [`At most ${MAX_CUSTOM_RULES} custom rules are allowed.`];
+  }
+  const validRules = [];
+  const errors = [];
+  for (const rule of rules) {
+    const { rule: validRule, errors: ruleErrors } = validateCustomRule(rule, validRules);
+    if (validRule) {
+      validRules.push(validRule);
+    } else {
+      errors.push(`${rule.id || 'Unnamed rule'}: ${Object.values(ruleErrors).join(' ')}`);
+    }
+  }
+  if (errors.length === 0) {
+    await chrome.storage.local.set({ [CUSTOM_RULES_STORAGE_KEY]: validRules });
+  }
+  return errors;
+}
+
+/**
+ * Returns the rules used by the scanners: the built-in rules followed by the
+ * enabled custom rules, all with a compiled global `regex`. Custom rules
+ * replace the built-in rules with the same id, and disabling such a rule
+ * disables the built-in rule too. Rules whose pattern risks catastrophic
+ * backtracking are logged, once.
+ * @returns {Promise<Array<import('./rules.js').SecretRule>>}
+ */
+export async function getSecretRules() {
+  const customRules = await getCustomRules();
+  const customIds = new Set(customRules.map(rule => rule.id));
+  const enabledRules = customRules
+    .filter(rule => rule.enabled)
+    .map(({ enabled, regex, ...rule }) => ({ ...rule, regex: new RegExp(regex.source, `${regex.flags}g`) }));
+  const rules = [...secretRules.filter(rule => !customIds.has(rule.id)), ...enabledRules];
+  for (const rule of rules) {
+    const riskKey = `${rule.id}/${rule.regex.source}`;
+    const risks = findBacktrackingRisks(rule.regex);
+    if (risks.length > 0 && !reportedRiskyRules.has(riskKey)) {
+      reportedRiskyRules.add(riskKey);
+      console.warn(`[JS Recon Buddy] The rule "${rule.id}" may be very slow on some sources:`, risks.join(' '));
+    }
+  }
+  return rules;
+}
@@ -0,0 +1,390 @@
+/**
+ * @fileoverview A throttled fetch pipeline used by the service worker to download
+ * scripts. Requests are queued and run with a global and a per-host concurrency
+ * limit. Each request is bounded by a timeout, retried with exponential backoff
+ * on network errors and 5xx responses, and its body is streamed only up to a
+ * size cap. Every request resolves with a `FetchOutcome` describing what happened.
+ *
+ * When the tab and frame a script was loaded by are known, the script is first
+ * requested from within that frame, so that the request carries the page's
+ * cookies and referer and can be answered from the browser cache. The service
+ * worker fetch is used as a fallback.
+ */
+
+/**
+ * @description The default maximum number of network requests allowed to run
+ * concurrently. This limit is the core of the throttling mechanism, preventing
+ * the service worker from being saturated with too many simultaneous fetches.
+ * It can be changed with `setMaxConcurrentFetches`.
+ * @type {number}
+ */
+export const MAX_CONCURRENT_FETCHES = 3;
+
+/**
+ * @description The maximum number of concurrent requests to a single host, so
+ * that one slow CDN cannot take every slot of the queue.
+ * @type {number}
+ */
+export const MAX_CONCURRENT_FETCHES_PER_HOST = 2;
+
+/**
+ * @description The time after which a request (including reading its body) is aborted.
+ * @type {number}
+ */
+export const FETCH_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * @description How many times a request is retried after a network error or a 5xx response.
+ * @type {number}
+ */
+export const MAX_FETCH_RETRIES = 2;
+
+/**
+ * @description The delay before the first retry. Each following retry waits twice as long.
+ * @type {number}
+ */
+export const RETRY_BASE_DELAY_MS = 500;
+
+/**
+ * @description The maximum number of bytes read from a response body. Reading
+ * stops at this limit and the outcome is reported as `too_large`, with the
+ * content truncated to what was read.
+ * @type {number}
+ */
+export const MAX_FETCH_SIZE_BYTES = 25 * 1024 * 1024;
+
+/**
+ * @typedef {object} FetchOutcome
+ * @property {string} url The requested URL.
+ * @property {'ok' | 'timeout' | 'too_large' | 'http_error' | 'network_error'} status The result of the request.
+ * @property {number | null} httpStatus The HTTP status code, if a response was received.
+ * @property {string | null} content The response text (truncated for `too_large`), or null on failure.
+ * @property {number} bytes The number of body bytes read.
+ * @property {number} durationMs The total time spent on the request, retries included.
+ * @property {number} attempts The number of attempts made.
+ * @property {'browser_cache' | 'page_context' | 'service_worker'} strategy How the body was retrieved:
+ * from the browser cache, by a credentialed request from the page, or by the service worker.
+ * @property {string | null} [sourceMap] The source map announced by the `SourceMap`
+ * or `X-SourceMap` response header, if any.
+ * @property {string} [error] The error message for network errors and timeouts.
+ */
+
+/**
+ * @typedef {object} FetchContext
+ * @property {number} tabId The tab that loaded the script.
+ * @property {number} [frameId=0] The frame that loaded the script.
+ */
+
+/**
+ * @description A queue to hold pending network requests. Each item is an object
+ * containing the `url` to fetch, its `host`, the optional page `context` and the
+ * `resolve` function of the promise returned by `throttledFetch`.
+ * @type {Array<{url: string, host: string, context: FetchContext | null, resolve: Function}>}
+ */
+const fetchQueue = [];
+
+/**
+ * @description A counter for the number of currently active fetch requests.
+ * @type {number}
+ */
+let activeFetches = 0;
+
+/**
+ * @description The number of currently active fetch requests per host.
+ * @type {Map<string, number>}
+ */
+const activeFetchesPerHost = new Map();
+
+/**
+ * @description The current maximum number of concurrent requests.
+ * @type {number}
+ */
+let maxConcurrentFetches = MAX_CONCURRENT_FETCHES;
+
+/**
+ * Changes the maximum number of concurrent requests. Raising the limit starts
+ * queued requests immediately; lowering it lets running requests finish.
+ * @param {number} limit
+ */
+export function setMaxConcurrentFetches(limit) {
+  maxConcurrentFetches = limit;
+  processFetchQueue();
+}
+
+/**
+ * A throttled fetch function that uses a queue to limit concurrent network requests.
+ * @param {string} url The URL to fetch.
+ * @param {FetchContext | null} [context=null] The page that loaded the script. If given,
+ * the script is requested from that page first.
+ * @returns {Promise<FetchOutcome>} A promise that resolves with the outcome of the request. It never rejects.
+ */
+export function throttledFetch(url, context = null) {
+  return new Promise((resolve) => {
+    fetchQueue.push({ url, host: getHost(url), context, resolve });
+    processFetchQueue();
+  });
+}
+
+/**
+ * Extracts the host of a URL, used as the key of the per-host limit.
+ * @param {string} url
+ * @returns {string} The host, or the URL itself if it cannot be parsed.
+ */
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Processes the fetch queue, starting as many queued requests as the global
+ * limit allows. Requests to hosts that are at their own limit are skipped and
+ * stay in the queue, in order, until a slot for their host frees up.
+ */
+function processFetchQueue() {
+  for (let i = 0; i < fetchQueue.length && activeFetches < maxConcurrentFetches;) {
+    const { url, host, context, resolve } = fetchQueue[i];
+    const activeForHost = activeFetchesPerHost.get(host) || 0;
+    if (activeForHost >= MAX_CONCURRENT_FETCHES_PER_HOST) {
+      i++;
+      continue;
+    }
+
+    fetchQueue.splice(i, 1);
+    activeFetches++;
+    activeFetchesPerHost.set(host, activeForHost + 1);
+
+    fetchScript(url, context)
+      .then(resolve)
+      .finally(() => {
+        activeFetches--;
+        const remaining = activeFetchesPerHost.get(host) - 1;
+        if (remaining > 0) {
+          activeFetchesPerHost.set(host, remaining);
+        } else {
+          activeFetchesPerHost.delete(host);
+        }
+        processFetchQueue();
+      });
+  }
+}
+
+/**
+ * Retrieves a script, trying the page the script was loaded by before falling
+ * back to a request from the service worker.
+ * @param {string} url
+ * @param {FetchContext | null} context
+ * @returns {Promise<FetchOutcome>}
+ */
+async function fetchScript(url, context) {
+  if (context && Number.isInteger(context.tabId) && context.tabId >= 0) {
+    const startTime = performance.now();
+    const outcome = await fetchFromPage(url, context);
+    if (outcome && (outcome.status === 'ok' || outcome.status === 'too_large')) {
+      return { ...outcome, url, durationMs: Math.round(performance.now() - startTime) };
+    }
+  }
+  const outcome = await fetchWithRetries(url);
+  return { ...outcome, strategy: 'service_worker' };
+}
+
+/**
+ * Requests a script from within the frame that loaded it.
+ * @param {string} url
+ * @param {FetchContext} context
+ * @returns {Promise<object | null>} The outcome reported by the frame, or null if
+ * the frame could not be reached (e.g. it was closed or navigated away).
+ */
+async function fetchFromPage(url, { tabId, frameId = 0 }) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: fetchInPageContext,
+      args: [url, FETCH_TIMEOUT_MS, MAX_FETCH_SIZE_BYTES],
+    });
+    return injection?.result || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetches a script from within the page. This function is injected into the
+ * frame that loaded the script, so it must be self-contained.
+ *
+ * Same-origin scripts are looked up in the browser cache first, and requested
+ * with the page's credentials otherwise. Cross-origin scripts are requested
+ * with credentials, then without them for servers that only allow anonymous
+ * CORS requests.
+ *
+ * @param {string} url The script URL.
+ * @param {number} timeoutMs The time after which an attempt is aborted.
+ * @param {number} maxBytes The maximum number of body bytes to read.
+ * @returns {Promise<object>} The outcome of the last attempt, with the `strategy` that produced it.
+ */
+async function fetchInPageContext(url, timeoutMs, maxBytes) {
+  const isSameOrigin = new URL(url, location.href).origin === location.origin;
+  const attempts = isSameOrigin
+    ? [
+      ['browser_cache', { cache: 'only-if-cached', mode: 'same-origin', credentials: 'include' }],
+      ['page_context', { credentials: 'include' }],
+    ]
+    : [
+      ['page_context', { cache: 'force-cache', credentials: 'include' }],
+      ['page_context', { cache: 'force-cache', credentials: 'omit' }],
+    ];
+
+  let outcome = null;
+  for (const [index, [strategy, init]] of attempts.entries()) {
+    const attempt = index + 1;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (!response.ok) {
+        response.body?.cancel().catch(() => { });
+        outcome = { status: 'http_error', httpStatus: response.status, content: null, bytes: 0, attempts: attempt, strategy };
+        continue;
+      }
+
+      const sourceMap = response.headers.get('SourceMap') || response.headers.get('X-SourceMap');
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let content = '';
+      let bytes = 0;
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          content += decoder.decode();
+          return { status: 'ok', httpStatus: response.status, content, bytes, attempts: attempt, strategy, sourceMap };
+        }
+        if (bytes + value.byteLength > maxBytes) {
+          content += decoder.decode(value.subarray(0, maxBytes - bytes));
+          reader.cancel().catch(() => { });
+          return { status: 'too_large', httpStatus: response.status, content, bytes: maxBytes, attempts: attempt, strategy, sourceMap };
+        }
+        bytes += value.byteLength;
+        content += decoder.decode(value, { stream: true });
+      }
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      outcome = {
+        status: timedOut ? 'timeout' : 'network_error',
+        httpStatus: null,
+        content: null,
+        bytes: 0,
+        attempts: attempt,
+        strategy,
+        error: timedOut ? `Timed out after ${timeoutMs} ms` : error.message,
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Fetches a URL, retrying with exponential backoff after network errors and
+ * 5xx responses.
+ * @param {string} url
+ * @returns {Promise<FetchOutcome>}
+ */
+async function fetchWithRetries(url) {
+  const startTime = performance.now();
+  for (let attempt = 1; ; attempt++) {
+    const outcome = await fetchOnce(url);
+    const isRetryable = outcome.status === 'network_error' ||
+      (outcome.status === 'http_error' && outcome.httpStatus >= 500);
+
+    if (!isRetryable || attempt > MAX_FETCH_RETRIES) {
+      if (outcome.status === 'network_error') {
+        console.warn(`[JS Recon Buddy] Fetch error for ${url}:`, outcome.error);
+      }
+      return { ...outcome, attempts: attempt, durationMs: Math.round(performance.now() - startTime) };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));
+  }
+}
+
+/**
+ * Performs a single request, bounded by `FETCH_TIMEOUT_MS` and `MAX_FETCH_SIZE_BYTES`.
+ * @param {string} url
+ * @returns {Promise<Omit<FetchOutcome, 'attempts' | 'durationMs'>>}
+ */
+async function fetchOnce(url) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      response.body?.cancel().catch(() => { });
+      return { url, status: 'http_error', httpStatus: response.status, content: null, bytes: 0 };
+    }
+
+    const { text, bytes, truncated } = await readBodyWithLimit(response, MAX_FETCH_SIZE_BYTES);
+    return {
+      url,
+      status: truncated ? 'too_large' : 'ok',
+      httpStatus: response.status,
+      content: text,
+      bytes,
+      sourceMap: response.headers.get('SourceMap') || response.headers.get('X-SourceMap'),
+    };
+  } catch (error) {
+    return {
+      url,
+      status: timedOut ? 'timeout' : 'network_error',
+      httpStatus: null,
+      content: null,
+      bytes: 0,
+      error: timedOut ? `Timed out after ${FETCH_TIMEOUT_MS} ms` : error.message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Reads a response body as text, stopping once `maxBytes` have been read.
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<{text: string, bytes: number, truncated: boolean}>}
+ */
+async function readBodyWithLimit(response, maxBytes) {
+  if (!response.body) {
+    const text = await response.text();
+    return { text, bytes: text.length, truncated: false };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let bytes = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    if (bytes + value.byteLength > maxBytes) {
+      text += decoder.decode(value.subarray(0, maxBytes - bytes));
+      bytes = maxBytes;
+      reader.cancel().catch(() => { });
+      return { text, bytes, truncated: true };
+    }
+    bytes += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+  }
+
+  text += decoder.decode();
+  return { text, bytes, truncated: false };
+}
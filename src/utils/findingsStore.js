@@ -0,0 +1,383 @@
+/**
+ * @fileoverview An IndexedDB-backed store for passive scan results and source bodies.
+ *
+ * The database holds three object stores:
+ * - `pages` - one record per scanned page (`pageKey`), with its findings count
+ * and the coverage report of its scans.
+ * - `sources` - source bodies, deduplicated by the SHA-256 hash of their content.
+ * - `findings` - individual findings, indexed by the page they belong to and
+ * referencing their source body by hash.
+ *
+ * The store lives in the extension origin, so the service worker, the popup and
+ * the source viewer read it directly, while content scripts (the overlay) reach
+ * it through messages handled by the service worker.
+ */
+
+const DB_NAME = 'js-recon-buddy';
+const DB_VERSION = 2;
+
+/**
+ * @description The maximum age of pages and sources kept in the store.
+ * @type {number}
+ */
+export const STORE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @description The maximum total size of the source bodies kept in the store.
+ * When exceeded, the least recently used sources are evicted first.
+ * @type {number}
+ */
+export const STORE_MAX_SIZE_BYTES = 200 * 1024 * 1024;
+
+/**
+ * @description A memoized promise of the open database connection.
+ * @type {Promise<IDBDatabase> | null}
+ */
+let databasePromise = null;
+
+/**
+ * Opens the database, creating or upgrading its object stores if needed.
+ * The connection is opened once and shared by all callers.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('pages')) {
+        const pages = db.createObjectStore('pages', { keyPath: 'pageKey' });
+        pages.createIndex('updatedAt', 'updatedAt');
+      }
+      const sources = db.objectStoreNames.contains('sources')
+        ? request.transaction.objectStore('sources')
+        : db.createObjectStore('sources', { keyPath: 'hash' });
+      if (sources.indexNames.contains('lastUsed')) {
+        sources.deleteIndex('lastUsed');
+      }
+      if (!sources.indexNames.contains('lastUsedSize')) {
+        // The size is part of the key, so the eviction reads it without loading the bodies.
+        sources.createIndex('lastUsedSize', ['lastUsed', 'size']);
+      }
+      if (!db.objectStoreNames.contains('findings')) {
+        const findings = db.createObjectStore('findings', { keyPath: 'key' });
+        findings.createIndex('pageKey', 'pageKey');
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      databasePromise = null;
+      reject(request.error);
+    };
+  });
+  return databasePromise;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} A promise that resolves with the request result.
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wraps the completion of an IndexedDB transaction in a promise.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Walks the entries of an index in order with a key cursor, which reads the
+ * index keys and primary keys without loading the records.
+ * @param {IDBIndex} index
+ * @param {function(IDBCursor): (boolean | void)} visit Called for each entry;
+ * returning `false` stops the walk.
+ * @returns {Promise<void>}
+ */
+function walkIndexKeys(index, visit) {
+  return new Promise((resolve, reject) => {
+    const request = index.openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && visit(cursor) !== false) {
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Builds the primary key of a finding. Findings with the same rule, secret and
+ * source on the same page share a key, which deduplicates merged results.
+ * @param {string} pageKey
+ * @param {{id: string, secret: string, source: string}} finding
+ * @returns {string}
+ */
+function getFindingKey(pageKey, finding) {
+  return `${pageKey}|${finding.id}|${finding.secret}|${finding.source}`;
+}
+
+/**
+ * Deletes every finding stored for a page within an open transaction.
+ * @param {IDBObjectStore} findingsStore
+ * @param {string} pageKey
+ * @returns {Promise<void>}
+ */
+async function deleteFindingsOfPage(findingsStore, pageKey) {
+  const keys = await promisifyRequest(findingsStore.index('pageKey').getAllKeys(pageKey));
+  keys.forEach(key => findingsStore.delete(key));
+}
+
+/**
+ * Saves the results of a passive scan.
+ *
+ * Source bodies are stored once per content hash. Unless `merge` is set, the
+ * findings previously stored for the page are replaced; otherwise the new ones
+ * are appended, skipping findings that are already stored.
+ *
+ * @param {string} pageKey The unique key ('${tabId}|${url}') of the page.
+ * @param {object} data
+ * @param {Array<object>} data.findings The findings of the scan, in display order.
+ * @param {Array<{hash: string, content: string}>} data.sources The source bodies referenced by the findings.
+ * @param {Array<object>} [data.coverage=[]] The coverage entry of every source of the scan.
+ * @param {boolean} [merge=false] If true, merges the findings with the stored ones.
+ * @returns {Promise<number>} A promise that resolves to the total number of findings of the page.
+ */
+export async function savePageResults(pageKey, { findings, sources, coverage = [] }, merge = false) {
+  const db = await openDatabase();
+  const transaction = db.transaction(['pages', 'sources', 'findings'], 'readwrite');
+  const done = transactionDone(transaction);
+  const findingsStore = transaction.objectStore('findings');
+  const pagesStore = transaction.objectStore('pages');
+  const now = Date.now();
+
+  putSourceRecords(transaction.objectStore('sources'), sources, now);
+
+  let existingKeys = [];
+  let existingCoverage = [];
+  if (merge) {
+    existingKeys = await promisifyRequest(findingsStore.index('pageKey').getAllKeys(pageKey));
+    const existingPage = await promisifyRequest(pagesStore.get(pageKey));
+    existingCoverage = existingPage?.coverage || [];
+  } else {
+    await deleteFindingsOfPage(findingsStore, pageKey);
+  }
+
+  const knownKeys = new Set(existingKeys);
+  let order = knownKeys.size;
+  for (const finding of findings) {
+    const key = getFindingKey(pageKey, finding);
+    if (knownKeys.has(key)) {
+      continue;
+    }
+    knownKeys.add(key);
+    findingsStore.put({ ...finding, key, pageKey, order: order++ });
+  }
+
+  const rescannedSources = new Set(coverage.map(entry => entry.source));
+  pagesStore.put({
+    pageKey,
+    findingsCount: knownKeys.size,
+    coverage: [
+      ...existingCoverage.filter(entry => !rescannedSources.has(entry.source)),
+      ...coverage,
+    ],
+    updatedAt: now,
+  });
+
+  await done;
+  return knownKeys.size;
+}
+
+/**
+ * Copies the findings of one page to another, e.g. when a Single Page
+ * Application changes its route while its scripts stay loaded.
+ * @param {string} fromPageKey The key of the page to copy from.
+ * @param {string} toPageKey The key of the page to copy to.
+ * @returns {Promise<number>} A promise that resolves to the number of copied findings.
+ */
+export async function copyPageResults(fromPageKey, toPageKey) {
+  const findings = await getFindings(fromPageKey);
+  const page = await getPage(fromPageKey);
+  const stripped = findings.map(({ key, pageKey, order, ...finding }) => finding);
+  return savePageResults(toPageKey, {
+    findings: stripped,
+    sources: [],
+    coverage: page?.coverage || [],
+  });
+}
+
+/**
+ * Retrieves the record of a scanned page.
+ * @param {string} pageKey
+ * @returns {Promise<{pageKey: string, findingsCount: number, coverage: Array<object>, updatedAt: number} | undefined>}
+ */
+export async function getPage(pageKey) {
+  const db = await openDatabase();
+  return promisifyRequest(db.transaction('pages').objectStore('pages').get(pageKey));
+}
+
+/**
+ * Retrieves the findings of a page in the order they were found.
+ * @param {string} pageKey
+ * @returns {Promise<Array<object>>}
+ */
+export async function getFindings(pageKey) {
+  const db = await openDatabase();
+  const findings = await promisifyRequest(
+    db.transaction('findings').objectStore('findings').index('pageKey').getAll(pageKey)
+  );
+  return findings.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Retrieves a single source body by its content hash.
+ * @param {string} hash
+ * @returns {Promise<string | null>} The source body, or null if it is not stored.
+ */
+export async function getSource(hash) {
+  const sources = await getSources([hash]);
+  return sources[hash] ?? null;
+}
+
+/**
+ * Retrieves several source bodies by their content hashes and marks them as
+ * recently used, so they are evicted last.
+ * @param {string[]} hashes
+ * @returns {Promise<Object<string, string>>} An object mapping each stored hash to its body.
+ */
+export async function getSources(hashes) {
+  const db = await openDatabase();
+  const transaction = db.transaction('sources', 'readwrite');
+  const done = transactionDone(transaction);
+  const sourcesStore = transaction.objectStore('sources');
+  const now = Date.now();
+
+  const records = await Promise.all(hashes.map(hash => promisifyRequest(sourcesStore.get(hash))));
+  const sources = {};
+  for (const record of records) {
+    if (record) {
+      sources[record.hash] = record.content;
+      sourcesStore.put({ ...record, lastUsed: now });
+    }
+  }
+
+  await done;
+  return sources;
+}
+
+/**
+ * Stores source bodies, deduplicated by their content hash.
+ * @param {Array<{hash: string, content: string}>} sources
+ * @returns {Promise<void>}
+ */
+export async function putSources(sources) {
+  const db = await openDatabase();
+  const transaction = db.transaction('sources', 'readwrite');
+  putSourceRecords(transaction.objectStore('sources'), sources, Date.now());
+  await transactionDone(transaction);
+}
+
+/**
+ * Writes source records within an open transaction.
+ * @param {IDBObjectStore} sourcesStore
+ * @param {Array<{hash: string, content: string}>} sources
+ * @param {number} now The timestamp to record as the last use.
+ */
+function putSourceRecords(sourcesStore, sources, now) {
+  for (const { hash, content } of sources) {
+    sourcesStore.put({ hash, content, size: new Blob([content]).size, lastUsed: now });
+  }
+}
+
+/**
+ * Deletes pages and their findings. Source bodies are left for the eviction,
+ * as they may be shared with other pages.
+ * @param {function(string): boolean} predicate Decides, by page key, which pages to delete.
+ * @returns {Promise<void>}
+ */
+export async function deletePages(predicate) {
+  const db = await openDatabase();
+  const transaction = db.transaction(['pages', 'findings'], 'readwrite');
+  const done = transactionDone(transaction);
+  const pagesStore = transaction.objectStore('pages');
+  const findingsStore = transaction.objectStore('findings');
+
+  const pageKeys = await promisifyRequest(pagesStore.getAllKeys());
+  for (const pageKey of pageKeys.filter(predicate)) {
+    pagesStore.delete(pageKey);
+    await deleteFindingsOfPage(findingsStore, pageKey);
+  }
+
+  await done;
+}
+
+/**
+ * Evicts stale data from the store.
+ *
+ * Pages (with their findings) and sources not updated or used within `maxAgeMs`
+ * are removed first. If the remaining sources still exceed `maxSizeBytes`, the
+ * least recently used ones are removed until the store fits the limit.
+ *
+ * @param {object} [limits]
+ * @param {number} [limits.maxAgeMs=STORE_MAX_AGE_MS] The maximum age of a page or source.
+ * @param {number} [limits.maxSizeBytes=STORE_MAX_SIZE_BYTES] The maximum total size of the sources.
+ * @returns {Promise<void>}
+ */
+export async function evictStaleData({ maxAgeMs = STORE_MAX_AGE_MS, maxSizeBytes = STORE_MAX_SIZE_BYTES } = {}) {
+  const cutoff = Date.now() - maxAgeMs;
+  const db = await openDatabase();
+
+  const stalePages = await promisifyRequest(
+    db.transaction('pages').objectStore('pages').index('updatedAt').getAllKeys(IDBKeyRange.upperBound(cutoff))
+  );
+  if (stalePages.length > 0) {
+    const stale = new Set(stalePages);
+    await deletePages(pageKey => stale.has(pageKey));
+  }
+
+  const transaction = db.transaction('sources', 'readwrite');
+  const done = transactionDone(transaction);
+  const sourcesStore = transaction.objectStore('sources');
+  const byLastUse = sourcesStore.index('lastUsedSize');
+
+  let totalSize = 0;
+  await walkIndexKeys(byLastUse, (cursor) => {
+    totalSize += cursor.key[1];
+  });
+  await walkIndexKeys(byLastUse, (cursor) => {
+    const [lastUsed, size] = cursor.key;
+    if (lastUsed > cutoff && totalSize <= maxSizeBytes) {
+      return false;
+    }
+    sourcesStore.delete(cursor.primaryKey);
+    totalSize -= size;
+  });
+
+  await done;
+}
@@ -0,0 +1,626 @@
+/**
+ * @fileoverview Imports and exports secret rules in the gitleaks TOML config format.
+ *
+ * A gitleaks rule maps onto a custom rule (see customRules.js) as follows:
+ * `id`, `description`, `regex`, `secretGroup` (the `group`), `entropy`,
+ * `keywords`, `tags` and the `[rules.allowlist]` / `[[rules.allowlists]]`
+ * sections. The global `[allowlist]` / `[[allowlists]]` sections are added to
+ * every imported rule. gitleaks has no severity, confidence or minimum length:
+ * imported rules get the defaults, and exported rules lose them.
+ *
+ * gitleaks uses Go (RE2) regular expressions. Leading inline flags such as
+ * `(?i)` become JavaScript flags and `(?P<name>` groups are renamed, but
+ * patterns relying on syntax JavaScript lacks (e.g. inline flags in the middle
+ * of a pattern) are skipped and reported. Exported rules get the opposite
+ * conversion, and rules using JavaScript-only syntax such as lookarounds are skipped.
+ */
+
+import { countCapturingGroups, validateCustomRule } from './customRules.js';
+
+/**
+ * @typedef {object} GitleaksImportResult
+ * @property {Array<object>} rules The imported rules, in the custom rule format.
+ * @property {Array<{id: string, reason: string}>} skipped The rules that could not be imported.
+ * @property {Array<{id: string, reason: string}>} warnings Parts of imported rules that were ignored.
+ */
+
+/**
+ * @description The POSIX character classes of Go regular expressions and their JavaScript equivalent.
+ * @type {Object<string, string>}
+ */
+const POSIX_CLASSES = {
+  alnum: 'a-zA-Z0-9',
+  alpha: 'a-zA-Z',
+  ascii: '\\x00-\\x7F',
+  blank: ' \\t',
+  cntrl: '\\x00-\\x1F\\x7F',
+  digit: '0-9',
+  graph: '!-~',
+  lower: 'a-z',
+  print: ' -~',
+  punct: '!-\\/:-@\\[-`{-~',
+  space: '\\t\\n\\v\\f\\r ',
+  upper: 'A-Z',
+  word: '\\w',
+  xdigit: '0-9A-Fa-f',
+};
+
+/**
+ * Imports the rules of a gitleaks TOML config.
+ * @param {string} text The content of the config file.
+ * @returns {GitleaksImportResult}
+ * @throws {Error} If the file is not valid TOML.
+ */
+export function importGitleaksToml(text) {
+  const config = parseToml(text);
+  const skipped = [];
+  const warnings = [];
+
+  const globalAllowlists = [
+    ...(config.allowlist ? [config.allowlist] : []),
+    ...(Array.isArray(config.allowlists) ? config.allowlists : []),
+  ].map(allowlist => convertAllowlist(allowlist, 'global allowlist', warnings));
+
+  if (config.extend) {
+    warnings.push({ id: '[extend]', reason: 'Extending other configs is not supported; only the rules of this file are imported.' });
+  }
+
+  const rules = [];
+  const ids = new Set();
+  for (const rule of Array.isArray(config.rules) ? config.rules : []) {
+    const id = typeof rule.id === 'string' ? rule.id : '';
+    if (!id) {
+      skipped.push({ id: '(no id)', reason: 'The rule has no id.' });
+      continue;
+    }
+    if (ids.has(id)) {
+      skipped.push({ id, reason: 'Another rule of the file has the same id.' });
+      continue;
+    }
+    if (typeof rule.regex !== 'string' || !rule.regex) {
+      skipped.push({ id, reason: 'Rules without a regex (matching file paths only) are not supported.' });
+      continue;
+    }
+
+    let regex;
+    try {
+      regex = convertGoRegex(rule.regex);
+    } catch (error) {
+      skipped.push({ id, reason: error.message });
+      continue;
+    }
+
+    const groupCount = countCapturingGroups(new RegExp(regex.source, regex.flags));
+    const group = Number.isInteger(rule.secretGroup) ? rule.secretGroup : Math.min(groupCount, 1);
+    if (group > groupCount) {
+      skipped.push({ id, reason: `secretGroup ${group} does not exist, the regex has ${groupCount} group(s).` });
+      continue;
+    }
+    if (rule.path) {
+      warnings.push({ id, reason: 'The path filter of the rule was ignored; the rule runs on every source.' });
+    }
+
+    const allowlists = [
+      ...(rule.allowlist ? [rule.allowlist] : []),
+      ...(Array.isArray(rule.allowlists) ? rule.allowlists : []),
+    ].map(allowlist => convertAllowlist(allowlist, id, warnings));
+
+    const { rule: customRule, errors, warnings: risks } = validateCustomRule({
+      id,
+      description: typeof rule.description === 'string' ? rule.description : '',
+      regex,
+      group,
+      entropy: typeof rule.entropy === 'number' ? Math.min(rule.entropy, 8) : 0,
+      keywords: Array.isArray(rule.keywords) ? rule.keywords.map(String) : [],
+      tags: Array.isArray(rule.tags) ? rule.tags.map(String) : [],
+      allowlists: [...allowlists, ...globalAllowlists],
+      enabled: true,
+    });
+    if (!customRule) {
+      skipped.push({ id, reason: Object.values(errors).join(' ') });
+      continue;
+    }
+    risks.forEach(risk => warnings.push({ id, reason: risk }));
+    ids.add(id);
+    rules.push(customRule);
+  }
+
+  return { rules, skipped, warnings };
+}
+
+/**
+ * Exports rules as a gitleaks TOML config.
+ * @param {Array<object>} rules Custom rules, or built-in rules with a RegExp `regex`.
+ * @param {string} [title='JS Recon Buddy rules'] The title of the config.
+ * @returns {{toml: string, skipped: Array<{id: string, reason: string}>}} The config,
+ * and the rules that could not be exported.
+ */
+export function exportGitleaksToml(rules, title = 'JS Recon Buddy rules') {
+  const skipped = [];
+  const blocks = [`title = ${tomlString(title)}`];
+
+  for (const rule of rules) {
+    let regex;
+    try {
+      regex = convertJsRegex(rule.regex);
+    } catch (error) {
+      skipped.push({ id: rule.id, reason: error.message });
+      continue;
+    }
+
+    const lines = ['[[rules]]', `id = ${tomlString(rule.id)}`];
+    if (rule.description) {
+      lines.push(`description = ${tomlString(rule.description)}`);
+    }
+    lines.push(`regex = ${tomlString(regex, true)}`);
+    if (rule.group) {
+      lines.push(`secretGroup = ${rule.group}`);
+    }
+    if (rule.entropy) {
+      lines.push(`entropy = ${rule.entropy}`);
+    }
+    if (rule.keywords && rule.keywords.length > 0) {
+      lines.push(`keywords = [${rule.keywords.map(keyword => tomlString(keyword)).join(', ')}]`);
+    }
+    if (rule.tags && rule.tags.length > 0) {
+      lines.push(`tags = [${rule.tags.map(tag => tomlString(tag)).join(', ')}]`);
+    }
+
+    for (const allowlist of rule.allowlists || []) {
+      lines.push('', '[[rules.allowlists]]');
+      if (allowlist.description) {
+        lines.push(`description = ${tomlString(allowlist.description)}`);
+      }
+      if (allowlist.condition === 'AND') {
+        lines.push('condition = "AND"');
+      }
+      const regexes = allowlist.regexes.flatMap(pattern => {
+        try {
+          return [convertJsRegex(pattern)];
+        } catch (error) {
+          skipped.push({ id: `${rule.id} (allowlist)`, reason: error.message });
+          return [];
+        }
+      });
+      if (regexes.length > 0) {
+        if (allowlist.regexTarget !== 'secret') {
+          lines.push(`regexTarget = ${tomlString(allowlist.regexTarget)}`);
+        }
+        lines.push(`regexes = [${regexes.map(pattern => tomlString(pattern, true)).join(', ')}]`);
+      }
+      if (allowlist.stopwords.length > 0) {
+        lines.push(`stopwords = [${allowlist.stopwords.map(word => tomlString(word)).join(', ')}]`);
+      }
+      const paths = allowlist.paths.flatMap(pattern => {
+        try {
+          return [convertJsRegex(pattern)];
+        } catch (error) {
+          return [];
+        }
+      });
+      if (paths.length > 0) {
+        lines.push(`paths = [${paths.map(pattern => tomlString(pattern, true)).join(', ')}]`);
+      }
+    }
+    blocks.push(lines.join('\n'));
+  }
+
+  return { toml: `${blocks.join('\n\n')}\n`, skipped };
+}
+
+/**
+ * Converts a Go (RE2) regular expression to a JavaScript one.
+ * @param {string} pattern
+ * @returns {{source: string, flags: string}}
+ * @throws {Error} If the pattern uses syntax that has no JavaScript equivalent.
+ */
+export function convertGoRegex(pattern) {
+  let flags = '';
+  let rest = pattern;
+  const leadingFlags = rest.match(/^\(\?([a-zA-Z]+)\)/);
+  if (leadingFlags) {
+    for (const flag of leadingFlags[1]) {
+      if (!'ims'.includes(flag)) {
+        throw new Error(`The inline flag "${flag}" is not supported by JavaScript.`);
+      }
+    }
+    flags = [...new Set(leadingFlags[1])].sort().join('');
+    rest = rest.slice(leadingFlags[0].length);
+  }
+
+  let source = '';
+  let inClass = false;
+  for (let i = 0; i < rest.length; i++) {
+    const char = rest[i];
+    if (char === '\\') {
+      const next = rest[i + 1];
+      if (next === undefined) {
+        throw new Error('The pattern ends with a backslash.');
+      }
+      if (next === 'Q') {
+        throw new Error('Quoted sequences (\\Q...\\E) are not supported by JavaScript.');
+      }
+      if (next === 'p' || next === 'P') {
+        throw new Error('Unicode classes (\\p) are not supported.');
+      }
+      if (next === 'C') {
+        throw new Error('The \\C escape is not supported by JavaScript.');
+      }
+      if (next === 'x' && rest[i + 2] === '{') {
+        const end = rest.indexOf('}', i);
+        const hex = rest.slice(i + 3, end);
+        if (end === -1 || !/^[0-9a-fA-F]{1,4}$/.test(hex)) {
+          throw new Error(`The escape \\x{${hex}} is not supported.`);
+        }
+        source += `\\u${hex.padStart(4, '0')}`;
+        i = end;
+        continue;
+      }
+      if (!inClass && next === 'A') {
+        source += '^';
+      } else if (!inClass && next === 'z') {
+        if (flags.includes('m')) {
+          throw new Error('\\z cannot be converted when the m flag is set.');
+        }
+        source += '$';
+      } else {
+        source += char + next;
+      }
+      i++;
+      continue;
+    }
+
+    if (inClass) {
+      const posix = rest.slice(i).match(/^\[:(\^?)([a-z]+):\]/);
+      if (posix) {
+        if (posix[1] || !POSIX_CLASSES[posix[2]]) {
+          throw new Error(`The character class [:${posix[1]}${posix[2]}:] is not supported.`);
+        }
+        source += POSIX_CLASSES[posix[2]];
+        i += posix[0].length - 1;
+      } else if (char === '[') {
+        source += '\\[';
+      } else {
+        if (char === ']') {
+          inClass = false;
+        }
+        source += char;
+      }
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+      source += '[';
+      if (rest[i + 1] === '^') {
+        source += '^';
+        i++;
+      }
+      if (rest[i + 1] === ']') {
+        source += '\\]';
+        i++;
+      }
+      continue;
+    }
+
+    if (char === '(' && rest[i + 1] === '?') {
+      const group = rest.slice(i).match(/^\(\?(P?<[A-Za-z_]\w*>|:|[a-zA-Z-]+[:)])/);
+      if (!group) {
+        throw new Error(`The group "${rest.slice(i, i + 4)}" is not supported.`);
+      }
+      if (group[1].endsWith(')')) {
+        throw new Error(`Inline flags "(?${group[1]}" in the middle of the pattern are not supported by JavaScript.`);
+      }
+      if (group[1].length > 1 && group[1].endsWith(':')) {
+        throw new Error(`Flag groups "(?${group[1]}" are not supported by JavaScript.`);
+      }
+      source += group[1].startsWith('P<') ? `(?${group[1].slice(1)}` : group[0];
+      i += group[0].length - 1;
+      continue;
+    }
+
+    source += char;
+  }
+
+  try {
+    new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`The converted pattern is invalid: ${error.message}`);
+  }
+  return { source, flags };
+}
+
+/**
+ * Converts a JavaScript regular expression to a Go (RE2) one.
+ * @param {RegExp | {source: string, flags: string}} regex
+ * @returns {string}
+ * @throws {Error} If the pattern uses syntax that RE2 does not support.
+ */
+export function convertJsRegex({ source, flags }) {
+  if (/\(\?<?[=!]/.test(source)) {
+    throw new Error('Lookarounds are not supported by gitleaks.');
+  }
+  if (/(^|[^\\])(\\\\)*\\([1-9]|k<)/.test(source)) {
+    throw new Error('Backreferences are not supported by gitleaks.');
+  }
+  const goSource = source
+    .replace(/(^|[^\\])((?:\\\\)*)\(\?<(?=[A-Za-z_])/g, '$1$2(?P<')
+    .replace(/(^|[^\\])((?:\\\\)*)\\u([0-9a-fA-F]{4})/g, '$1$2\\x{$3}');
+  const goFlags = [...flags].filter(flag => 'ims'.includes(flag)).join('');
+  return goFlags ? `(?${goFlags})${goSource}` : goSource;
+}
+
+/**
+ * Converts a gitleaks allowlist to the custom rule format. Patterns that
+ * cannot be converted are dropped and reported as warnings.
+ * @param {object} allowlist The allowlist, as parsed from TOML.
+ * @param {string} id The id of the rule, for the warnings.
+ * @param {Array<{id: string, reason: string}>} warnings
+ * @returns {object}
+ */
+function convertAllowlist(allowlist, id, warnings) {
+  const convertPatterns = (patterns, kind) => (Array.isArray(patterns) ? patterns : []).flatMap(pattern => {
+    try {
+      return [convertGoRegex(String(pattern))];
+    } catch (error) {
+      warnings.push({ id, reason: `An allowlist ${kind} pattern was ignored: ${error.message}` });
+      return [];
+    }
+  });
+
+  const condition = String(allowlist.condition || 'OR').toUpperCase();
+  return {
+    description: typeof allowlist.description === 'string' ? allowlist.description : '',
+    condition: condition === 'AND' ? 'AND' : 'OR',
+    regexTarget: ['match', 'line'].includes(allowlist.regexTarget) ? allowlist.regexTarget : 'secret',
+    regexes: convertPatterns(allowlist.regexes, 'regex'),
+    stopwords: Array.isArray(allowlist.stopwords) ? allowlist.stopwords.map(String) : [],
+    paths: convertPatterns(allowlist.paths, 'path'),
+  };
+}
+
+/**
+ * Formats a TOML string. Patterns are written as literal strings, like in the
+ * gitleaks configs, so that backslashes need no escaping.
+ * @param {string} value
+ * @param {boolean} [literal=false] Whether to prefer a literal (`'''`) string.
+ * @returns {string}
+ */
+function tomlString(value, literal = false) {
+  if (literal && !value.includes("'''") && !/[\n\r]/.test(value) && !value.endsWith("'")) {
+    return `'''${value}'''`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Parses a TOML document. This covers the subset used by gitleaks configs:
+ * tables, arrays of tables, dotted keys, strings of all four kinds, numbers,
+ * booleans, arrays and inline tables. Dates are not supported.
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} With the line number, if the document is invalid.
+ */
+export function parseToml(text) {
+  const root = {};
+  let table = root;
+  let i = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`Invalid TOML on line ${line}: ${message}`);
+  };
+  const skipSpaces = () => {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  };
+  const skipComment = () => {
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+  };
+  const skipBlank = () => {
+    for (; ;) {
+      skipSpaces();
+      skipComment();
+      if (text[i] === '\n' || text[i] === '\r') {
+        i++;
+      } else {
+        return;
+      }
+    }
+  };
+  const expectLineEnd = () => {
+    skipSpaces();
+    skipComment();
+    if (i < text.length && text[i] !== '\n' && text[i] !== '\r') {
+      fail(`unexpected "${text[i]}"`);
+    }
+  };
+
+  const parseBasicString = (multiline) => {
+    const quote = multiline ? '"""' : '"';
+    i += quote.length;
+    if (multiline && text[i] === '\n') i++;
+    else if (multiline && text.startsWith('\r\n', i)) i += 2;
+    let value = '';
+    for (; ;) {
+      if (i >= text.length) fail('unterminated string');
+      if (text.startsWith(quote, i)) {
+        i += quote.length;
+        return value;
+      }
+      const char = text[i];
+      if (!multiline && char === '\n') fail('unterminated string');
+      if (char !== '\\') {
+        value += char;
+        i++;
+        continue;
+      }
+      const escape = text[i + 1];
+      const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+      if (simple[escape] !== undefined) {
+        value += simple[escape];
+        i += 2;
+      } else if (escape === 'u' || escape === 'U') {
+        const length = escape === 'u' ? 4 : 8;
+        const hex = text.slice(i + 2, i + 2 + length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) fail('invalid unicode escape');
+        value += String.fromCodePoint(parseInt(hex, 16));
+        i += 2 + length;
+      } else if (multiline && /[ \t\r\n]/.test(escape)) {
+        i++;
+        while (/[ \t\r\n]/.test(text[i])) i++;
+      } else {
+        fail(`invalid escape "\\${escape}"`);
+      }
+    }
+  };
+
+  const parseLiteralString = (multiline) => {
+    const quote = multiline ? "'''" : "'";
+    i += quote.length;
+    if (multiline && text[i] === '\n') i++;
+    else if (multiline && text.startsWith('\r\n', i)) i += 2;
+    let end = text.indexOf(quote, i);
+    if (end === -1) fail('unterminated string');
+    if (multiline) {
+      while (text[end + 3] === "'" && end + 3 < text.length) end++;
+    }
+    const value = text.slice(i, end);
+    if (!multiline && value.includes('\n')) fail('unterminated string');
+    i = end + quote.length;
+    return value;
+  };
+
+  const parseKey = () => {
+    const parts = [];
+    for (; ;) {
+      skipSpaces();
+      if (text[i] === '"') {
+        parts.push(parseBasicString(false));
+      } else if (text[i] === "'") {
+        parts.push(parseLiteralString(false));
+      } else {
+        const match = text.slice(i).match(/^[A-Za-z0-9_-]+/);
+        if (!match) fail('expected a key');
+        parts.push(match[0]);
+        i += match[0].length;
+      }
+      skipSpaces();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  };
+
+  const parseValue = () => {
+    skipSpaces();
+    if (text.startsWith('"""', i)) return parseBasicString(true);
+    if (text.startsWith("'''", i)) return parseLiteralString(true);
+    if (text[i] === '"') return parseBasicString(false);
+    if (text[i] === "'") return parseLiteralString(false);
+    if (text[i] === '[') {
+      i++;
+      const values = [];
+      for (; ;) {
+        skipBlank();
+        if (text[i] === ']') {
+          i++;
+          return values;
+        }
+        values.push(parseValue());
+        skipBlank();
+        if (text[i] === ',') {
+          i++;
+        } else if (text[i] !== ']') {
+          fail('expected "," or "]" in array');
+        }
+      }
+    }
+    if (text[i] === '{') {
+      i++;
+      const inline = {};
+      skipSpaces();
+      if (text[i] === '}') {
+        i++;
+        return inline;
+      }
+      for (; ;) {
+        const key = parseKey();
+        if (text[i] !== '=') fail('expected "="');
+        i++;
+        setValue(inline, key, parseValue());
+        skipSpaces();
+        if (text[i] === '}') {
+          i++;
+          return inline;
+        }
+        if (text[i] !== ',') fail('expected "," or "}" in inline table');
+        i++;
+      }
+    }
+    const literal = text.slice(i).match(/^(true|false|[+-]?(?:inf|nan)|0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?)(?=[\s,\]}#]|$)/);
+    if (!literal) fail('unsupported value');
+    i += literal[0].length;
+    const token = literal[0].replace(/_/g, '');
+    if (token === 'true' || token === 'false') return token === 'true';
+    if (/inf$/.test(token)) return token.startsWith('-') ? -Infinity : Infinity;
+    if (/nan$/.test(token)) return NaN;
+    return Number(token);
+  };
+
+  const setValue = (target, key, value) => {
+    let current = target;
+    for (const part of key.slice(0, -1)) {
+      if (current[part] === undefined) current[part] = {};
+      if (typeof current[part] !== 'object' || Array.isArray(current[part])) fail(`"${part}" is not a table`);
+      current = current[part];
+    }
+    const last = key[key.length - 1];
+    if (Object.prototype.hasOwnProperty.call(current, last)) fail(`duplicate key "${key.join('.')}"`);
+    current[last] = value;
+  };
+
+  const getTable = (key, isArrayTable) => {
+    let current = root;
+    key.forEach((part, index) => {
+      const isLast = index === key.length - 1;
+      if (isLast && isArrayTable) {
+        if (current[part] === undefined) current[part] = [];
+        if (!Array.isArray(current[part])) fail(`"${part}" is not an array of tables`);
+        current[part].push({});
+        current = current[part][current[part].length - 1];
+        return;
+      }
+      if (current[part] === undefined) current[part] = {};
+      const next = current[part];
+      if (Array.isArray(next)) {
+        current = next[next.length - 1];
+      } else if (next && typeof next === 'object') {
+        current = next;
+      } else {
+        fail(`"${part}" is not a table`);
+      }
+    });
+    return current;
+  };
+
+  for (; ;) {
+    skipBlank();
+    if (i >= text.length) break;
+    if (text[i] === '[') {
+      const isArrayTable = text[i + 1] === '[';
+      i += isArrayTable ? 2 : 1;
+      const key = parseKey();
+      if (!text.startsWith(isArrayTable ? ']]' : ']', i)) fail('expected the end of the table header');
+      i += isArrayTable ? 2 : 1;
+      table = getTable(key, isArrayTable);
+    } else {
+      const key = parseKey();
+      if (text[i] !== '=') fail('expected "="');
+      i++;
+      setValue(table, key, parseValue());
+    }
+    expectLineEnd();
+  }
+  return root;
+}
@@ -0,0 +1,11 @@
+/**
+ * Computes the SHA-256 digest of a string and returns it as a hex string.
+ * The text is encoded as UTF-8 before hashing.
+ * @param {string} text The text to hash.
+ * @returns {Promise<string>} A promise that resolves to the lowercase hex digest.
+ */
+export async function sha256Hex(text) {
+	const data = new TextEncoder().encode(text);
+	const digest = await crypto.subtle.digest('SHA-256', data);
+	return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
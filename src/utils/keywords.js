@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Keyword prefiltering of secret rules, as done by gitleaks.
+ *
+ * Most rules cannot match unless a literal keyword, such as `ghp_` or
+ * `adafruit`, appears in the source. Instead of running every regular
+ * expression over every source, the keywords of all rules are searched in a
+ * single pass with an Aho-Corasick automaton, and only the rules whose keywords
+ * were found (plus the rules without keywords) run their full regex.
+ */
+
+/**
+ * @description The number of characters with a precomputed transition in the
+ * automaton. Other characters use the trie edges and failure links.
+ * @type {number}
+ */
+const ASCII_SIZE = 128;
+
+/**
+ * Builds an Aho-Corasick automaton for a list of keywords.
+ * @param {string[]} keywords The keywords, in lower case.
+ * @returns {{transitions: Int32Array, edges: Array<Map<number, number>>, failures: Int32Array, outputs: Array<number[]>}}
+ * The automaton: the ASCII transitions of each state, the trie edges of each
+ * state for the other characters, the failure links, and the keywords ending at each state.
+ */
+function buildAutomaton(keywords) {
+  const edges = [new Map()];
+  const outputs = [[]];
+
+  keywords.forEach((keyword, keywordIndex) => {
+    let state = 0;
+    for (let i = 0; i < keyword.length; i++) {
+      const code = keyword.charCodeAt(i);
+      let next = edges[state].get(code);
+      if (next === undefined) {
+        next = edges.length;
+        edges.push(new Map());
+        outputs.push([]);
+        edges[state].set(code, next);
+      }
+      state = next;
+    }
+    outputs[state].push(keywordIndex);
+  });
+
+  const stateCount = edges.length;
+  const transitions = new Int32Array(stateCount * ASCII_SIZE);
+  const failures = new Int32Array(stateCount);
+  const queue = [];
+
+  for (const [code, next] of edges[0]) {
+    if (code < ASCII_SIZE) {
+      transitions[code] = next;
+    }
+    queue.push(next);
+  }
+
+  for (let head = 0; head < queue.length; head++) {
+    const state = queue[head];
+    outputs[state] = outputs[state].concat(outputs[failures[state]]);
+
+    for (let code = 0; code < ASCII_SIZE; code++) {
+      transitions[state * ASCII_SIZE + code] = transitions[failures[state] * ASCII_SIZE + code];
+    }
+    for (const [code, next] of edges[state]) {
+      failures[next] = code < ASCII_SIZE
+        ? transitions[failures[state] * ASCII_SIZE + code]
+        : followEdge(edges, failures, failures[state], code);
+      if (code < ASCII_SIZE) {
+        transitions[state * ASCII_SIZE + code] = next;
+      }
+      queue.push(next);
+    }
+  }
+
+  return { transitions, edges, failures, outputs };
+}
+
+/**
+ * Follows a non-ASCII character from a state, using the failure links when the
+ * state has no edge for it.
+ * @param {Array<Map<number, number>>} edges
+ * @param {Int32Array} failures
+ * @param {number} state
+ * @param {number} code
+ * @returns {number} The next state.
+ */
+function followEdge(edges, failures, state, code) {
+  for (; ;) {
+    const next = edges[state].get(code);
+    if (next !== undefined) {
+      return next;
+    }
+    if (state === 0) {
+      return 0;
+    }
+    state = failures[state];
+  }
+}
+
+/**
+ * Creates a function that selects the rules that can match a source, based on
+ * their `keywords`. Rules without keywords are always selected.
+ * @template {{keywords?: string[]}} T
+ * @param {T[]} rules
+ * @returns {function(string): T[]} Receives the content of a source and returns
+ * its applicable rules, in their original order.
+ */
+export function createRuleSelector(rules) {
+  const keywords = [];
+  const keywordRules = [];
+  const keywordIndexes = new Map();
+  rules.forEach((rule, ruleIndex) => {
+    for (const keyword of rule.keywords || []) {
+      const normalized = keyword.toLowerCase();
+      if (!normalized) {
+        continue;
+      }
+      if (!keywordIndexes.has(normalized)) {
+        keywordIndexes.set(normalized, keywords.length);
+        keywords.push(normalized);
+        keywordRules.push([]);
+      }
+      keywordRules[keywordIndexes.get(normalized)].push(ruleIndex);
+    }
+  });
+
+  const filteredRules = new Set(keywordRules.flat());
+  if (filteredRules.size === 0) {
+    return () => rules;
+  }
+  const { transitions, edges, failures, outputs } = buildAutomaton(keywords);
+
+  return (content) => {
+    const lowerCaseContent = content.toLowerCase();
+    const selected = new Uint8Array(rules.length);
+    const foundKeywords = new Uint8Array(keywords.length);
+    let remaining = filteredRules.size;
+    let state = 0;
+
+    for (let i = 0; i < lowerCaseContent.length && remaining > 0; i++) {
+      const code = lowerCaseContent.charCodeAt(i);
+      state = code < ASCII_SIZE
+        ? transitions[state * ASCII_SIZE + code]
+        : followEdge(edges, failures, state, code);
+
+      const found = outputs[state];
+      for (let j = 0; j < found.length; j++) {
+        const keywordIndex = found[j];
+        if (foundKeywords[keywordIndex]) {
+          continue;
+        }
+        foundKeywords[keywordIndex] = 1;
+        for (const ruleIndex of keywordRules[keywordIndex]) {
+          if (!selected[ruleIndex]) {
+            selected[ruleIndex] = 1;
+            remaining--;
+          }
+        }
+      }
+    }
+
+    return rules.filter((rule, ruleIndex) => selected[ruleIndex] || !filteredRules.has(ruleIndex));
+  };
+}
@@ -1,14 +1,32 @@
 
 
 import { secretRules } from './rules.js';
+import { getRuleMetadata } from './ruleMetadata.js';
+
+/**
+ * Builds the regex matching the interesting parameters, e.g. `?next=` or
+ * `"redirect":`. Parameter names are matched literally, so `ids[]` matches
+ * `?ids[]=1` and `.` is not a wildcard.
+ * @param {string[]} parameters - The interesting parameter names.
+ * @returns {RegExp | null} The regex, or null if there are no parameters.
+ */
+export function buildParameterRegex(parameters) {
+  if (!parameters || parameters.length === 0) {
+    return null;
+  }
+  const names = parameters.map(parameter => parameter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`[?&"']((${names.join("|")}))\\s*[:=]`, "gi");
+}
 
 /**
  * Compiles all regex patterns for the scan.
  * It combines static patterns with dynamic ones based on user settings and secret rules.
+ * Secret rules keep their own regex flags, plus `g`, and carry their metadata.
  * @param {string[]} parameters - An array of user-defined "interesting parameters".
+ * @param {Array<object>} [rules=secretRules] - The secret rules, e.g. the built-in and custom rules from `getSecretRules`.
  * @returns {object} An object containing all regex patterns, grouped by category.
  */
-export function getPatterns(parameters) {
+export function getPatterns(parameters, rules = secretRules) {
   let patterns = {
     Subdomains: {
       regex:
@@ -37,25 +55,53 @@ export function getPatterns(parameters) {
       context: "snippet",
     },
     "Interesting Parameters": {
-      regex:
-        parameters && parameters.length > 0
-          ? new RegExp(`[?&"']((${parameters.join("|")}))\\s*[:=]`, "gi")
-          : null,
+      regex: buildParameterRegex(parameters),
       group: 1,
       context: "snippet",
     }
   };
-  for (const rule of secretRules) {
+  for (const rule of rules) {
     if (!patterns["Potential Secrets"]) {
       patterns["Potential Secrets"] = [];
     }
+    const { source, flags } = rule.regex;
     patterns["Potential Secrets"].push({
-      regex: new RegExp(rule.regex, "gi"),
+      regex: new RegExp(source, flags.includes("g") ? flags : `${flags}g`),
       group: rule.group ?? 0,
       context: "snippet",
       ruleId: rule.id,
       ruleEntropy: rule.entropy ?? 0,
+      minLength: rule.minLength ?? 0,
+      keywords: rule.keywords,
+      allowlists: rule.allowlists,
+      ...getRuleMetadata(rule),
     });
   }
   return patterns;
 }
+
+/**
+ * Lists the patterns and secret rules of the full page analysis as the rules
+ * run by the scan workers (see scanEngine.js), with `{source, flags}` regexes
+ * so they can be sent as messages. Patterns have their category as `id` and
+ * `kind: 'pattern'`; categories without a regex, e.g. when no interesting
+ * parameters are set, are left out. Secret rules keep their own regex flags, plus `g`.
+ * @param {string[]} parameters - An array of user-defined "interesting parameters".
+ * @param {Array<object>} [rules=secretRules] - The secret rules, e.g. the built-in and custom rules from `getSecretRules`.
+ * @returns {Array<object>} The rules, patterns first.
+ */
+export function getScanRules(parameters, rules = secretRules) {
+  const patterns = Object.entries(getPatterns(parameters, []))
+    .filter(([, pattern]) => pattern.regex)
+    .map(([name, { regex, group }]) => ({
+      id: name,
+      kind: "pattern",
+      regex: { source: regex.source, flags: regex.flags },
+      group,
+    }));
+  const secretScanRules = rules.map((rule) => {
+    const { source, flags } = rule.regex;
+    return { ...rule, regex: { source, flags: flags.includes("g") ? flags : `${flags}g` } };
+  });
+  return [...patterns, ...secretScanRules];
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Helpers for the scan profiler. Both the passive scan and the
+ * on-demand overlay scan measure the time each rule spends on each source and
+ * count its regex matches. The measurements are kept with the coverage report
+ * (the `ruleStats` of each entry), and summarized here into the slowest rules
+ * and the slowest sources, to find the rules worth tuning or disabling.
+ */
+
+/**
+ * @typedef {object} RuleStats
+ * @property {string} rule The id of a secret rule, or the name of a pattern category such as `Endpoints`.
+ * @property {'secret' | 'pattern'} kind Whether the rule is a secret rule or a pattern category of the overlay.
+ * @property {number} ms The time spent running the rule on the source.
+ * @property {number} matches The number of matches of its regex, before validation.
+ */
+
+/**
+ * @typedef {object} RuleProfile
+ * @property {string} rule
+ * @property {'secret' | 'pattern'} kind
+ * @property {number} ms The total time spent running the rule.
+ * @property {number} matches The total number of matches.
+ * @property {number} sources The number of sources the rule ran on.
+ * @property {string | null} slowestSource The source the rule spent the most time on.
+ */
+
+/**
+ * @typedef {object} SourceProfile
+ * @property {string} source
+ * @property {number} ms The time spent scanning the source.
+ * @property {number} matches The total number of matches of all rules.
+ * @property {number} rules The number of rules that ran on the source.
+ * @property {string | null} slowestRule The rule that spent the most time on the source.
+ */
+
+/**
+ * Adds a measurement to per-rule statistics, e.g. of the windows of a source.
+ * @param {Map<string, RuleStats>} statsByRule The statistics being collected, by kind and rule.
+ * @param {string} rule
+ * @param {'secret' | 'pattern'} kind
+ * @param {number} ms
+ * @param {number} matches
+ */
+export function addRuleStats(statsByRule, rule, kind, ms, matches) {
+  const key = `${kind}:${rule}`;
+  const stats = statsByRule.get(key) || { rule, kind, ms: 0, matches: 0 };
+  stats.ms += ms;
+  stats.matches += matches;
+  statsByRule.set(key, stats);
+}
+
+/**
+ * Returns collected rule statistics as stored in the coverage report, with
+ * times rounded to a hundredth of a millisecond.
+ * @param {Map<string, RuleStats>} statsByRule
+ * @returns {RuleStats[]}
+ */
+export function finalizeRuleStats(statsByRule) {
+  return [...statsByRule.values()].map(stats => ({ ...stats, ms: Math.round(stats.ms * 100) / 100 }));
+}
+
+/**
+ * Summarizes the rule statistics of a coverage report.
+ * @param {Array<{source: string, scanMs: number | null, ruleStats?: RuleStats[]}>} coverage
+ * @returns {{rules: RuleProfile[], sources: SourceProfile[]}} The rules and the
+ * sources, slowest first. Sources without statistics, e.g. taken from the scan
+ * cache, are left out.
+ */
+export function summarizeProfile(coverage) {
+  const rules = new Map();
+  const sources = [];
+
+  for (const entry of coverage) {
+    const ruleStats = entry.ruleStats || [];
+    if (ruleStats.length === 0) {
+      continue;
+    }
+
+    let slowest = null;
+    let matches = 0;
+    for (const stats of ruleStats) {
+      const key = `${stats.kind}:${stats.rule}`;
+      const profile = rules.get(key) || { rule: stats.rule, kind: stats.kind, ms: 0, matches: 0, sources: 0, slowestSource: null, slowestMs: -1 };
+      profile.ms += stats.ms;
+      profile.matches += stats.matches;
+      profile.sources++;
+      if (stats.ms > profile.slowestMs) {
+        profile.slowestSource = entry.source;
+        profile.slowestMs = stats.ms;
+      }
+      rules.set(key, profile);
+
+      matches += stats.matches;
+      if (!slowest || stats.ms > slowest.ms) {
+        slowest = stats;
+      }
+    }
+    sources.push({
+      source: entry.source,
+      ms: entry.scanMs ?? 0,
+      matches,
+      rules: ruleStats.length,
+      slowestRule: slowest ? slowest.rule : null,
+    });
+  }
+
+  return {
+    rules: [...rules.values()]
+      .map(({ slowestMs, ...profile }) => ({ ...profile, ms: Math.round(profile.ms * 100) / 100 }))
+      .sort((a, b) => b.ms - a.ms),
+    sources: sources.sort((a, b) => b.ms - a.ms),
+  };
+}
+
+/**
+ * Builds the JSON export of the profile of a scan.
+ * @param {Array<object>} coverage The coverage report of the scan.
+ * @param {string} pageUrl The URL of the scanned page.
+ * @returns {{pageUrl: string, exportedAt: string, rules: RuleProfile[], sources: SourceProfile[], ruleStatsBySource: Object<string, RuleStats[]>}}
+ */
+export function buildProfileExport(coverage, pageUrl) {
+  return {
+    pageUrl,
+    exportedAt: new Date().toISOString(),
+    ...summarizeProfile(coverage),
+    ruleStatsBySource: Object.fromEntries(
+      coverage
+        .filter(entry => entry.ruleStats?.length > 0)
+        .map(entry => [entry.source, entry.ruleStats])
+    ),
+  };
+}
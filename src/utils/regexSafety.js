@@ -0,0 +1,358 @@
+/**
+ * @fileoverview A static check of regular expressions for the shapes that
+ * cause catastrophic backtracking (ReDoS), run when the secret rules are
+ * loaded. It parses the pattern and approximates the characters each part can
+ * match with their ASCII subset, which is enough to tell `([a-z]+\.)+`
+ * (safe, the dot separates the repetitions) from `(\w+\s?)+` (exponential).
+ *
+ * The check is a heuristic: it can miss dangerous patterns and flag safe ones,
+ * so it only produces warnings. The scanners bound the actual damage with the
+ * time budget of each rule (`RULE_TIME_BUDGET_MS`).
+ */
+
+/**
+ * @description The time a rule may spend on one source (or one window of a
+ * large source) before it is stopped and reported as timed out for that source.
+ * @type {number}
+ */
+export const RULE_TIME_BUDGET_MS = 2000;
+
+/**
+ * @description The time after which a scan worker still running the same rule
+ * is terminated. It leaves the worker time to stop the rule itself, which it
+ * does between matches once the rule exceeds `RULE_TIME_BUDGET_MS`.
+ * @type {number}
+ */
+export const WORKER_RULE_TIMEOUT_MS = RULE_TIME_BUDGET_MS + 1000;
+
+/**
+ * @description The non-ASCII characters tested to tell whether a part of a
+ * pattern can match characters outside of ASCII.
+ * @type {string[]}
+ */
+const NON_ASCII_SAMPLES = ['\u00e9', '\u00a0', '\u2028', '\u4e2d', '\u{1F600}'];
+
+/**
+ * @description The analysis of each pattern, by flags and source, as rules are
+ * loaded again for every scan.
+ * @type {Map<string, string[]>}
+ */
+const analysisCache = new Map();
+
+/**
+ * @typedef {object} RegexNode
+ * @property {'atom' | 'group' | 'assertion' | 'backreference'} type
+ * @property {string} [text] The source of an atom, e.g. `\w` or `[a-z]`.
+ * @property {RegexNode[][]} [branches] The alternatives of a group.
+ * @property {boolean} [zeroWidth] Whether the group is a lookaround.
+ * @property {number} min The minimum number of repetitions.
+ * @property {number} max The maximum number of repetitions, `Infinity` if unbounded.
+ * @property {number} start The position of the node in the pattern.
+ * @property {number} end The position after the node and its quantifier.
+ */
+
+/**
+ * Looks for catastrophic backtracking shapes in a regular expression:
+ * - nested quantifiers, where a repeated group contains a repeated part that
+ * can match the whole group, e.g. `(a+)+` or `(\w+\s?)*`;
+ * - repeated alternations whose branches can match the same characters, e.g. `(\w|\d)+`;
+ * - adjacent unbounded quantifiers over the same characters, e.g. `\w+\w*` or `.*.*`,
+ * which take polynomial time on long non-matching input.
+ * @param {RegExp | {source: string, flags?: string}} regex
+ * @returns {string[]} A warning for each risky part of the pattern, empty if none was found.
+ */
+export function findBacktrackingRisks(regex) {
+  const source = regex.source;
+  const flags = (regex.flags || '').replace(/[gyd]/g, '');
+  const cacheKey = `${flags}/${source}`;
+  if (analysisCache.has(cacheKey)) {
+    return analysisCache.get(cacheKey);
+  }
+
+  const warnings = [];
+  try {
+    const branches = parsePattern(source);
+    const getCharacters = createCharacterSetGetter(flags);
+    branches.forEach(branch => checkSequence(branch, source, getCharacters, warnings));
+  } catch (error) {
+    console.warn('[JS Recon Buddy] Could not check a pattern for catastrophic backtracking:', source, error);
+  }
+  const uniqueWarnings = [...new Set(warnings)];
+  analysisCache.set(cacheKey, uniqueWarnings);
+  return uniqueWarnings;
+}
+
+/**
+ * Parses a JavaScript regular expression into its alternatives.
+ * @param {string} source A valid pattern.
+ * @returns {RegexNode[][]} The sequences of nodes of the top level alternatives.
+ */
+function parsePattern(source) {
+  let pos = 0;
+
+  const parseAlternatives = () => {
+    const branches = [parseSequence()];
+    while (source[pos] === '|') {
+      pos++;
+      branches.push(parseSequence());
+    }
+    return branches;
+  };
+
+  const parseSequence = () => {
+    const nodes = [];
+    while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+      const node = parseNode();
+      parseQuantifier(node);
+      nodes.push(node);
+    }
+    return nodes;
+  };
+
+  const parseNode = () => {
+    const start = pos;
+    const char = source[pos];
+
+    if (char === '(') {
+      pos++;
+      const prefix = /^(?:\?(?:[=!]|<[=!]|<[^>]*>|:))?/.exec(source.slice(pos))[0];
+      const zeroWidth = /^\?<?[=!]$/.test(prefix);
+      pos += prefix.length;
+      const branches = parseAlternatives();
+      pos++;
+      return { type: 'group', branches, zeroWidth, min: 1, max: 1, start, end: pos };
+    }
+
+    if (char === '[') {
+      pos++;
+      while (pos < source.length && source[pos] !== ']') {
+        pos += source[pos] === '\\' ? 2 : 1;
+      }
+      pos++;
+      return { type: 'atom', text: source.slice(start, pos), min: 1, max: 1, start, end: pos };
+    }
+
+    if (char === '\\') {
+      const escape = /^\\(?:[1-9]\d*|k<[^>]*>|u\{[0-9a-f]+\}|u[0-9a-f]{4}|x[0-9a-f]{2}|c[a-z]|[pP]\{[^}]*\}|[\s\S])/i
+        .exec(source.slice(pos))[0];
+      pos += escape.length;
+      if (/^\\(?:[1-9]|k<)/.test(escape)) {
+        return { type: 'backreference', min: 1, max: 1, start, end: pos };
+      }
+      if (escape === '\\b' || escape === '\\B') {
+        return { type: 'assertion', min: 1, max: 1, start, end: pos };
+      }
+      return { type: 'atom', text: escape, min: 1, max: 1, start, end: pos };
+    }
+
+    pos++;
+    if (char === '^' || char === '$') {
+      return { type: 'assertion', min: 1, max: 1, start, end: pos };
+    }
+    const text = '.*+?{}'.includes(char) && char !== '.' ? `\\${char}` : char;
+    return { type: 'atom', text, min: 1, max: 1, start, end: pos };
+  };
+
+  const parseQuantifier = (node) => {
+    const quantifier = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(source.slice(pos));
+    if (!quantifier) {
+      return;
+    }
+    const [text, symbol, min, comma, max] = quantifier;
+    if (symbol) {
+      node.min = symbol === '+' ? 1 : 0;
+      node.max = symbol === '?' ? 1 : Infinity;
+    } else {
+      node.min = Number(min);
+      node.max = !comma ? Number(min) : max === '' ? Infinity : Number(max);
+    }
+    pos += text.length;
+    node.end = pos;
+  };
+
+  return parseAlternatives();
+}
+
+/**
+ * Creates a function approximating the characters a node can match, as the set
+ * of ASCII characters it matches plus whether it can match other characters.
+ * @param {string} flags The flags of the pattern, which change e.g. what `i` or `.` match.
+ * @returns {function(RegexNode): {ascii: Uint8Array, other: boolean}}
+ */
+function createCharacterSetGetter(flags) {
+  const atomSets = new Map();
+  const nodeSets = new WeakMap();
+
+  const getAtomSet = (text) => {
+    if (!atomSets.has(text)) {
+      const regex = new RegExp(`^(?:${text})$`, flags);
+      const ascii = new Uint8Array(128);
+      for (let code = 0; code < 128; code++) {
+        ascii[code] = regex.test(String.fromCharCode(code)) ? 1 : 0;
+      }
+      atomSets.set(text, { ascii, other: NON_ASCII_SAMPLES.some(sample => regex.test(sample)) });
+    }
+    return atomSets.get(text);
+  };
+
+  const getNodeSet = (node) => {
+    if (node.type === 'atom') {
+      return getAtomSet(node.text);
+    }
+    if (nodeSets.has(node)) {
+      return nodeSets.get(node);
+    }
+    const set = { ascii: new Uint8Array(128), other: false };
+    if (node.type === 'backreference') {
+      set.ascii.fill(1);
+      set.other = true;
+    } else if (node.type === 'group' && !node.zeroWidth) {
+      for (const child of node.branches.flat()) {
+        const childSet = getNodeSet(child);
+        childSet.ascii.forEach((bit, code) => {
+          set.ascii[code] |= bit;
+        });
+        set.other ||= childSet.other;
+      }
+    }
+    nodeSets.set(node, set);
+    return set;
+  };
+
+  return getNodeSet;
+}
+
+/**
+ * Tells whether two character sets have a character in common.
+ * @param {{ascii: Uint8Array, other: boolean}} a
+ * @param {{ascii: Uint8Array, other: boolean}} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  return (a.other && b.other) || a.ascii.some((bit, code) => bit && b.ascii[code]);
+}
+
+/**
+ * Tells whether a node consumes no characters (anchors, `\b` and lookarounds).
+ * @param {RegexNode} node
+ * @returns {boolean}
+ */
+function isZeroWidth(node) {
+  return node.type === 'assertion' || (node.type === 'group' && node.zeroWidth);
+}
+
+/**
+ * Tells whether a node can match an unbounded number of characters.
+ * @param {RegexNode} node
+ * @returns {boolean}
+ */
+function isUnbounded(node) {
+  if (node.max === 0 || isZeroWidth(node)) {
+    return false;
+  }
+  return node.max === Infinity || (node.type === 'group' && node.branches.some(branch => branch.some(isUnbounded)));
+}
+
+/**
+ * Checks a sequence of nodes, and the groups in it, for risky shapes.
+ * @param {RegexNode[]} sequence
+ * @param {string} source The pattern, to quote the risky parts.
+ * @param {function(RegexNode): {ascii: Uint8Array, other: boolean}} getCharacters
+ * @param {string[]} warnings Receives the warnings.
+ */
+function checkSequence(sequence, source, getCharacters, warnings) {
+  const quote = (node) => `"${source.slice(node.start, node.end)}"`;
+
+  sequence.forEach((node, index) => {
+    if (node.type !== 'group') {
+      return;
+    }
+    if (node.max > 1 && !node.zeroWidth) {
+      if (node.branches.some(branch => hasAmbiguousRepetition(branch, getCharacters))) {
+        warnings.push(`Nested quantifier in ${quote(node)}: the repeated group contains a repeated part that can match it on its own, which takes exponential time on input that almost matches.`);
+      }
+      const singleNodes = node.branches.map(branch => branch.filter(child => !isZeroWidth(child)));
+      const overlapping = singleNodes.some((a, i) => a.length === 1 && singleNodes.some((b, j) =>
+        j > i && b.length === 1 && overlaps(getCharacters(a[0]), getCharacters(b[0]))));
+      if (overlapping) {
+        warnings.push(`Overlapping alternatives in ${quote(node)}: several branches of the repeated group can match the same characters, which takes exponential time on input that almost matches.`);
+      }
+    }
+    node.branches.forEach(branch => checkSequence(branch, source, getCharacters, warnings));
+  });
+
+  for (let i = 0; i < sequence.length; i++) {
+    const tail = getRepeatableEdge(sequence[i], true, getCharacters);
+    if (!tail) {
+      continue;
+    }
+    for (let j = i + 1; j < sequence.length; j++) {
+      const next = sequence[j];
+      const head = getRepeatableEdge(next, false, getCharacters);
+      if (head && overlaps(tail, head)) {
+        warnings.push(`Adjacent quantifiers in "${source.slice(sequence[i].start, next.end)}": both parts can match the same characters, which takes polynomial time on long input that does not match.`);
+        break;
+      }
+      if (next.min > 0 && !isZeroWidth(next)) {
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Returns the characters an unbounded part at the start or at the end of a
+ * node can match, e.g. `\w` for the end of `(?:-\w+)`. Such parts of two
+ * adjacent nodes compete for the same characters.
+ * @param {RegexNode} node
+ * @param {boolean} atEnd Whether to look at the end of the node rather than its start.
+ * @param {function(RegexNode): {ascii: Uint8Array, other: boolean}} getCharacters
+ * @returns {{ascii: Uint8Array, other: boolean} | null} Null if the node starts
+ * or ends with a bounded part.
+ */
+function getRepeatableEdge(node, atEnd, getCharacters) {
+  if (node.max === 0 || isZeroWidth(node)) {
+    return null;
+  }
+  if (node.type !== 'group') {
+    return node.max === Infinity ? getCharacters(node) : null;
+  }
+
+  const edge = { ascii: new Uint8Array(128), other: false };
+  let found = false;
+  for (const branch of node.branches) {
+    const children = branch.filter(child => !isZeroWidth(child));
+    if (atEnd) {
+      children.reverse();
+    }
+    for (const child of children) {
+      const childEdge = getRepeatableEdge(child, atEnd, getCharacters);
+      if (childEdge) {
+        childEdge.ascii.forEach((bit, code) => {
+          edge.ascii[code] |= bit;
+        });
+        edge.other ||= childEdge.other;
+        found = true;
+      }
+      if (child.min > 0) {
+        break;
+      }
+    }
+  }
+  return found ? edge : null;
+}
+
+/**
+ * Tells whether a branch of a repeated group contains an unbounded part that
+ * can match the whole branch, i.e. every mandatory part beside it can match
+ * the same characters, so one string can be split between the repetitions in
+ * many ways.
+ * @param {RegexNode[]} branch
+ * @param {function(RegexNode): {ascii: Uint8Array, other: boolean}} getCharacters
+ * @returns {boolean}
+ */
+function hasAmbiguousRepetition(branch, getCharacters) {
+  const nodes = branch.filter(node => !isZeroWidth(node));
+  return nodes.some(repeated => isUnbounded(repeated) && nodes.every(other =>
+    other === repeated || other.min === 0 || overlaps(getCharacters(other), getCharacters(repeated))));
+}
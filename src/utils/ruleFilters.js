@@ -0,0 +1,74 @@
+/**
+ * @fileoverview The allowlist checks of secret rules, shared by the passive
+ * scanner (offscreen document) and the full page analysis (overlay). They follow
+ * the semantics of gitleaks configs, which the rules can be imported from.
+ */
+
+/**
+ * @description The compiled regular expressions of each allowlist.
+ * @type {WeakMap<object, {regexes: RegExp[], paths: RegExp[]}>}
+ */
+const compiledAllowlists = new WeakMap();
+
+/**
+ * Checks whether a match of a rule is allowed by one of its allowlists, and
+ * must not be reported.
+ * @param {{allowlists?: Array<object>}} rule
+ * @param {object} candidate
+ * @param {string} candidate.secret The secret extracted from the match.
+ * @param {string} candidate.text The text the match was found in.
+ * @param {number} candidate.index The position of the match in `text`.
+ * @param {number} candidate.length The length of the whole match.
+ * @param {string} candidate.source The source the text comes from, e.g. a script URL.
+ * @returns {boolean}
+ */
+export function isAllowlisted(rule, { secret, text, index, length, source }) {
+  if (!rule.allowlists || rule.allowlists.length === 0) {
+    return false;
+  }
+
+  return rule.allowlists.some(allowlist => {
+    const { regexes, paths } = compileAllowlist(allowlist);
+    const checks = [];
+    if (regexes.length > 0) {
+      let target = secret;
+      if (allowlist.regexTarget === 'match') {
+        target = text.slice(index, index + length);
+      } else if (allowlist.regexTarget === 'line') {
+        const lineStart = text.lastIndexOf('\n', index) + 1;
+        const lineEnd = text.indexOf('\n', index + length);
+        target = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+      }
+      checks.push(() => regexes.some(regex => regex.test(target)));
+    }
+    if (allowlist.stopwords.length > 0) {
+      const lowerCaseSecret = secret.toLowerCase();
+      checks.push(() => allowlist.stopwords.some(word => lowerCaseSecret.includes(word.toLowerCase())));
+    }
+    if (paths.length > 0) {
+      checks.push(() => paths.some(regex => regex.test(source)));
+    }
+
+    if (checks.length === 0) {
+      return false;
+    }
+    return allowlist.condition === 'AND' ? checks.every(check => check()) : checks.some(check => check());
+  });
+}
+
+/**
+ * Compiles the regular expressions of an allowlist, once.
+ * @param {{regexes: Array<{source: string, flags: string}>, paths: Array<{source: string, flags: string}>}} allowlist
+ * @returns {{regexes: RegExp[], paths: RegExp[]}}
+ */
+function compileAllowlist(allowlist) {
+  let compiled = compiledAllowlists.get(allowlist);
+  if (!compiled) {
+    compiled = {
+      regexes: allowlist.regexes.map(({ source, flags }) => new RegExp(source, flags)),
+      paths: allowlist.paths.map(({ source, flags }) => new RegExp(source, flags)),
+    };
+    compiledAllowlists.set(allowlist, compiled);
+  }
+  return compiled;
+}
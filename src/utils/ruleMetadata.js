@@ -0,0 +1,81 @@
+/**
+ * @fileoverview The severity, confidence and tags of secret rules. Every
+ * finding of a secret rule carries them, so the popup and the full page
+ * analysis can rank and label findings, and exports keep them.
+ */
+
+/**
+ * @description The severity levels of secret rules, from the most to the least severe.
+ * @type {string[]}
+ */
+export const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low', 'info'];
+
+/**
+ * @description The confidence levels of secret rules, from the most to the least confident.
+ * @type {string[]}
+ */
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * @description The tags used by the built-in rules, suggested in the rule editor.
+ * Custom rules may use other tags too.
+ * @type {string[]}
+ */
+export const RULE_TAGS = [
+  'cloud',
+  'ci-cd',
+  'payments',
+  'comms',
+  'source-control',
+  'package-registry',
+  'secrets-management',
+  'identity',
+  'database',
+  'monitoring',
+  'ai',
+  'saas',
+  'keys',
+  'generic',
+];
+
+/**
+ * @description The severity of rules that do not set one, e.g. findings
+ * stored before rules had a severity.
+ * @type {string}
+ */
+export const DEFAULT_SEVERITY = 'medium';
+
+/**
+ * @description The confidence of rules that do not set one.
+ * @type {string}
+ */
+export const DEFAULT_CONFIDENCE = 'medium';
+
+/**
+ * Returns the severity, confidence and tags of a rule or of a finding, with
+ * the defaults for missing or unknown values.
+ * @param {{severity?: string, confidence?: string, tags?: string[]}} [item={}] A rule or a finding.
+ * @returns {{severity: string, confidence: string, tags: string[]}}
+ */
+export function getRuleMetadata(item = {}) {
+  return {
+    severity: SEVERITY_LEVELS.includes(item.severity) ? item.severity : DEFAULT_SEVERITY,
+    confidence: CONFIDENCE_LEVELS.includes(item.confidence) ? item.confidence : DEFAULT_CONFIDENCE,
+    tags: Array.isArray(item.tags) ? item.tags : [],
+  };
+}
+
+/**
+ * Compares two rules or findings by severity, then by confidence, the most
+ * severe and confident first. Meant for `Array.prototype.sort`, which keeps
+ * the order of equal items.
+ * @param {{severity?: string, confidence?: string}} a
+ * @param {{severity?: string, confidence?: string}} b
+ * @returns {number}
+ */
+export function compareBySeverity(a, b) {
+  const first = getRuleMetadata(a);
+  const second = getRuleMetadata(b);
+  return SEVERITY_LEVELS.indexOf(first.severity) - SEVERITY_LEVELS.indexOf(second.severity)
+    || CONFIDENCE_LEVELS.indexOf(first.confidence) - CONFIDENCE_LEVELS.indexOf(second.confidence);
+}
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview A persistent, content-addressed cache of passive scan results.
+ * Results are keyed by the SHA-256 hash of a script body, so a script that was
+ * scanned once (on any tab or page) is not run through the rules again until
+ * the rule set changes.
+ */
+
+/**
+ * @description The prefix of the `chrome.storage.local` keys used by the cache.
+ * @type {string}
+ */
+export const SCAN_CACHE_KEY_PREFIX = 'script_scan_cache_';
+
+/**
+ * @description How long a cached scan result is kept before it is evicted.
+ * @type {number}
+ */
+export const SCAN_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @description The version of the format of cached findings. Entries written
+ * with another version, e.g. before findings carried their rule's severity
+ * and their validation status, are treated as cache misses.
+ * @type {number}
+ */
+const SCAN_CACHE_FORMAT_VERSION = 2;
+
+/**
+ * Looks up the cached findings for a list of content hashes.
+ * Entries produced by a different rule set are treated as cache misses.
+ * @param {string[]} contentHashes The hashes of the script bodies to look up.
+ * @param {string} rulesHash The fingerprint of the current rule set.
+ * @returns {Promise<Map<string, Array<{id: string, description: string, severity: string, confidence: string, tags: string[], validation: string, secret: string, index: number}>>>}
+ * A map from content hash to the findings cached for it. Missing hashes are not included.
+ */
+export async function getCachedFindings(contentHashes, rulesHash) {
+  const cached = new Map();
+  if (contentHashes.length === 0) {
+    return cached;
+  }
+
+  try {
+    const keys = contentHashes.map(hash => `${SCAN_CACHE_KEY_PREFIX}${hash}`);
+    const entries = await chrome.storage.local.get(keys);
+    for (const hash of contentHashes) {
+      const entry = entries[`${SCAN_CACHE_KEY_PREFIX}${hash}`];
+      if (entry && entry.rulesHash === rulesHash && entry.version === SCAN_CACHE_FORMAT_VERSION && Array.isArray(entry.findings)) {
+        cached.set(hash, entry.findings);
+      }
+    }
+  } catch (error) {
+    console.warn('[JS Recon Buddy] Could not read the scan cache:', error);
+  }
+  return cached;
+}
+
+/**
+ * Stores the findings of freshly scanned script bodies in the cache.
+ * Only the source-independent part of each finding is kept, so an entry can be
+ * reused for the same script served from any URL or page.
+ * @param {Map<string, Array<object>>} findingsByHash A map from content hash to its findings.
+ * @param {string} rulesHash The fingerprint of the rule set that produced the findings.
+ * @returns {Promise<void>}
+ */
+export async function cacheFindings(findingsByHash, rulesHash) {
+  if (findingsByHash.size === 0) {
+    return;
+  }
+
+  const timestamp = Date.now();
+  const entries = {};
+  for (const [hash, findings] of findingsByHash) {
+    entries[`${SCAN_CACHE_KEY_PREFIX}${hash}`] = {
+      rulesHash,
+      version: SCAN_CACHE_FORMAT_VERSION,
+      timestamp,
+      findings: findings.map(({ id, description, severity, confidence, tags, validation, secret, index }) =>
+        ({ id, description, severity, confidence, tags, validation, secret, index })),
+    };
+  }
+
+  try {
+    await chrome.storage.local.set(entries);
+  } catch (error) {
+    console.warn('[JS Recon Buddy] Could not write to the scan cache:', error);
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview The scope of the passive scanner: which sites it runs on.
+ *
+ * A scope is made of include and exclude rules, one rule per line:
+ * - Host wildcards, e.g. `example.com`, `*.example.com` (any subdomain, but not
+ * the domain itself) or `api-*.example.com`. A scheme and path are ignored, and
+ * a port (`example.com:8443`) must match when given.
+ * - Regular expressions between slashes, e.g. `/^https:\/\/[^/]+\/admin/i`,
+ * tested against the full URL.
+ * - IPv4 CIDR ranges, e.g. `10.0.0.0/8`, matching pages opened by IP address.
+ * Host names are not resolved.
+ *
+ * Lines starting with `#` are comments. A URL is in scope if it matches no
+ * exclude rule and, when there are include rules, at least one of them. The
+ * rules can also be imported from the scope file of a bug bounty program (see
+ * scopeImport.js).
+ */
+
+/**
+ * @typedef {object} ScopeRule
+ * @property {'host' | 'regex' | 'cidr'} type
+ * @property {string} text The rule as written.
+ * @property {RegExp} [regex] The compiled host pattern or regular expression.
+ * @property {boolean} [matchPort] Whether a host pattern includes a port.
+ * @property {number} [network] The network address of a CIDR range, as an unsigned integer.
+ * @property {number} [mask] The network mask of a CIDR range, as an unsigned integer.
+ */
+
+/**
+ * @description Matches an IPv4 CIDR range.
+ * @type {RegExp}
+ */
+const CIDR_REGEX = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/;
+
+/**
+ * @description Matches a valid host pattern: host name characters, wildcards and an optional port.
+ * @type {RegExp}
+ */
+const HOST_PATTERN_REGEX = /^[a-z0-9*_.-]+(?::\d{1,5})?$/i;
+
+/**
+ * Parses a single scope rule.
+ * @param {string} text The rule, as written by the user.
+ * @returns {ScopeRule | null} The parsed rule, or null for empty lines and comments.
+ * @throws {Error} If the rule is not valid.
+ */
+export function parseScopeRule(text) {
+  const rule = text.trim();
+  if (!rule || rule.startsWith('#')) {
+    return null;
+  }
+
+  const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return { type: 'regex', text: rule, regex: new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, '')) };
+  }
+
+  const cidrMatch = rule.match(CIDR_REGEX);
+  if (cidrMatch) {
+    const address = parseIPv4(cidrMatch[1]);
+    const prefixLength = Number(cidrMatch[2]);
+    if (address === null || prefixLength > 32) {
+      throw new Error('Invalid CIDR range.');
+    }
+    const mask = prefixLength === 0 ? 0 : (0xFFFFFFFF << (32 - prefixLength)) >>> 0;
+    return { type: 'cidr', text: rule, network: (address & mask) >>> 0, mask };
+  }
+
+  const host = rule.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split('/')[0];
+  if (!host || !HOST_PATTERN_REGEX.test(host)) {
+    throw new Error('Expected a host (e.g. *.example.com), a /regex/ or a CIDR range.');
+  }
+  const source = host
+    .toLowerCase()
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.]*')
+    .replace(/^\[\^\.\]\*\\\./, '(?:[^.]+\\.)+');
+  return { type: 'host', text: rule, regex: new RegExp(`^${source}$`), matchPort: host.includes(':') };
+}
+
+/**
+ * Validates scope rules, e.g. the lines typed on the options page.
+ * @param {string[]} rules
+ * @returns {string[]} An error message for each invalid rule, mentioning its line number.
+ */
+export function validateScopeRules(rules) {
+  const errors = [];
+  rules.forEach((rule, i) => {
+    try {
+      parseScopeRule(rule);
+    } catch (error) {
+      errors.push(`Line ${i + 1} ("${rule.trim()}"): ${error.message}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Compiles the scope from the include and exclude rules of the settings.
+ * Invalid rules are skipped.
+ * @param {{scopeInclude: string[], scopeExclude: string[]}} settings
+ * @returns {{include: ScopeRule[], exclude: ScopeRule[]}}
+ */
+export function compileScope({ scopeInclude = [], scopeExclude = [] }) {
+  const compile = (rules) => rules.flatMap(text => {
+    try {
+      return parseScopeRule(text) || [];
+    } catch (error) {
+      return [];
+    }
+  });
+  return { include: compile(scopeInclude), exclude: compile(scopeExclude) };
+}
+
+/**
+ * Checks whether a URL is in scope.
+ * @param {string} url
+ * @param {{include: ScopeRule[], exclude: ScopeRule[]}} scope A compiled scope.
+ * @returns {boolean}
+ */
+export function isUrlInScope(url, scope) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (scope.exclude.some(rule => matchesRule(rule, parsedUrl))) {
+    return false;
+  }
+  return scope.include.length === 0 || scope.include.some(rule => matchesRule(rule, parsedUrl));
+}
+
+/**
+ * Returns the scope status of a URL, used to label findings. URLs are only
+ * labelled when the scope has rules.
+ * @param {string} url
+ * @param {{include: ScopeRule[], exclude: ScopeRule[]}} scope A compiled scope.
+ * @returns {'in_scope' | 'out_of_scope' | null} Null if the scope has no rules.
+ */
+export function getScopeStatus(url, scope) {
+  if (scope.include.length === 0 && scope.exclude.length === 0) {
+    return null;
+  }
+  return isUrlInScope(url, scope) ? 'in_scope' : 'out_of_scope';
+}
+
+/**
+ * Checks whether a single rule matches a URL.
+ * @param {ScopeRule} rule
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function matchesRule(rule, url) {
+  switch (rule.type) {
+    case 'regex':
+      return rule.regex.test(url.href);
+    case 'cidr': {
+      const address = parseIPv4(url.hostname);
+      return address !== null && ((address & rule.mask) >>> 0) === rule.network;
+    }
+    default: {
+      const port = url.port || (url.protocol === 'https:' ? '443' : url.protocol === 'http:' ? '80' : '');
+      return rule.regex.test(rule.matchPort ? `${url.hostname}:${port}` : url.hostname);
+    }
+  }
+}
+
+/**
+ * Parses a dotted IPv4 address.
+ * @param {string} text
+ * @returns {number | null} The address as an unsigned integer, or null if it is not an IPv4 address.
+ */
+function parseIPv4(text) {
+  const parts = text.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((address, part) => ((address << 8) | Number(part)) >>> 0, 0);
+}
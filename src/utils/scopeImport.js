@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Imports the scope published by bug bounty programs and turns
+ * each web asset into a scope rule (see scope.js).
+ *
+ * Supported files:
+ * - CSV files with a header row, such as the HackerOne scope export
+ * (`identifier`, `asset_type`, `eligible_for_submission`, ...).
+ * - JSON files: HackerOne API responses (`data[].attributes`), lists of assets,
+ * and objects grouping assets under `in_scope` / `out_of_scope` keys or in
+ * groups with an `in_scope` flag, as used by Bugcrowd and public scope dumps.
+ *
+ * Assets that are not web targets (mobile apps, source code, hardware...) are skipped.
+ */
+
+import { parseScopeRule } from './scope.js';
+
+/**
+ * @typedef {object} ScopeAsset
+ * @property {string} identifier The asset as published, e.g. `*.example.com`.
+ * @property {string} type The asset type in lower case, or an empty string if unknown.
+ * @property {boolean} inScope Whether the program accepts reports for the asset.
+ */
+
+/**
+ * @typedef {object} ScopeImportResult
+ * @property {string[]} include The rules of the in-scope assets.
+ * @property {string[]} exclude The rules of the out-of-scope assets.
+ * @property {Array<{identifier: string, reason: string}>} skipped The assets that could not be converted.
+ */
+
+/**
+ * @description The field names holding the asset identifier, in order of preference.
+ * @type {string[]}
+ */
+const IDENTIFIER_FIELDS = ['asset_identifier', 'identifier', 'target', 'endpoint', 'uri', 'url', 'asset'];
+
+/**
+ * @description The field names holding the asset type.
+ * @type {string[]}
+ */
+const TYPE_FIELDS = ['asset_type', 'type', 'category'];
+
+/**
+ * @description The field names holding whether an asset is in scope, in order of preference.
+ * @type {string[]}
+ */
+const IN_SCOPE_FIELDS = ['eligible_for_submission', 'in_scope', 'inscope', 'scope', 'status'];
+
+/**
+ * @description The asset types that are web targets. Assets without a type are
+ * converted when their identifier is a valid host.
+ * @type {Set<string>}
+ */
+const WEB_ASSET_TYPES = new Set([
+  'url',
+  'wildcard',
+  'domain',
+  'api',
+  'website',
+  'web',
+  'cidr',
+  'ip_address',
+  'ip_range',
+  'network',
+]);
+
+/**
+ * Parses a scope file and converts its web assets to scope rules.
+ * @param {string} text The content of the file.
+ * @param {string} [fileName=''] The name of the file, used to tell CSV from JSON.
+ * @returns {ScopeImportResult}
+ * @throws {Error} If the file is neither valid JSON nor a CSV file with an identifier column.
+ */
+export function importScopeFile(text, fileName = '') {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const assets = isJson ? parseJsonAssets(text) : parseCsvAssets(text);
+
+  const include = new Set();
+  const exclude = new Set();
+  const skipped = [];
+  for (const asset of assets) {
+    if (asset.type && !WEB_ASSET_TYPES.has(asset.type)) {
+      skipped.push({ identifier: asset.identifier, reason: `Not a web asset (${asset.type}).` });
+      continue;
+    }
+    const rules = assetToRules(asset.identifier);
+    if (rules.length === 0) {
+      skipped.push({ identifier: asset.identifier, reason: 'Not a host, URL or CIDR range.' });
+      continue;
+    }
+    rules.forEach(rule => (asset.inScope ? include : exclude).add(rule));
+  }
+
+  return { include: [...include], exclude: [...exclude], skipped };
+}
+
+/**
+ * Converts an asset identifier to scope rules. An identifier can list several
+ * hosts separated by commas or spaces; URLs are reduced to their host, as
+ * scope rules do not match paths.
+ * @param {string} identifier
+ * @returns {string[]} The valid rules, possibly none.
+ */
+function assetToRules(identifier) {
+  return identifier
+    .split(/[\s,]+/)
+    .map(token => /^[\d.]+\/\d{1,2}$/.test(token)
+      ? token
+      : token.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/[/?#].*$/, '').replace(/\.$/, ''))
+    .filter(token => {
+      try {
+        return token && parseScopeRule(token) !== null;
+      } catch (error) {
+        return false;
+      }
+    })
+    .filter((rule, i, rules) => rules.indexOf(rule) === i);
+}
+
+/**
+ * Reads the assets of a JSON scope file. The document is walked recursively:
+ * an object with an identifier field is an asset unless it contains assets
+ * itself (e.g. a program with a `url`), and the `in_scope` / `out_of_scope`
+ * keys and `in_scope` flags of its parents tell whether it is in scope.
+ * @param {string} text
+ * @returns {ScopeAsset[]}
+ * @throws {Error} If the text is not valid JSON.
+ */
+function parseJsonAssets(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON file: ${error.message}`);
+  }
+
+  const assets = [];
+  const visit = (value, inScope) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, inScope));
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    const groupFlag = parseInScope(value.in_scope);
+    const assetCount = assets.length;
+    for (const [key, child] of Object.entries(value)) {
+      if (key === 'out_of_scope') {
+        visit(child, false);
+      } else if (key === 'in_scope') {
+        visit(child, true);
+      } else if (key !== 'attributes') {
+        visit(child, groupFlag ?? inScope);
+      }
+    }
+    if (assets.length > assetCount) {
+      return;
+    }
+
+    const fields = value.attributes && typeof value.attributes === 'object' ? value.attributes : value;
+    const identifier = getField(fields, IDENTIFIER_FIELDS);
+    if (typeof identifier === 'string' && identifier.trim()) {
+      assets.push({
+        identifier: identifier.trim(),
+        type: String(getField(fields, TYPE_FIELDS) || '').trim().toLowerCase(),
+        inScope: parseInScope(getField(fields, IN_SCOPE_FIELDS)) ?? inScope,
+      });
+    }
+  };
+  visit(document, true);
+  return assets;
+}
+
+/**
+ * Reads the assets of a CSV scope file. The first row must name the columns.
+ * @param {string} text
+ * @returns {ScopeAsset[]}
+ * @throws {Error} If there is no identifier column.
+ */
+function parseCsvAssets(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const findColumn = (names) => names.map(name => columns.indexOf(name)).find(index => index !== -1) ?? -1;
+
+  const identifierColumn = findColumn(IDENTIFIER_FIELDS);
+  if (identifierColumn === -1) {
+    throw new Error(`The CSV file has no identifier column (expected one of: ${IDENTIFIER_FIELDS.join(', ')}).`);
+  }
+  const typeColumn = findColumn(TYPE_FIELDS);
+  const inScopeColumn = findColumn(IN_SCOPE_FIELDS);
+
+  return rows
+    .filter(row => row[identifierColumn] && row[identifierColumn].trim())
+    .map(row => ({
+      identifier: row[identifierColumn].trim(),
+      type: typeColumn === -1 ? '' : (row[typeColumn] || '').trim().toLowerCase(),
+      inScope: (inScopeColumn === -1 ? null : parseInScope(row[inScopeColumn])) ?? true,
+    }));
+}
+
+/**
+ * Splits CSV text into rows of fields, handling quoted fields with commas,
+ * escaped quotes and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Returns the first defined field of an object among several names.
+ * @param {object} object
+ * @param {string[]} names
+ * @returns {*}
+ */
+function getField(object, names) {
+  const name = names.find(key => object[key] !== undefined && object[key] !== null);
+  return name === undefined ? undefined : object[name];
+}
+
+/**
+ * Interprets an "in scope" value such as `true`, `"yes"` or `"out of scope"`.
+ * @param {*} value
+ * @returns {boolean | null} Null if the value does not say.
+ */
+function parseInScope(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (['true', 'yes', '1', 'in', 'in_scope', 'eligible'].includes(text)) {
+    return true;
+  }
+  if (['false', 'no', '0', 'out', 'out_of_scope', 'ineligible', 'not_eligible'].includes(text)) {
+    return false;
+  }
+  return null;
+}
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview User settings of the extension, kept in `chrome.storage.sync`,
+ * except for the scope lists, which can exceed its per-item quota and are kept
+ * in `chrome.storage.local` (see `LOCAL_SETTING_KEYS`).
+ * This module is the single source of the default values and validation rules;
+ * it is used by the options page, the service worker and the overlay. The
+ * offscreen document cannot access storage and receives what it needs in the
+ * messages of the service worker.
+ */
+
+import { validateScopeRules } from './scope.js';
+
+/**
+ * @description The default list of URL parameters reported as interesting by the full page analysis.
+ * @type {string[]}
+ */
+export const DEFAULT_PARAMETERS = [
+  'redirect',
+  'url',
+  'ret',
+  'next',
+  'goto',
+  'target',
+  'dest',
+  'r',
+  'debug',
+  'test',
+  'admin',
+  'edit',
+  'enable',
+  'id',
+  'user',
+  'account',
+  'profile',
+  'key',
+  'token',
+  'api_key',
+  'secret',
+  'password',
+  'email',
+  'callback',
+  'return',
+  'returnTo',
+  'return_to',
+  'redirect_to',
+  'redirectTo',
+  'continue',
+];
+
+/**
+ * @description The default value of every setting.
+ * @type {{
+ *   parameters: string[],
+ *   cacheDurationHours: number,
+ *   maxCacheSizeMB: number,
+ *   maxConcurrentFetches: number,
+ *   maxContentSizeMB: number,
+ *   tabTitlePrefix: string,
+ *   chunkMaxDepth: number,
+ *   chunkMaxCount: number,
+ *   scopeInclude: string[],
+ *   scopeExclude: string[],
+ *   hideInvalidFindings: boolean,
+ *   scanSourceMapSources: boolean,
+ *   probeUnadvertisedSourceMaps: boolean
+ * }}
+ */
+export const DEFAULT_SETTINGS = {
+  parameters: DEFAULT_PARAMETERS,
+  cacheDurationHours: 2,
+  maxCacheSizeMB: 30,
+  maxConcurrentFetches: 3,
+  maxContentSizeMB: 5,
+  tabTitlePrefix: 'JSRB',
+  chunkMaxDepth: 3,
+  chunkMaxCount: 100,
+  scopeInclude: [],
+  scopeExclude: [],
+  hideInvalidFindings: false,
+  scanSourceMapSources: false,
+  probeUnadvertisedSourceMaps: false,
+};
+
+/**
+ * @description The allowed range of each numeric setting.
+ * @type {Object<string, {min: number, max: number}>}
+ */
+export const NUMERIC_SETTING_RANGES = {
+  cacheDurationHours: { min: 0, max: 168 },
+  maxCacheSizeMB: { min: 1, max: 100 },
+  maxConcurrentFetches: { min: 1, max: 16 },
+  maxContentSizeMB: { min: 1, max: 50 },
+  chunkMaxDepth: { min: 0, max: 10 },
+  chunkMaxCount: { min: 0, max: 1000 },
+};
+
+/**
+ * @description The settings kept in `chrome.storage.local` rather than in
+ * `chrome.storage.sync`, where an item is limited to 8 KB: an imported bug
+ * bounty scope easily exceeds it.
+ * @type {string[]}
+ */
+const LOCAL_SETTING_KEYS = ['scopeInclude', 'scopeExclude'];
+
+/**
+ * @description The maximum length of the tab title prefix.
+ * @type {number}
+ */
+const MAX_TAB_TITLE_PREFIX_LENGTH = 16;
+
+/**
+ * @description The maximum number of interesting parameters.
+ * @type {number}
+ */
+const MAX_PARAMETERS = 200;
+
+/**
+ * @description The maximum number of rules in each scope list.
+ * @type {number}
+ */
+const MAX_SCOPE_RULES = 500;
+
+/**
+ * Validates and normalizes settings. Unknown keys are dropped, and invalid
+ * values are replaced with their defaults and reported in `errors`.
+ * @param {object} values The settings to validate, e.g. as read from the options form.
+ * @returns {{settings: typeof DEFAULT_SETTINGS, errors: Object<string, string>}}
+ * The normalized settings and an error message for each invalid key.
+ */
+export function validateSettings(values) {
+  const settings = { ...DEFAULT_SETTINGS };
+  const errors = {};
+
+  for (const [key, { min, max }] of Object.entries(NUMERIC_SETTING_RANGES)) {
+    if (values[key] === undefined) {
+      continue;
+    }
+    const value = Number(values[key]);
+    if (values[key] === '' || !Number.isInteger(value) || value < min || value > max) {
+      errors[key] = `Must be a whole number between ${min} and ${max}.`;
+    } else {
+      settings[key] = value;
+    }
+  }
+
+  if (values.tabTitlePrefix !== undefined) {
+    const prefix = String(values.tabTitlePrefix).trim();
+    if (prefix.length > MAX_TAB_TITLE_PREFIX_LENGTH) {
+      errors.tabTitlePrefix = `Must be at most ${MAX_TAB_TITLE_PREFIX_LENGTH} characters long.`;
+    } else if (/[[\]()]/.test(prefix)) {
+      errors.tabTitlePrefix = 'Must not contain brackets or parentheses.';
+    } else {
+      settings.tabTitlePrefix = prefix;
+    }
+  }
+
+  if (values.parameters !== undefined) {
+    const parameters = Array.isArray(values.parameters)
+      ? values.parameters.map(parameter => String(parameter).trim()).filter(Boolean)
+      : null;
+    const invalid = parameters ? parameters.filter(parameter => !/^[\w.\-[\]]+$/.test(parameter)) : [];
+    if (!parameters) {
+      errors.parameters = 'Must be a list of parameter names.';
+    } else if (invalid.length > 0) {
+      errors.parameters = `Invalid parameter names: ${invalid.slice(0, 5).join(', ')}. Use letters, digits, "_", "-", "." and "[]".`;
+    } else if (parameters.length > MAX_PARAMETERS) {
+      errors.parameters = `At most ${MAX_PARAMETERS} parameters are allowed.`;
+    } else {
+      settings.parameters = [...new Set(parameters)];
+    }
+  }
+
+  for (const key of ['hideInvalidFindings', 'scanSourceMapSources', 'probeUnadvertisedSourceMaps']) {
+    if (values[key] !== undefined) {
+      settings[key] = values[key] === true || values[key] === 'true';
+    }
+  }
+
+  for (const key of ['scopeInclude', 'scopeExclude']) {
+    if (values[key] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(values[key])) {
+      errors[key] = 'Must be a list of scope rules.';
+      continue;
+    }
+    const ruleErrors = validateScopeRules(values[key].map(String));
+    const rules = values[key].map(rule => String(rule).trim()).filter(Boolean);
+    if (ruleErrors.length > 0) {
+      errors[key] = ruleErrors.slice(0, 3).join(' ');
+    } else if (rules.length > MAX_SCOPE_RULES) {
+      errors[key] = `At most ${MAX_SCOPE_RULES} rules are allowed.`;
+    } else {
+      settings[key] = rules;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Reads the current settings. Missing or invalid stored values fall back to their defaults.
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function getSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    const storedLocally = await chrome.storage.local.get(LOCAL_SETTING_KEYS);
+    return validateSettings({ ...stored, ...storedLocally }).settings;
+  } catch (error) {
+    console.warn('[JS Recon Buddy] Could not read the settings, using the defaults:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Validates and stores settings. Keys missing from `values` are reset to their defaults.
+ * Scope lists stored in `chrome.storage.sync` by earlier versions are removed from it.
+ * @param {object} values The settings to store.
+ * @returns {Promise<Object<string, string>>} The validation errors. Nothing is stored if there are any.
+ * @throws {Error} If the settings could not be written, e.g. because a storage quota was exceeded.
+ */
+export async function saveSettings(values) {
+  const { settings, errors } = validateSettings(values);
+  if (Object.keys(errors).length === 0) {
+    const syncSettings = { ...settings };
+    const localSettings = {};
+    for (const key of LOCAL_SETTING_KEYS) {
+      localSettings[key] = settings[key];
+      delete syncSettings[key];
+    }
+    await chrome.storage.local.set(localSettings);
+    await chrome.storage.sync.set(syncSettings);
+    await chrome.storage.sync.remove(LOCAL_SETTING_KEYS);
+  }
+  return errors;
+}
+
+/**
+ * Calls a function with the new settings whenever they change, e.g. after
+ * they were saved on the options page.
+ * @param {function(typeof DEFAULT_SETTINGS, string[]): void} callback Receives the
+ * settings and the keys that changed.
+ */
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' && areaName !== 'local') {
+      return;
+    }
+    const changedKeys = Object.keys(changes).filter(key =>
+      key in DEFAULT_SETTINGS && LOCAL_SETTING_KEYS.includes(key) === (areaName === 'local'));
+    if (changedKeys.length > 0) {
+      getSettings().then(settings => callback(settings, changedKeys));
+    }
+  });
+}
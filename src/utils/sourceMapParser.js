@@ -1,35 +1,179 @@
 /**
- * @description Reconstructs original source code from a given JavaScript source map URL.
- * It fetches the source map, then retrieves each individual source file, either
- * from the embedded `sourcesContent` property or by fetching the source file's URL directly.
+ * @description The value of each base64 character used by the VLQ encoded
+ * `mappings` of source maps, by character code, or -1 for other characters.
+ * @type {Int8Array}
+ */
+const BASE64_VALUES = (() => {
+  const values = new Int8Array(128).fill(-1);
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  for (let i = 0; i < alphabet.length; i++) {
+    values[alphabet.charCodeAt(i)] = i;
+  }
+  return values;
+})();
+
+/**
+ * @description The file name under which `reconstructSource` returns the error
+ * when a source map cannot be reconstructed.
+ * @type {string}
+ */
+export const SOURCE_MAP_ERROR_FILE = 'jsrecon.buddy.error.log';
+
+/**
+ * @description The start of the text `reconstructSource` returns, instead of
+ * the content, for the source files that are missing or could not be fetched.
+ * @type {string}
+ */
+export const SKIPPED_SOURCE_PREFIX = '[JS Recon Buddy] Skipping';
+
+/**
+ * @description The decoded mappings of each source map, computed once per map.
+ * @type {WeakMap<object, Array<Array<number[]>>>}
+ */
+const decodedMappings = new WeakMap();
+
+/**
+ * Requests a source map through the service worker, which is not bound by the
+ * CORS policy of the page.
  * @param {string} sourceMapUrl - The fully qualified URL to the `.map` source map file.
- * @returns {Promise<Object<string, string>>} A promise that resolves to an object where keys
- * are the original source file paths (e.g., "webpack:///src/index.js") and values are
- * their corresponding text content. In case of a critical parsing error, it resolves to
- * an object with a single `jsrecon.buddy.error.log` key containing the error message.
+ * @returns {Promise<object>} The parsed source map.
+ * @throws {Error} If the source map is missing or cannot be fetched.
+ */
+async function requestSourceMap(sourceMapUrl) {
+  const sourceMapData = await chrome.runtime.sendMessage({
+    type: 'FETCH_FROM_CONTENT_SCRIPT',
+    url: sourceMapUrl
+  });
+
+  if (sourceMapData && sourceMapData.status && sourceMapData.status === 'not_found') {
+    throw new Error(`Source map not found at ${sourceMapUrl} (404 Not Found).`);
+  }
+
+  if (sourceMapData && sourceMapData.status && sourceMapData.status === 'error') {
+    throw new Error(`Failed to fetch source map due to a network or CORS error: ${sourceMapData.message}`);
+  }
+
+  return sourceMapData;
+}
+
+/**
+ * Parses an inline source map, e.g. `data:application/json;base64,eyJ2...`.
+ * @param {string} dataUrl - The `data:` URL of the source map.
+ * @returns {object} The parsed source map.
+ * @throws {Error} If the URL is malformed or does not hold JSON.
  */
-export async function reconstructSource(sourceMapUrl) {
+function parseDataUrl(dataUrl) {
+  const separator = dataUrl.indexOf(',');
+  if (separator === -1) {
+    throw new Error('Inline source map is not a valid data URL.');
+  }
+  const metadata = dataUrl.slice(5, separator);
+  const data = dataUrl.slice(separator + 1);
   try {
-    const sourceMapData = await chrome.runtime.sendMessage({
-      type: 'FETCH_FROM_CONTENT_SCRIPT',
-      url: sourceMapUrl
-    });
+    const text = /;base64$/i.test(metadata)
+      ? new TextDecoder().decode(Uint8Array.from(atob(decodeURIComponent(data)), char => char.charCodeAt(0)))
+      : decodeURIComponent(data);
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Inline source map could not be decoded: ${error.message}`);
+  }
+}
 
-    if (sourceMapData && sourceMapData.status && sourceMapData.status === 'not_found') {
-      throw new Error(`Source map not found at ${sourceMapUrl} (404 Not Found).`);
-    }
+/**
+ * Prepends the `sourceRoot` of a source map to one of its sources, unless the
+ * source is an absolute URL.
+ * @param {string | undefined} sourceRoot
+ * @param {string} source
+ * @returns {string}
+ */
+function applySourceRoot(sourceRoot, source) {
+  if (!sourceRoot || /^[a-z][a-z0-9+.-]*:/i.test(source)) {
+    return source;
+  }
+  return sourceRoot.endsWith('/') ? sourceRoot + source : `${sourceRoot}/${source}`;
+}
 
-    if (sourceMapData && sourceMapData.status && sourceMapData.status === 'error') {
-      throw new Error(`Failed to fetch source map due to a network or CORS error: ${sourceMapData.message}`);
+/**
+ * Normalizes a source map so that its `sources` can be used as they are:
+ * the `sourceRoot` is applied to them, and the `sections` of an indexed map
+ * are loaded, with their sources and contents listed in the `sources` and
+ * `sourcesContent` of the whole map.
+ * @param {object} sourceMap - The parsed source map.
+ * @param {string} sourceMapUrl - The URL of the source map, against which the sections with a `url` are resolved.
+ * @param {boolean} [isSection=false] - Whether the map is a section of an indexed map, which cannot have sections itself.
+ * @returns {Promise<object>} The normalized source map.
+ * @throws {Error} If the source map has neither `sources` nor `sections`.
+ */
+async function normalizeSourceMap(sourceMap, sourceMapUrl, isSection = false) {
+  if (!isSection && sourceMap && Array.isArray(sourceMap.sections)) {
+    const sections = [];
+    for (const section of sourceMap.sections) {
+      const sectionMap = section.map
+        ?? await requestSourceMap(new URL(section.url, sourceMapUrl).href);
+      sections.push({
+        offset: { line: section.offset?.line ?? 0, column: section.offset?.column ?? 0 },
+        map: await normalizeSourceMap(sectionMap, sourceMapUrl, true),
+      });
     }
+    return {
+      ...sourceMap,
+      sections,
+      sources: sections.flatMap(section => section.map.sources),
+      sourcesContent: sections.flatMap(section =>
+        section.map.sources.map((source, index) => section.map.sourcesContent?.[index] ?? null)),
+    };
+  }
 
-    if (!sourceMapData || !sourceMapData.sources) {
-      throw new Error(`Source map from ${sourceMapUrl} is invalid or does not contain a 'sources' array.`);
-    }
+  if (!sourceMap || !Array.isArray(sourceMap.sources)) {
+    throw new Error(`Source map from ${sourceMapUrl} is invalid or does not contain a 'sources' or 'sections' array.`);
+  }
+
+  const { sourceRoot, ...normalized } = sourceMap;
+  normalized.sources = sourceMap.sources.map(source =>
+    typeof source === 'string' ? applySourceRoot(sourceRoot, source) : source);
+  return normalized;
+}
+
+/**
+ * Fetches and normalizes a source map. Inline `data:` source maps are decoded
+ * on the spot, other source maps are fetched through the service worker, which
+ * is not bound by the CORS policy of the page. The `sourceRoot` is applied to
+ * the `sources`, and the sections of indexed maps are flattened into them.
+ * @param {string} sourceMapUrl - The fully qualified URL to the `.map` source map file, or a `data:` URL.
+ * @returns {Promise<object>} The normalized source map.
+ * @throws {Error} If the source map is missing, cannot be fetched or decoded, or
+ * has neither a `sources` nor a `sections` array.
+ */
+export async function fetchSourceMap(sourceMapUrl) {
+  const sourceMapData = sourceMapUrl.startsWith('data:')
+    ? parseDataUrl(sourceMapUrl)
+    : await requestSourceMap(sourceMapUrl);
+  return normalizeSourceMap(sourceMapData, sourceMapUrl);
+}
+
+/**
+ * @description Reconstructs original source code from a given JavaScript source map URL.
+ * It fetches the source map, then retrieves each individual source file, either
+ * from the embedded `sourcesContent` property or by fetching the source file's URL directly.
+ * Inline, indexed and `sourceRoot` source maps are supported, see `fetchSourceMap`.
+ * @param {string} sourceMapUrl - The fully qualified URL to the `.map` source map file, or a `data:` URL.
+ * @param {string} [baseUrl=sourceMapUrl] - The URL the source files are resolved against,
+ * e.g. the script holding an inline source map.
+ * @returns {Promise<Object<string, string>>} A promise that resolves to an object where keys
+ * are the original source file paths (e.g., "webpack:///src/index.js") and values are
+ * their corresponding text content, or a message starting with `SKIPPED_SOURCE_PREFIX`
+ * for files that are missing or could not be fetched. In case of a critical parsing error,
+ * it resolves to an object with a single `jsrecon.buddy.error.log` key containing the error message.
+ */
+export async function reconstructSource(sourceMapUrl, baseUrl = sourceMapUrl) {
+  try {
+    const sourceMapData = await fetchSourceMap(sourceMapUrl);
 
     const reconstructedSources = {};
 
     for (const [index, sourceFile] of sourceMapData.sources.entries()) {
+      if (typeof sourceFile !== 'string') continue;
+
       const embeddedContent = sourceMapData.sourcesContent?.[index];
       if (embeddedContent) {
         reconstructedSources[sourceFile] = embeddedContent;
@@ -37,17 +181,18 @@ export async function reconstructSource(sourceMapUrl) {
       }
 
       try {
-        const sourceUrl = new URL(sourceFile, sourceMapUrl).href;
+        const sourceUrl = new URL(sourceFile, baseUrl).href;
         const sourceResponse = await fetch(sourceUrl);
 
         if (!sourceResponse.ok) {
-          reconstructedSources[sourceFile] = `[JS Recon Buddy] Skipping missing source file: ${sourceUrl} (Status: ${sourceResponse.status})`
+          reconstructedSources[sourceFile] = `${SKIPPED_SOURCE_PREFIX} missing source file: ${sourceUrl} (Status: ${sourceResponse.status})`
           continue;
         }
 
         reconstructedSources[sourceFile] = await sourceResponse.text();
       } catch (fetchError) {
         console.warn(`[JS Recon Buddy] Skipping source file due to network error: ${fetchError.message}`);
+        reconstructedSources[sourceFile] = `${SKIPPED_SOURCE_PREFIX} source file due to network error: ${fetchError.message}`;
         continue;
       }
     }
@@ -55,6 +200,133 @@ export async function reconstructSource(sourceMapUrl) {
     return reconstructedSources;
 
   } catch (error) {
-    return { "jsrecon.buddy.error.log": error.toString() };
+    return { [SOURCE_MAP_ERROR_FILE]: error.toString() };
+  }
+}
+
+/**
+ * Decodes the VLQ encoded `mappings` field of a source map.
+ *
+ * The mappings hold one group per line of the generated file, separated by
+ * `;`, of comma separated segments. Each segment is a list of base64 VLQ
+ * numbers: the generated column, then optionally the index of the original
+ * source, the original line and column, and the index of the name. All but the
+ * generated column are relative to the previous segment of the whole mapping;
+ * the generated column is relative to the previous segment of the same line.
+ *
+ * @param {string} mappings - The `mappings` field of a source map.
+ * @returns {Array<Array<number[]>>} The segments of each generated line, sorted
+ * by column, with absolute 0-based values: `[generatedColumn]` for unmapped
+ * segments, or `[generatedColumn, sourceIndex, originalLine, originalColumn]`.
+ * @throws {Error} If the mappings contain an invalid character.
+ */
+export function decodeMappings(mappings) {
+  const lines = [];
+  let segments = [];
+  let segment = [];
+  let generatedColumn = 0;
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+  let value = 0;
+  let shift = 0;
+
+  for (let i = 0; i <= mappings.length; i++) {
+    const code = i < mappings.length ? mappings.charCodeAt(i) : 59;
+    if (code === 44 || code === 59) {
+      if (segment.length > 0) {
+        generatedColumn += segment[0];
+        if (segment.length >= 4) {
+          sourceIndex += segment[1];
+          originalLine += segment[2];
+          originalColumn += segment[3];
+          segments.push([generatedColumn, sourceIndex, originalLine, originalColumn]);
+        } else {
+          segments.push([generatedColumn]);
+        }
+        segment = [];
+      }
+      if (code === 59) {
+        if (segments.some((current, index) => index > 0 && current[0] < segments[index - 1][0])) {
+          segments.sort((a, b) => a[0] - b[0]);
+        }
+        lines.push(segments);
+        segments = [];
+        generatedColumn = 0;
+      }
+      continue;
+    }
+
+    const digit = code < 128 ? BASE64_VALUES[code] : -1;
+    if (digit === -1) {
+      throw new Error(`Invalid character "${mappings[i]}" in the source map mappings.`);
+    }
+    value += (digit & 31) * 2 ** shift;
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+    segment.push(value % 2 === 1 ? -Math.floor(value / 2) : value / 2);
+    value = 0;
+    shift = 0;
+  }
+
+  return lines;
+}
+
+/**
+ * Finds the original position of a position in a generated file, e.g. of a
+ * finding in a minified bundle.
+ * @param {{sources: string[], mappings?: string, sections?: Array<object>}} sourceMap - The
+ * source map of the generated file, as returned by `fetchSourceMap`.
+ * @param {number} line - The 0-based line in the generated file.
+ * @param {number} column - The 0-based column in the generated file.
+ * @returns {{source: string, line: number, column: number} | null} The original
+ * source as named in `sources`, with the 0-based line and column, or null if
+ * the position is not mapped.
+ */
+export function getOriginalPosition(sourceMap, line, column) {
+  if (Array.isArray(sourceMap.sections)) {
+    let section = null;
+    for (const candidate of sourceMap.sections) {
+      const { offset } = candidate;
+      if (offset.line > line || (offset.line === line && offset.column > column)) break;
+      section = candidate;
+    }
+    if (!section) {
+      return null;
+    }
+    const { offset } = section;
+    return getOriginalPosition(section.map, line - offset.line, line === offset.line ? column - offset.column : column);
+  }
+
+  let lines = decodedMappings.get(sourceMap);
+  if (!lines) {
+    lines = decodeMappings(sourceMap.mappings || '');
+    decodedMappings.set(sourceMap, lines);
+  }
+
+  const segments = lines[line];
+  if (!segments || segments.length === 0) {
+    return null;
+  }
+
+  let low = 0;
+  let high = segments.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (segments[middle][0] <= column) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  const segment = segments[found];
+  if (!segment || segment.length < 4 || sourceMap.sources[segment[1]] === undefined) {
+    return null;
   }
+  return { source: sourceMap.sources[segment[1]], line: segment[2], column: segment[3] };
 }
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Discovery of source maps that are not advertised by their
+ * script. Production builds often strip the `sourceMappingURL` comment but
+ * still serve the map next to the bundle, e.g. `bundle.js.map`. The probe
+ * sends a `HEAD` request for the usual locations of the map of each script,
+ * so no map is downloaded until the user reconstructs it.
+ *
+ * Only same-origin scripts are probed: the requests are sent from the page,
+ * with its cookies, like the requests of the page itself.
+ */
+
+/**
+ * @description The maximum number of probe requests running at the same time.
+ * @type {number}
+ */
+export const MAX_CONCURRENT_PROBES = 4;
+
+/**
+ * @description The time after which a probe request is aborted.
+ * @type {number}
+ */
+export const PROBE_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * Lists the URLs a script's source map is usually served at, most likely
+ * first: `app.min.js` gives `app.min.js.map`, `app.min.map` and `app.js.map`.
+ * The query and fragment of the script URL are dropped.
+ * @param {string} scriptUrl The URL of the script.
+ * @returns {string[]} The candidate URLs, or an empty array for URLs that cannot be parsed.
+ */
+export function getSourceMapCandidates(scriptUrl) {
+  let url;
+  try {
+    url = new URL(scriptUrl);
+  } catch (error) {
+    return [];
+  }
+  url.search = '';
+  url.hash = '';
+  const base = url.href;
+  const candidates = [`${base}.map`];
+  if (/\.[cm]?js$/i.test(base)) {
+    candidates.push(base.replace(/\.[cm]?js$/i, '.map'));
+  }
+  if (/\.min\.js$/i.test(base)) {
+    candidates.push(base.replace(/\.min\.js$/i, '.js.map'));
+  }
+  return [...new Set(candidates)];
+}
+
+/**
+ * Tells whether a source map is served at a URL. A `HEAD` request is sent
+ * first; servers that do not allow it get a `GET` request whose body is not
+ * read. HTML responses, such as the fallback page of single-page apps, do
+ * not count.
+ * @param {string} url The candidate URL.
+ * @returns {Promise<boolean>}
+ */
+async function isServed(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  try {
+    let response = await fetch(url, { method: 'HEAD', credentials: 'include', signal: controller.signal });
+    if (response.status === 405 || response.status === 501) {
+      response = await fetch(url, { credentials: 'include', signal: controller.signal });
+      response.body?.cancel().catch(() => { });
+    }
+    return response.ok && !/html/i.test(response.headers.get('Content-Type') || '');
+  } catch (error) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Probes the usual locations of the source maps of scripts, with at most
+ * `MAX_CONCURRENT_PROBES` requests at a time. The candidates of a script are
+ * tried in order, until one is served.
+ * @param {string[]} scriptUrls The URLs of the scripts to probe.
+ * @returns {Promise<Map<string, string>>} The URL of the discovered source map of
+ * each script that has one, by script URL.
+ */
+export async function probeSourceMaps(scriptUrls) {
+  const discovered = new Map();
+  const queue = [...new Set(scriptUrls)];
+
+  const probeNext = async () => {
+    while (queue.length > 0) {
+      const scriptUrl = queue.shift();
+      for (const candidate of getSourceMapCandidates(scriptUrl)) {
+        if (await isServed(candidate)) {
+          discovered.set(scriptUrl, candidate);
+          break;
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_PROBES, queue.length) }, probeNext));
+  return discovered;
+}
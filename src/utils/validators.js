@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Offline structural validation of secrets, run after a match
+ * passed the regex, entropy and allowlist checks of its rule.
+ *
+ * Several token formats can be checked without any network request: GitHub
+ * and npm tokens end with a CRC32 checksum of their random part, private keys
+ * and certificates must be well-formed PEM wrapping a DER structure, and JWTs
+ * must hold a base64url encoded JSON header and payload. A match failing these
+ * checks is almost always a false positive, e.g. a truncated or made up value.
+ *
+ * Validators are registered by rule id in `SECRET_VALIDATORS`; custom rules
+ * that replace a built-in rule keep its validator.
+ */
+
+import { crc32 } from './crc32.js';
+
+/**
+ * @description The result of validating a secret.
+ * @type {{VALID: string, INVALID: string, UNCHECKED: string}}
+ */
+export const VALIDATION_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  UNCHECKED: 'unchecked',
+};
+
+/**
+ * @description The labels shown for each validation status.
+ * @type {Object<string, string>}
+ */
+export const VALIDATION_LABELS = {
+  valid: 'structurally valid',
+  invalid: 'invalid',
+  unchecked: 'not checkable',
+};
+
+/**
+ * @description The alphabet of the base62 checksums of GitHub and npm tokens.
+ * @type {string}
+ */
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * @description The length of the base62 checksum at the end of GitHub and npm tokens.
+ * @type {number}
+ */
+const CHECKSUM_LENGTH = 6;
+
+/**
+ * @description The maximum nesting depth of the DER structures that are parsed.
+ * @type {number}
+ */
+const MAX_DER_DEPTH = 32;
+
+/**
+ * @description The validators of secrets, by rule id. A validator receives the
+ * secret extracted by the rule and returns a `VALIDATION_STATUS`.
+ * @type {Object<string, function(string): string>}
+ */
+export const SECRET_VALIDATORS = {
+  'github-pat': validateChecksumToken,
+  'github-oauth': validateChecksumToken,
+  'github-app-token': validateChecksumToken,
+  'github-refresh-token': validateChecksumToken,
+  'github-fine-grained-pat': validateChecksumToken,
+  'npm-access-token': validateChecksumToken,
+  'private-key': validatePem,
+  'rsa-private-key': validatePem,
+  'pem-certificate': validatePem,
+  'jwt': validateJwt,
+};
+
+/**
+ * Validates a secret found by a rule.
+ * @param {string} ruleId The id of the rule that found the secret.
+ * @param {string} secret
+ * @returns {string} A `VALIDATION_STATUS`: `unchecked` for rules without a validator.
+ */
+export function validateSecret(ruleId, secret) {
+  const validator = SECRET_VALIDATORS[ruleId];
+  if (!validator) {
+    return VALIDATION_STATUS.UNCHECKED;
+  }
+  try {
+    return validator(secret);
+  } catch (error) {
+    return VALIDATION_STATUS.INVALID;
+  }
+}
+
+/**
+ * Encodes a number in base62, left padded with zeros.
+ * @param {number} value
+ * @param {number} length
+ * @returns {string}
+ */
+function toBase62(value, length) {
+  let encoded = '';
+  do {
+    encoded = BASE62_ALPHABET[value % 62] + encoded;
+    value = Math.floor(value / 62);
+  } while (value > 0);
+  return encoded.padStart(length, '0');
+}
+
+/**
+ * Checks the checksum of a GitHub or npm token, e.g. `ghp_` followed by 30
+ * random characters and the base62 CRC32 checksum of those characters.
+ * @param {string} secret
+ * @returns {string}
+ */
+function validateChecksumToken(secret) {
+  const match = /^(?:github_pat_|[a-z]{3}_)(\w+)$/i.exec(secret.trim());
+  if (!match || match[1].length <= CHECKSUM_LENGTH) {
+    return VALIDATION_STATUS.INVALID;
+  }
+  const body = match[1].slice(0, -CHECKSUM_LENGTH);
+  const checksum = match[1].slice(-CHECKSUM_LENGTH);
+  return toBase62(crc32(new TextEncoder().encode(body)), CHECKSUM_LENGTH) === checksum
+    ? VALIDATION_STATUS.VALID
+    : VALIDATION_STATUS.INVALID;
+}
+
+/**
+ * Decodes base64 or base64url text into bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text is not valid base64.
+ */
+function decodeBase64(text) {
+  const normalized = text.replace(/-/g, '+').replace(/_/g, '/');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized) || normalized.length % 4 === 1) {
+    throw new Error('Invalid base64.');
+  }
+  const padded = normalized.padEnd(Math.ceil(normalized.length / 4) * 4, '=');
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+/**
+ * Parses the DER elements between two offsets, recursing into constructed elements.
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @param {number} [depth=0]
+ * @returns {Array<{tag: number, children: Array<object> | null}> | null} The
+ * elements, or null if the bytes are not well-formed DER.
+ */
+function parseDer(bytes, start, end, depth = 0) {
+  if (depth > MAX_DER_DEPTH) {
+    return null;
+  }
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    if (offset + 2 > end) {
+      return null;
+    }
+    const tag = bytes[offset];
+    if ((tag & 0x1f) === 0x1f) {
+      return null;
+    }
+    let length = bytes[offset + 1];
+    let contentStart = offset + 2;
+    if (length & 0x80) {
+      const lengthBytes = length & 0x7f;
+      if (lengthBytes === 0 || lengthBytes > 4 || contentStart + lengthBytes > end) {
+        return null;
+      }
+      length = 0;
+      for (let i = 0; i < lengthBytes; i++) {
+        length = length * 256 + bytes[contentStart + i];
+      }
+      contentStart += lengthBytes;
+    }
+    const contentEnd = contentStart + length;
+    if (contentEnd > end) {
+      return null;
+    }
+    let children = null;
+    if (tag & 0x20) {
+      children = parseDer(bytes, contentStart, contentEnd, depth + 1);
+      if (!children) {
+        return null;
+      }
+    }
+    elements.push({ tag, children });
+    offset = contentEnd;
+  }
+  return elements;
+}
+
+/**
+ * Checks that a PEM block, e.g. a private key or a certificate, has matching
+ * labels and a base64 body holding a single DER sequence. Certificates must
+ * have the three parts of an X.509 certificate, and OpenSSH keys their magic
+ * header. PGP blocks are not checked. Line breaks may be escaped, as in the
+ * string literals of a script.
+ * @param {string} secret
+ * @returns {string}
+ */
+function validatePem(secret) {
+  const text = secret.replace(/\\r|\\n/g, '\n');
+  const match = /^-----BEGIN ([A-Z0-9 _-]+)-----([\s\S]*?)-----END ([A-Z0-9 _-]+)-----$/i.exec(text.trim());
+  if (!match || match[1].toUpperCase() !== match[3].toUpperCase()) {
+    return VALIDATION_STATUS.INVALID;
+  }
+  const label = match[1].toUpperCase();
+  if (label.startsWith('PGP ')) {
+    return VALIDATION_STATUS.UNCHECKED;
+  }
+
+  const body = match[2]
+    .split('\n')
+    .filter(line => !line.includes(':'))
+    .join('')
+    .replace(/\s/g, '');
+  const bytes = decodeBase64(body);
+
+  if (label === 'OPENSSH PRIVATE KEY') {
+    const magic = 'openssh-key-v1\0';
+    return String.fromCharCode(...bytes.subarray(0, magic.length)) === magic
+      ? VALIDATION_STATUS.VALID
+      : VALIDATION_STATUS.INVALID;
+  }
+
+  const elements = parseDer(bytes, 0, bytes.length);
+  if (!elements || elements.length !== 1 || elements[0].tag !== 0x30) {
+    return VALIDATION_STATUS.INVALID;
+  }
+  if (label === 'CERTIFICATE') {
+    const parts = elements[0].children;
+    const isCertificate = parts.length === 3 && parts[0].tag === 0x30 && parts[1].tag === 0x30 && parts[2].tag === 0x03;
+    return isCertificate ? VALIDATION_STATUS.VALID : VALIDATION_STATUS.INVALID;
+  }
+  return VALIDATION_STATUS.VALID;
+}
+
+/**
+ * Checks that a JWT has a base64url encoded JSON header naming its algorithm,
+ * and a base64url encoded JSON payload.
+ * @param {string} secret
+ * @returns {string}
+ */
+function validateJwt(secret) {
+  const [header, payload, signature = ''] = secret.split('.');
+  if (payload === undefined || !/^[\w-]*={0,2}$/.test(signature)) {
+    return VALIDATION_STATUS.INVALID;
+  }
+  const decodeJson = (part) => JSON.parse(new TextDecoder().decode(decodeBase64(part)));
+  const headerJson = decodeJson(header);
+  const payloadJson = decodeJson(payload);
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  return isObject(headerJson) && typeof headerJson.alg === 'string' && isObject(payloadJson)
+    ? VALIDATION_STATUS.VALID
+    : VALIDATION_STATUS.INVALID;
+}
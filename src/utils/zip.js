@@ -0,0 +1,129 @@
+/**
+ * @fileoverview A minimal ZIP archive writer, used to download all the files
+ * reconstructed from a source map at once. Files are stored without
+ * compression, which keeps the writer small and is fast enough for source
+ * code; names are stored as UTF-8.
+ */
+
+import { crc32 } from './crc32.js';
+
+/**
+ * @description The maximum number of entries and bytes of an archive without
+ * the ZIP64 extensions, which are not supported.
+ * @type {{entries: number, bytes: number}}
+ */
+const ZIP_LIMITS = { entries: 0xffff, bytes: 0xffffffff };
+
+/**
+ * @description The general purpose flag telling that file names are UTF-8.
+ * @type {number}
+ */
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Turns the name of a file, e.g. a source of a source map such as
+ * `webpack:///./src/api/client.ts?abc`, into a safe relative path inside an
+ * archive: `webpack/src/api/client.ts_abc`. The scheme becomes the first
+ * directory, `.` and `..` segments are dropped and characters that are not
+ * allowed in file names on common systems are replaced with `_`.
+ * @param {string} name
+ * @returns {string} The path, or `unnamed` if nothing is left of the name.
+ */
+export function toArchivePath(name) {
+  const segments = name
+    .replace(/^([a-z][a-z0-9+.-]*):\/*/i, '$1/')
+    .split(/[/\\]+/)
+    .filter(segment => segment !== '' && segment !== '.' && segment !== '..')
+    .map(segment => segment.replace(/[<>:"|?*\x00-\x1f]/g, '_').replace(/[. ]+$/, '_'));
+  return segments.length > 0 ? segments.join('/') : 'unnamed';
+}
+
+/**
+ * Converts a date to the MS-DOS time and date of ZIP headers.
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Creates a ZIP archive. Paths used more than once get a ` (2)`, ` (3)`, ...
+ * suffix, so no file is lost.
+ * @param {Array<{path: string, content: string | Uint8Array}>} files The files,
+ * with their path inside the archive, see `toArchivePath`.
+ * @param {Date} [modifiedAt=new Date()] The modification date of the files.
+ * @returns {Blob} The archive.
+ * @throws {Error} If the archive would need the ZIP64 extensions.
+ */
+export function createZip(files, modifiedAt = new Date()) {
+  if (files.length > ZIP_LIMITS.entries) {
+    throw new Error(`A ZIP archive can hold at most ${ZIP_LIMITS.entries} files.`);
+  }
+
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modifiedAt);
+  const usedPaths = new Set();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    let path = file.path;
+    for (let copy = 2; usedPaths.has(path); copy++) {
+      path = file.path.replace(/(\.[^./]*)?$/, ` (${copy})$1`);
+    }
+    usedPaths.add(path);
+
+    const name = encoder.encode(path);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const checksum = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true);
+    localHeader.setUint16(4, 20, true);
+    localHeader.setUint16(6, UTF8_FLAG, true);
+    localHeader.setUint16(8, 0, true);
+    localHeader.setUint16(10, time, true);
+    localHeader.setUint16(12, date, true);
+    localHeader.setUint32(14, checksum, true);
+    localHeader.setUint32(18, data.length, true);
+    localHeader.setUint32(22, data.length, true);
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true);
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true);
+    centralHeader.setUint16(4, 20, true);
+    centralHeader.setUint16(6, 20, true);
+    centralHeader.setUint16(8, UTF8_FLAG, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, time, true);
+    centralHeader.setUint16(14, date, true);
+    centralHeader.setUint32(16, checksum, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, name.length, true);
+    centralHeader.setUint32(42, offset, true);
+
+    parts.push(localHeader, name, data);
+    centralDirectory.push(centralHeader, name);
+    offset += 30 + name.length + data.length;
+    if (offset > ZIP_LIMITS.bytes) {
+      throw new Error('The files are too large for a ZIP archive.');
+    }
+  }
+
+  const centralDirectorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralDirectorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}